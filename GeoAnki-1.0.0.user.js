@@ -10,12 +10,16 @@
 // @grant        GM_xmlhttpRequest
 // @grant        GM_addStyle
 // @grant        GM_registerMenuCommand
+// @grant        GM_getResourceText
+// @resource     countryMetadata data/country-metadata.json
+// @resource     countryBoundaries data/country-boundaries.json
 // @connect      localhost
 // @connect      127.0.0.1
 // @connect      nominatim.openstreetmap.org
 // @connect      restcountries.com
 // @connect      flagcdn.com
 // @connect      api.geoguessr.com
+// @connect      *
 // @run-at       document-start
 // ==/UserScript==
 
@@ -83,7 +87,7 @@
         },
 
         exportLogs: function() {
-            return JSON.stringify(this.logs, null, 2);
+            return JSON.stringify({ logs: this.logs, lifecycleEvents: lifecycleEventLog }, null, 2);
         },
 
         copyLogsToClipboard: function() {
@@ -182,6 +186,16 @@
         });
     }
 
+    // Escape text for safe insertion into HTML
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // Validate and sanitize coordinates
     function sanitizeCoordinates(lat, lng) {
         lat = parseFloat(lat);
@@ -198,23 +212,74 @@
         return { lat, lng };
     }
 
-    // Load settings with defaults
-    const settings = GM_getValue('geoguessr_anki_settings', {
+    // Default settings, also used to fill in keys added after the settings were first saved
+    const DEFAULT_SETTINGS = {
         uiScale: 1.0,
         uiOpacity: 0.9,
         enableAnkiIntegration: true,
+        ankiConnectHost: "localhost",
         ankiConnectPort: 8765,
+        ankiConnectKey: "",
         ankiDefaultDeck: "GeoguessrAnki",
-        modelName: "GeoguessrBasic",
+        modelName: "GeoAnki",
         showUIButton: true,
         automaticCards: true,
+        deferPromptsToSummary: false, // Skip per-round prompts and review all rounds at the end of the game
+        historyRetentionDays: 365, // Days completed rounds are kept in the round history, 0 keeps them forever
+        distanceUnits: 'km', // 'km' or 'mi'
+        cityLevelGeocoding: true, // Ask Nominatim for city and state, countries are resolved offline unless near a border
+        streakCloseCalls: true, // List close calls from streaks in the review so they can be carded
+        streakCloseCallDistance: 50, // Correct streak rounds this close to another country are close calls (in distanceUnits)
+        showOpponentGuess: true, // Duels and Battle Royale cards show how the opponent guessed
+        snapshotMode: 'auto', // 'auto' captures the starting view, 'manual' only from the widget, 'off'
+        snapshotMaxWidth: 800, // Snapshots are downscaled to this width in pixels
+        snapshotQuality: 0.7, // JPEG quality of snapshots, from 0.1 to 1
+        autoPromptMinDistance: 0, // Only auto prompt when the guess was at least this far off (in distanceUnits)
+        regionMistakes: true, // Right country but wrong state or province counts as a mistake in regionCountries
+        regionCountries: ['US', 'CA', 'MX', 'BR', 'AR', 'CL', 'AU', 'RU', 'IN', 'ID', 'ZA'],
+        regionMinDistance: 300, // In-country misses closer than this (in distanceUnits) aren't region mistakes
         hideLocationInFrontCard: true,
-        instantAddEnabled: GM_getValue('instantAddEnabled', false) // New setting for instant add
+        instantAddEnabled: GM_getValue('instantAddEnabled', false), // New setting for instant add
+        // Deck routing rules evaluated in order at card creation, e.g.
+        // { condition: 'continent', value: 'Europe', deck: 'GeoguessrAnki::{continent}::{country}' }
+        deckRules: [],
+        // Card types generated for each mistake unless changed in the card prompt
+        cardTypes: {
+            mistake: true,
+            country: false,
+            compare: false,
+            flag: false,
+            facts: false
+        },
+        // Automatic note tags: static tags plus toggles for each generated tag family
+        tags: {
+            staticTags: ['geoanki'],
+            country: true,
+            continent: true,
+            confusedWith: true,
+            region: true,
+            mode: true,
+            map: true,
+            movement: true,
+            generation: true,
+            imageYear: true,
+            instant: true
+        }
+    };
+
+    // Load settings with defaults
+    const settings = Object.assign({}, DEFAULT_SETTINGS, GM_getValue('geoguessr_anki_settings', {}));
+
+    // Merge nested setting groups so new keys get their defaults too
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+        const defaultValue = DEFAULT_SETTINGS[key];
+        if (defaultValue && typeof defaultValue === 'object' && !Array.isArray(defaultValue)) {
+            settings[key] = Object.assign({}, defaultValue, settings[key]);
+        }
     });
 
-    const ANKI_CONNECT_URL = "http://localhost:" + settings.ankiConnectPort;
-    const DECK_NAME = settings.ankiDefaultDeck;
-    const MODEL_NAME = settings.modelName;
+    let DECK_NAME = settings.ankiDefaultDeck;
+    let MODEL_NAME = settings.modelName;
 
     /* ========= STATE MANAGEMENT ========= */
     let gameState = {
@@ -242,14 +307,17 @@
         // Properties to store user's reflections
         userMissedClues: "",
         userReminder: "",
+        userCardTypes: null,
         // Add round-specific data storage
         roundLocations: {},
         currentRoundKey: null,
         cardCreatedForRound: false,
-        // For improved round transition detection
+        // Games whose end-of-game review was already offered
+        reviewedGames: [],
+        // Game token played for each challenge id, so challenge rounds are keyed like standard games
+        challengeGames: {},
+        // For SPA navigation detection
         lastUrl: window.location.href,
-        lastRoundId: null,
-        isProcessingRound: false,
         cancelCardCreation: false,
         // For data source tracking
         dataSource: null
@@ -260,112 +328,147 @@
     window.geoAnkiIntervals = [];
 
     /* ========= COUNTRY OVERRIDE DATABASE ========= */
-    // Add known problematic coordinates and their correct countries
-    const COUNTRY_OVERRIDES = [
+    // Rules that force the country of locations the geocoders get wrong. They are kept in GM
+    // storage and edited from the settings panel. Each rule matches by one shape:
+    //   box      { lat, lng, tolerance }   within tolerance degrees of the center on both axes
+    //   radius   { lat, lng, radiusMeters }
+    //   polygon  { polygon: [[lat, lng], ...] }
+    const COUNTRY_OVERRIDE_STORAGE_KEY = 'geoanki_country_overrides';
+
+    const OVERRIDE_SHAPES = ['box', 'radius', 'polygon'];
+
+    // Rules in effect until the user saves their own; they are not written to storage
+    const DEFAULT_COUNTRY_OVERRIDES = [
         {
-            // This handles the Australia/Guatemala case from the debug logs
-            coordinates: { lat: 40.97989806962013, lng: -67.5 },
-            tolerance: 0.2, // Tolerance for coordinate matching
-            country: "Guatemala",
-            countryCode: "GT",
-            additionalInfo: {
-                tld: ".gt",
-                drivingSide: "right",
-                languages: ["Spanish"],
-                currency: "Guatemalan quetzal",
-                continent: "North America",
-                capital: "Guatemala City"
-            }
+            id: 'guatemala-debug-log',
+            label: 'Australia/Guatemala case from the debug logs',
+            countryCode: 'GT',
+            shape: 'box',
+            lat: 40.97989806962013,
+            lng: -67.5,
+            tolerance: 0.2
         }
     ];
 
-    // Function to check if coordinates match any known override
-    function checkCountryOverride(lat, lng) {
-        for (const override of COUNTRY_OVERRIDES) {
-            const tolerance = override.tolerance || 0.1;
-            if (Math.abs(lat - override.coordinates.lat) <= tolerance && 
-                Math.abs(lng - override.coordinates.lng) <= tolerance) {
-                DEBUG.log(`Country override match found! ${lat},${lng} → ${override.country}`);
-                return override;
-            }
-        }
-        return null;
+    function getCountryOverrides() {
+        return GM_getValue(COUNTRY_OVERRIDE_STORAGE_KEY, DEFAULT_COUNTRY_OVERRIDES);
     }
 
-    /* ========= CORE UTILITY FUNCTIONS ========= */
-    function isGeoGuessr() {
-        return window.location.hostname.includes('geoguessr.com');
+    function saveCountryOverrides(rules) {
+        GM_setValue(COUNTRY_OVERRIDE_STORAGE_KEY, rules);
     }
 
-    function isInGame() {
-        return window.location.href.includes('/game/') ||
-               window.location.href.includes('/challenge/') ||
-               window.location.href.includes('/duel/') ||
-               window.location.href.includes('/battle-royale/');
+    function createOverrideId() {
+        return `override-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
     }
 
-    // More robust round end detection
-    function isRoundEnded() {
-        // Check for any result screen elements that appear when a round ends
-        const resultElements = document.querySelectorAll(
-            'div[data-qa="round-result"], ' +
-            '.result-layout_content, ' +
-            '.round-result_wrapper__, ' +
-            '[class*="result-layout"], ' +
-            '[class*="results"], ' +
-            '[class*="summary-"], ' +
-            'div[class*="result"]'
-        );
+    // What's wrong with a rule, or null when it can be used
+    function validateCountryOverride(rule) {
+        if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+        if (!rule.countryCode || !getCountryMetadata(rule.countryCode)) return `Unknown country code "${rule.countryCode || ''}"`;
+        if (!OVERRIDE_SHAPES.includes(rule.shape)) return `Shape must be one of ${OVERRIDE_SHAPES.join(', ')}`;
 
-        if (resultElements.length > 0) {
-            for (const el of resultElements) {
-                // Make sure it's visible
-                if (el.offsetParent !== null) {
-                    return true;
-                }
-            }
+        if (rule.shape === 'polygon') {
+            if (!Array.isArray(rule.polygon) || rule.polygon.length < 3) return 'Polygon needs at least 3 points';
+            const invalid = rule.polygon.find(point => !Array.isArray(point) || !isValidCoordinate({ lat: point[0], lng: point[1] }));
+            return invalid ? `Invalid polygon point ${JSON.stringify(invalid)}` : null;
         }
 
-        // Also check for round result button
-        const nextRoundButton = document.querySelector(
-            'button[data-qa="close-round-result"], ' +
-            '[class*="next-round"]'
-        );
+        if (!isValidCoordinate({ lat: rule.lat, lng: rule.lng })) return 'Center needs a valid lat and lng';
+        if (rule.shape === 'box' && !(rule.tolerance > 0)) return 'Box tolerance must be above 0 degrees';
+        if (rule.shape === 'radius' && !(rule.radiusMeters > 0)) return 'Radius must be above 0 meters';
+        return null;
+    }
 
-        if (nextRoundButton && nextRoundButton.offsetParent !== null) {
-            return true;
+    // Copy of a rule with only the fields its shape uses
+    function normalizeCountryOverride(rule) {
+        const normalized = {
+            id: rule.id || createOverrideId(),
+            label: rule.label ? String(rule.label) : '',
+            countryCode: String(rule.countryCode).toUpperCase(),
+            shape: rule.shape
+        };
+
+        if (rule.shape === 'polygon') {
+            normalized.polygon = rule.polygon.map(point => [Number(point[0]), Number(point[1])]);
+        } else {
+            normalized.lat = Number(rule.lat);
+            normalized.lng = Number(rule.lng);
+            if (rule.shape === 'box') normalized.tolerance = Number(rule.tolerance);
+            if (rule.shape === 'radius') normalized.radiusMeters = Number(rule.radiusMeters);
         }
 
-        return false;
+        return normalized;
     }
 
-    // Better active round detection
-    function isInActiveRound() {
-        if (!isInGame()) return false;
+    function overrideMatches(rule, lat, lng) {
+        switch (rule.shape) {
+            case 'radius':
+                return haversineDistance({ lat: rule.lat, lng: rule.lng }, { lat, lng }) <= rule.radiusMeters;
+            case 'polygon':
+                return ringContains({ lats: rule.polygon.map(point => point[0]), lngs: rule.polygon.map(point => point[1]) }, lat, lng);
+            default:
+                return Math.abs(lat - rule.lat) <= rule.tolerance && Math.abs(lng - rule.lng) <= rule.tolerance;
+        }
+    }
 
-        // If we can see a result screen, we're not in an active round
-        if (isRoundEnded()) return false;
+    // First rule matching the coordinates, with its country name filled in, or null
+    function checkCountryOverride(lat, lng) {
+        for (const rule of getCountryOverrides()) {
+            if (validateCountryOverride(rule) || !overrideMatches(rule, lat, lng)) continue;
 
-        // Check for elements that only appear during active gameplay
-        const gameplayElements = document.querySelectorAll(
-            'div[data-qa="game-status"], ' +
-            '[class*="game-status"], ' +
-            '[class*="compass"], ' +
-            '[data-qa="timer"]'
-        );
+            const metadata = getCountryMetadata(rule.countryCode);
+            DEBUG.log(`Country override match found! ${lat},${lng} → ${metadata.name} (rule ${rule.id})`);
+            return Object.assign({}, rule, { country: metadata.name, countryCode: metadata.countryCode });
+        }
+        return null;
+    }
 
-        for (const el of gameplayElements) {
-            if (el.offsetParent !== null) {
-                return true;
-            }
+    // Add rules from exported JSON, replacing rules with the same id. Throws when any rule is invalid,
+    // so a bad file never leaves a half-imported database.
+    function importCountryOverrides(json) {
+        const parsed = JSON.parse(json);
+        const incoming = Array.isArray(parsed) ? parsed : parsed && parsed.overrides;
+        if (!Array.isArray(incoming)) {
+            throw new Error('Expected a list of overrides');
         }
 
-        return false;
+        const rules = incoming.map((rule, index) => {
+            const error = validateCountryOverride(rule);
+            if (error) throw new Error(`Override ${index + 1}: ${error}`);
+            return normalizeCountryOverride(rule);
+        });
+
+        const merged = getCountryOverrides().filter(existing => !rules.some(rule => rule.id === existing.id));
+        saveCountryOverrides(merged.concat(rules));
+        return rules.length;
+    }
+
+    function exportCountryOverrides() {
+        return JSON.stringify({ overrides: getCountryOverrides() }, null, 2);
+    }
+
+    /* ========= CORE UTILITY FUNCTIONS ========= */
+    function isGeoGuessr() {
+        return window.location.hostname.includes('geoguessr.com');
+    }
+
+    function isInGame() {
+        return window.location.href.includes('/game/') ||
+               window.location.href.includes('/challenge/') ||
+               window.location.href.includes('/duel/') ||
+               window.location.href.includes('/duels/') ||
+               window.location.href.includes('/team-duels/') ||
+               window.location.href.includes('/streaks/') ||
+               window.location.href.includes('/battle-royale/');
     }
 
-    // Better between rounds detection
-    function isBetweenRounds() {
-        return isInGame() && isRoundEnded();
+    // A round is in play from the moment its payload arrives until our guess goes out
+    function isInActiveRound() {
+        if (!isInGame()) return false;
+
+        return roundLifecycle.state === LIFECYCLE_STATES.ROUND_LOADING ||
+               roundLifecycle.state === LIFECYCLE_STATES.ROUND_ACTIVE;
     }
 
     function getCurrentRoundNumber() {
@@ -395,37 +498,56 @@
     function getGameType() {
         if (!isInGame()) return null;
         if (window.location.href.includes('/battle-royale/')) return 'battle-royale';
-        if (window.location.href.includes('/duel/')) return 'duel';
+        if (/\/(team-)?duels?\//.test(window.location.href)) return 'duel';
         if (window.location.href.includes('/challenge/')) return 'challenge';
+        if (isStreakGame()) return 'streak';
         return 'standard';
     }
 
     // Generate a unique round key for storing location data
-    function generateRoundKey() {
-        const gameId = window.location.href.split('/')[4] || 'unknown';
-        const roundNum = getCurrentRoundNumber();
-        return `${gameId}-round-${roundNum}`;
+    function getCurrentGameId() {
+        const challengeId = getChallengeIdFromUrl();
+        if (challengeId && gameState.challengeGames[challengeId]) {
+            return gameState.challengeGames[challengeId];
+        }
+        return window.location.href.split('/')[4] || 'unknown';
+    }
+
+    // Challenge id from /challenge/<id> and /results/<id> pages or challenge API urls
+    function getChallengeIdFromUrl(url = window.location.href) {
+        const match = url.match(/\/(?:challenges?|results\/highscores|results\/scores|results)\/([A-Za-z0-9_-]+)/);
+        return match ? match[1] : null;
+    }
+
+    function rememberChallengeGame(challengeId, gameToken) {
+        if (!challengeId || !gameToken || gameState.challengeGames[challengeId] === gameToken) return;
+
+        gameState.challengeGames[challengeId] = gameToken;
+        DEBUG.log(`Challenge ${challengeId} is played as game ${gameToken}`);
     }
 
-    // Extract round ID from URL or DOM
-    function extractRoundId() {
-        // Try to get round ID from URL
-        const urlMatch = window.location.pathname.match(/\/round\/(\d+)/);
-        if (urlMatch && urlMatch[1]) {
-            return 'url-' + urlMatch[1];
+    // Token of the underlying game, for standard games and challenges alike
+    function getGameToken() {
+        const urlMatch = window.location.href.match(/\/game\/([^\/?#]+)/);
+        if (urlMatch) return urlMatch[1];
+
+        const challengeId = getChallengeIdFromUrl();
+        if (challengeId && gameState.challengeGames[challengeId]) {
+            return gameState.challengeGames[challengeId];
         }
 
-        // Try to get round ID from DOM
-        const roundElement = document.querySelector('[data-qa="round-number"]');
-        if (roundElement) {
-            const text = roundElement.textContent;
-            const match = text.match(/(\d+)\s*\/\s*\d+/);
-            if (match && match[1]) {
-                return 'dom-' + match[1];
-            }
+        return gameState.gameData && gameState.gameData.token ? gameState.gameData.token : null;
+    }
+
+    function generateRoundKey() {
+        // The lifecycle knows the round from the game payload, the page is only a fallback
+        if (roundLifecycle.state !== LIFECYCLE_STATES.IDLE && roundLifecycle.gameId) {
+            return getLifecycleRoundKey(roundLifecycle);
         }
 
-        return null;
+        const gameId = getCurrentGameId();
+        const roundNum = getCurrentRoundNumber();
+        return `${gameId}-round-${roundNum}`;
     }
 
     // Safely decode panoId with validation
@@ -495,79 +617,417 @@
                Math.abs(coord.lat) <= 90 && Math.abs(coord.lng) <= 180;
     }
 
-    /* ========= DATA INTERCEPTION & ROUND DETECTION ========= */
-    // Setup URL change detection for SPA navigation
-    function setupUrlChangeDetection() {
-        // Create a MutationObserver to watch for DOM changes (for round transitions)
-        const observer = new MutationObserver((mutations) => {
-            for (const mutation of mutations) {
-                if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-                    // Check for newly added elements that indicate a round transition
-                    const hasImportantChange = Array.from(mutation.addedNodes).some(node => {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            // Check for timer, round indicator, or other elements that appear on round start
-                            return node.querySelector('[data-qa="round-number"]') ||
-                                  node.querySelector('[data-qa="timer"]') ||
-                                  node.querySelector('[class*="guess-map_"]') ||
-                                  node.querySelector('[data-qa="round-result"]');
-                        }
-                        return false;
-                    });
+    const EARTH_RADIUS_METERS = 6371008.8;
+    const METERS_PER_MILE = 1609.344;
 
-                    if (hasImportantChange) {
-                        DEBUG.log('Detected DOM change that might indicate a round transition');
-                        checkForRoundTransition();
-                    }
+    const COMPASS_POINTS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+    function toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    // Great-circle distance in meters (haversine formula)
+    function haversineDistance(from, to) {
+        const dLat = toRadians(to.lat - from.lat);
+        const dLng = toRadians(to.lng - from.lng);
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+        return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // Initial bearing from one point to another in degrees clockwise from north (0-360)
+    function initialBearing(from, to) {
+        const lat1 = toRadians(from.lat);
+        const lat2 = toRadians(to.lat);
+        const dLng = toRadians(to.lng - from.lng);
+        const y = Math.sin(dLng) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    function compassDirection(bearing) {
+        return COMPASS_POINTS[Math.round(bearing / 45) % COMPASS_POINTS.length];
+    }
+
+    // Format a distance in the configured units, e.g. "1,240 km"
+    function formatDistance(meters, units = settings.distanceUnits) {
+        const value = units === 'mi' ? meters / METERS_PER_MILE : meters / 1000;
+        const digits = value < 10 ? 1 : 0;
+
+        return `${value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })} ${units === 'mi' ? 'mi' : 'km'}`;
+    }
+
+    // A distance setting in the configured units, in meters
+    function distanceSettingToMeters(value, units = settings.distanceUnits) {
+        return (parseFloat(value) || 0) * (units === 'mi' ? METERS_PER_MILE : 1000);
+    }
+
+    // Distance and direction of the guess relative to the correct location, cached on the round.
+    // Returns null until both coordinates are known.
+    function getGuessOffset(roundData) {
+        if (!roundData || !isValidCoordinate(roundData.location) || !isValidCoordinate(roundData.guessLocation)) {
+            return null;
+        }
+
+        // A distance GeoGuessr reports later replaces the haversine estimate
+        const cached = roundData.guessOffset;
+        if (cached && cached.lat === roundData.location.lat && cached.lng === roundData.location.lng &&
+            cached.guessLat === roundData.guessLocation.lat && cached.guessLng === roundData.guessLocation.lng &&
+            cached.reportedDistance === roundData.distanceMeters) {
+            return cached;
+        }
+
+        const bearing = initialBearing(roundData.location, roundData.guessLocation);
+        roundData.guessOffset = {
+            // Prefer GeoGuessr's own distance when the API reported it
+            distanceMeters: roundData.distanceMeters !== undefined ? roundData.distanceMeters : haversineDistance(roundData.location, roundData.guessLocation),
+            bearing: Math.round(bearing * 10) / 10,
+            direction: compassDirection(bearing),
+            lat: roundData.location.lat,
+            lng: roundData.location.lng,
+            guessLat: roundData.guessLocation.lat,
+            guessLng: roundData.guessLocation.lng,
+            reportedDistance: roundData.distanceMeters
+        };
+
+        return roundData.guessOffset;
+    }
+
+    // "1,240 km too far north-west", or just the distance when the direction is unknown
+    function describeGuessOffset(roundData) {
+        const offset = getGuessOffset(roundData);
+        if (offset) {
+            // Guesses within a few hundred meters have no meaningful direction
+            return offset.distanceMeters < 500 ? formatDistance(offset.distanceMeters) :
+                `${formatDistance(offset.distanceMeters)} too far ${offset.direction}`;
+        }
+        return roundData && roundData.distanceMeters !== undefined ? formatDistance(roundData.distanceMeters) : "";
+    }
+
+    /* ========= ROUND LIFECYCLE ========= */
+    // Where the current game stands. Every change goes through reduceLifecycle(), so a session
+    // can be replayed from its recorded events with replayLifecycle().
+    const LIFECYCLE_STATES = {
+        IDLE: 'idle',
+        ROUND_LOADING: 'roundLoading',
+        ROUND_ACTIVE: 'roundActive',
+        GUESS_SUBMITTED: 'guessSubmitted',
+        ROUND_RESULT: 'roundResult',
+        GAME_SUMMARY: 'gameSummary'
+    };
+
+    // Inputs of the state machine. Events carry gameId and roundNumber where the source knows them,
+    // otherwise they apply to the game and round already in progress.
+    const LIFECYCLE_EVENTS = {
+        ROUND_LOADED: 'roundLoaded',        // game payload for a round we haven't guessed yet
+        PANORAMA_READY: 'panoramaReady',    // Street View metadata arrived or the round HUD appeared
+        GUESS_SENT: 'guessSent',            // our guess request went out
+        RESULT_RECEIVED: 'resultReceived',  // game payload containing our guess for the round
+        GAME_FINISHED: 'gameFinished',      // the game or match is over
+        LEFT_GAME: 'leftGame'               // navigated away from the game
+    };
+
+    const INITIAL_LIFECYCLE = { state: LIFECYCLE_STATES.IDLE, gameId: null, roundNumber: 0 };
+
+    // Recent events, exported with the debug logs so problem sessions can be replayed
+    const LIFECYCLE_LOG_SIZE = 200;
+
+    // Pure transition function. Returns the same object when the event doesn't apply, which is
+    // how duplicate responses and stale rounds are ignored.
+    function reduceLifecycle(lifecycle, event) {
+        const S = LIFECYCLE_STATES;
+        const sameGame = !event.gameId || event.gameId === lifecycle.gameId;
+        const roundNumber = event.roundNumber || lifecycle.roundNumber;
+        const laterRound = !sameGame || roundNumber > lifecycle.roundNumber;
+        const sameRound = sameGame && roundNumber === lifecycle.roundNumber;
+        const inRound = [S.ROUND_LOADING, S.ROUND_ACTIVE, S.GUESS_SUBMITTED].includes(lifecycle.state);
+
+        const next = state => ({
+            state: state,
+            gameId: event.gameId || lifecycle.gameId,
+            roundNumber: roundNumber
+        });
+
+        switch (event.type) {
+            case LIFECYCLE_EVENTS.ROUND_LOADED:
+                if (laterRound || (sameRound && lifecycle.state === S.IDLE)) return next(S.ROUND_LOADING);
+                break;
+
+            case LIFECYCLE_EVENTS.PANORAMA_READY:
+                if (sameRound && lifecycle.state === S.ROUND_LOADING) return next(S.ROUND_ACTIVE);
+                break;
+
+            case LIFECYCLE_EVENTS.GUESS_SENT:
+                if (sameRound && (lifecycle.state === S.ROUND_LOADING || lifecycle.state === S.ROUND_ACTIVE)) {
+                    return next(S.GUESS_SUBMITTED);
                 }
+                break;
+
+            case LIFECYCLE_EVENTS.RESULT_RECEIVED:
+                // Results also arrive without the guess request, e.g. after a reload on the result screen
+                if (laterRound || (sameRound && (inRound || lifecycle.state === S.IDLE))) return next(S.ROUND_RESULT);
+                break;
+
+            case LIFECYCLE_EVENTS.GAME_FINISHED:
+                if (!sameGame || lifecycle.state !== S.GAME_SUMMARY) return next(S.GAME_SUMMARY);
+                break;
+
+            case LIFECYCLE_EVENTS.LEFT_GAME:
+                if (lifecycle.state !== S.IDLE) return INITIAL_LIFECYCLE;
+                break;
+        }
+
+        return lifecycle;
+    }
+
+    // Fold recorded events through the reducer and list the transitions they cause
+    function replayLifecycle(events, start = INITIAL_LIFECYCLE) {
+        const transitions = [];
+        events.reduce((lifecycle, event) => {
+            const next = reduceLifecycle(lifecycle, event);
+            if (next !== lifecycle) {
+                transitions.push({ event: event.type, from: lifecycle.state, to: next.state, gameId: next.gameId, roundNumber: next.roundNumber });
+            }
+            return next;
+        }, start);
+        return transitions;
+    }
+
+    let roundLifecycle = INITIAL_LIFECYCLE;
+    const lifecycleListeners = {};
+    const lifecycleEventLog = [];
+    let lifecycleQueue = null;
+
+    function getLifecycleRoundKey(lifecycle) {
+        return `${lifecycle.gameId}-round-${lifecycle.roundNumber}`;
+    }
+
+    // Subscribe to entering a state. Listeners get (lifecycle, previous, event).
+    function onLifecycle(state, listener) {
+        (lifecycleListeners[state] = lifecycleListeners[state] || []).push(listener);
+    }
+
+    function dispatchLifecycleEvent(event) {
+        lifecycleEventLog.push(Object.assign({ time: Date.now() }, event));
+        if (lifecycleEventLog.length > LIFECYCLE_LOG_SIZE) {
+            lifecycleEventLog.shift();
+        }
+
+        // Events dispatched by listeners wait until the current transition is fully handled
+        if (lifecycleQueue) {
+            lifecycleQueue.push(event);
+            return;
+        }
+
+        lifecycleQueue = [event];
+        while (lifecycleQueue.length > 0) {
+            applyLifecycleEvent(lifecycleQueue.shift());
+        }
+        lifecycleQueue = null;
+    }
+
+    function applyLifecycleEvent(event) {
+        const previous = roundLifecycle;
+        const next = reduceLifecycle(previous, event);
+        if (next === previous) return;
+
+        roundLifecycle = next;
+        DEBUG.log(`Lifecycle ${previous.state} -> ${next.state} on ${event.type}` +
+            (next.gameId ? ` (${getLifecycleRoundKey(next)}, from ${event.source || 'unknown'})` : ''));
+
+        (lifecycleListeners[next.state] || []).forEach(listener => {
+            try {
+                listener(next, previous, event);
+            } catch (e) {
+                DEBUG.error(`Error in ${next.state} listener`, e);
             }
         });
+    }
 
-        // Start observing the body with all its child nodes
-        observer.observe(document.body, { childList: true, subtree: true });
+    // Location retries while a round is in play but no source has delivered coordinates yet
+    const LOCATION_RETRY_DELAY = 1500;
+    const LOCATION_MAX_ATTEMPTS = 3;
+
+    function ensureRoundLocation(roundKey) {
+        let attempts = 0;
+        const attempt = () => {
+            if (gameState.currentRoundKey !== roundKey || gameState.actualLocation || !isInActiveRound()) return;
 
-        // Also check for URL changes (using a polling approach)
-        setInterval(() => {
-            const currentUrl = window.location.href;
-            if (currentUrl !== gameState.lastUrl) {
-                DEBUG.log('URL changed from', gameState.lastUrl, 'to', currentUrl);
-                gameState.lastUrl = currentUrl;
-                checkForRoundTransition();
+            attempts++;
+            DEBUG.log(`No location for ${roundKey} yet, attempt ${attempts} of ${LOCATION_MAX_ATTEMPTS}`);
+            interceptLocationData();
+            if (attempts < LOCATION_MAX_ATTEMPTS) {
+                window.geoAnkiTimeouts.push(setTimeout(attempt, LOCATION_RETRY_DELAY));
             }
-        }, 500);
+        };
+
+        window.geoAnkiTimeouts.push(setTimeout(attempt, LOCATION_RETRY_DELAY));
     }
 
-    function checkForRoundTransition() {
-        // Get the current round ID (can be from URL or DOM)
-        const currentRoundId = extractRoundId();
+    // The card pipeline and the widget follow the lifecycle
+    function setupRoundLifecycle() {
+        const S = LIFECYCLE_STATES;
+
+        onLifecycle(S.ROUND_LOADING, (lifecycle, previous) => {
+            if (previous.gameId !== lifecycle.gameId || previous.roundNumber !== lifecycle.roundNumber) {
+                resetRoundData();
+            }
+
+            gameState.inGame = true;
+            gameState.inRound = true;
+            gameState.roundNumber = lifecycle.roundNumber;
+            gameState.roundStartTime = Date.now();
+            gameState.currentRoundKey = getLifecycleRoundKey(lifecycle);
+            getRoundTiming(gameState.currentRoundKey).startedAt = gameState.roundStartTime;
+            updateUIState({ inActiveRound: true });
+
+            ensureRoundLocation(gameState.currentRoundKey);
+
+            // Reloads and late payloads can find the panorama already on screen
+            if (document.querySelector(ROUND_HUD_SELECTOR)) {
+                dispatchLifecycleEvent({ type: LIFECYCLE_EVENTS.PANORAMA_READY, source: 'dom' });
+            }
+        });
+
+        onLifecycle(S.ROUND_ACTIVE, lifecycle => {
+            // The clock starts once the panorama is on screen, not when its payload arrived
+            gameState.roundStartTime = Date.now();
+            getRoundTiming(getLifecycleRoundKey(lifecycle)).startedAt = gameState.roundStartTime;
+
+            scheduleSnapshotCapture(getLifecycleRoundKey(lifecycle));
+        });
+
+        onLifecycle(S.GUESS_SUBMITTED, lifecycle => {
+            markRoundTiming(getLifecycleRoundKey(lifecycle), 'guessedAt');
+            gameState.inRound = false;
+            updateUIState({ inActiveRound: false });
+        });
+
+        onLifecycle(S.ROUND_RESULT, lifecycle => {
+            gameState.inRound = false;
+            handleRoundEnd(getLifecycleRoundKey(lifecycle));
+        });
 
-        if (currentRoundId && currentRoundId !== gameState.lastRoundId) {
-            DEBUG.log('New round detected:', currentRoundId);
-            gameState.lastRoundId = currentRoundId;
+        onLifecycle(S.GAME_SUMMARY, (lifecycle, previous, event) => {
+            gameState.inRound = false;
+            updateUIState({ inActiveRound: false });
+            scheduleGameReview(lifecycle.gameId, !!event.competitive);
+        });
 
-            // Reset location data for the new round
+        onLifecycle(S.IDLE, () => {
+            gameState.inGame = false;
+            gameState.inRound = false;
+            gameState.roundNumber = 0;
             resetRoundData();
+            updateUIState({ inActiveRound: false });
+        });
+    }
 
-            // Force re-detection of game state
-            gameLoop(true);
+    /* ========= DATA INTERCEPTION & ROUND DETECTION ========= */
+    // Elements GeoGuessr shows while a round is played, and once its result is on screen
+    const ROUND_HUD_SELECTOR = '[data-qa="round-number"], [data-qa="timer"], [data-qa="game-status"]';
+    const ROUND_RESULT_SELECTOR = 'div[data-qa="round-result"], button[data-qa="close-round-result"]';
 
-            // Try to get location data for the new round
-            setTimeout(() => {
-                interceptLocationData();
-            }, 500);
+    // How long the result screen may show before we stop waiting for the guess response
+    const RESULT_FALLBACK_DELAY = 3000;
+
+    // Notice SPA navigation through the History API
+    function setupUrlChangeDetection() {
+        ['pushState', 'replaceState'].forEach(method => {
+            const original = history[method];
+            history[method] = function() {
+                const result = original.apply(this, arguments);
+                handleUrlChange();
+                return result;
+            };
+        });
+
+        window.addEventListener('popstate', handleUrlChange);
+    }
+
+    function handleUrlChange() {
+        const currentUrl = window.location.href;
+        if (currentUrl === gameState.lastUrl) return;
+
+        DEBUG.log('URL changed from', gameState.lastUrl, 'to', currentUrl);
+        gameState.lastUrl = currentUrl;
+
+        if (!isInGame()) {
+            dispatchLifecycleEvent({ type: LIFECYCLE_EVENTS.LEFT_GAME, source: 'url' });
         }
+    }
 
-        // Also check for round end state changes
-        const roundEnded = isRoundEnded();
-        if (roundEnded && !gameState.isProcessingRound && gameState.inRound) {
-            DEBUG.log('Round end detected');
-            gameState.isProcessingRound = true;
-            
-            // Handle round end with a slight delay to ensure data is ready
-            setTimeout(() => {
-                handleRoundEnd();
-                gameState.isProcessingRound = false;
-            }, 1000);
+    // API responses drive the lifecycle. These observers only cover what they can miss: reloads
+    // mid-round and result screens whose guess response never came through.
+    function observeRoundScreens() {
+        const contains = (node, selector) => node.nodeType === Node.ELEMENT_NODE &&
+            (node.matches(selector) || node.querySelector(selector));
+
+        const observer = new MutationObserver(mutations => {
+            for (const mutation of mutations) {
+                for (const node of mutation.addedNodes) {
+                    if (contains(node, ROUND_RESULT_SELECTOR)) {
+                        handleResultScreen();
+                        return;
+                    }
+                    if (contains(node, ROUND_HUD_SELECTOR)) {
+                        handleRoundHud();
+                        return;
+                    }
+                }
+            }
+        });
+
+        observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    function handleRoundHud() {
+        if (!isInGame()) return;
+
+        // A round we have no payload for, ask the API about it
+        const { state } = roundLifecycle;
+        if (state === LIFECYCLE_STATES.IDLE || state === LIFECYCLE_STATES.ROUND_RESULT) {
+            syncLifecycleFromPage();
+        }
+
+        dispatchLifecycleEvent({ type: LIFECYCLE_EVENTS.PANORAMA_READY, source: 'dom' });
+    }
+
+    function handleResultScreen() {
+        const { state, gameId, roundNumber } = roundLifecycle;
+        if (![LIFECYCLE_STATES.ROUND_LOADING, LIFECYCLE_STATES.ROUND_ACTIVE, LIFECYCLE_STATES.GUESS_SUBMITTED].includes(state)) {
+            return;
+        }
+
+        DEBUG.log(`Result screen for ${getLifecycleRoundKey(roundLifecycle)} is showing before its guess response`);
+        if (!isCompetitiveGameType(getGameType())) {
+            interceptApiData();
         }
+
+        // Ignored by the reducer if the API result arrives first
+        const timeoutId = setTimeout(() => {
+            dispatchLifecycleEvent({ type: LIFECYCLE_EVENTS.RESULT_RECEIVED, gameId, roundNumber, source: 'dom' });
+        }, RESULT_FALLBACK_DELAY);
+        window.geoAnkiTimeouts.push(timeoutId);
+    }
+
+    // Bring the lifecycle up to date with a game that was already underway, e.g. after a reload.
+    // Duels and Battle Royale poll the game server themselves, so only classic games are fetched.
+    function syncLifecycleFromPage() {
+        if (!isInGame() || isCompetitiveGameType(getGameType())) return;
+
+        DEBUG.log('Syncing round lifecycle with the game API');
+        interceptApiData();
+    }
+
+    // Guesses are a POST to the game (standard, challenge, streak) or to the game server
+    function isGuessRequest(method, url) {
+        if (typeof url !== 'string' || String(method || 'GET').toUpperCase() !== 'POST') return false;
+
+        return /\/api\/v3\/games\/[^\/?#]+(?:[?#]|$)/.test(url) ||
+               (isGameServerUrl(url) && url.includes('/guess'));
     }
 
     function resetRoundData() {
@@ -616,7 +1076,9 @@
     function setupXHRInterception() {
         DEBUG.log("Setting up XHR interception");
         const originalXHROpen = XMLHttpRequest.prototype.open;
+        const originalXHRSend = XMLHttpRequest.prototype.send;
         XMLHttpRequest.prototype.open = function(method, url) {
+            this._geoAnkiGuess = isGuessRequest(method, url);
             this.addEventListener('load', function() {
                 try {
                     // For Google Maps metadata - extract panoId and other data
@@ -630,12 +1092,28 @@
                                url.includes('api/v3/challenges'))) {
                         processGeoGuessrApiResponse(this.responseText, url);
                     }
+
+                    // For Duels and Battle Royale
+                    if (isGameServerUrl(url)) {
+                        processGameServerResponse(this.responseText, url);
+                    }
+
+                    // For challenge results pages
+                    if (isChallengeResultsUrl(url)) {
+                        processChallengeResults(this.responseText, url);
+                    }
                 } catch (e) {
                     DEBUG.error("XHR Interception error", e);
                 }
             });
             return originalXHROpen.apply(this, arguments);
         };
+        XMLHttpRequest.prototype.send = function() {
+            if (this._geoAnkiGuess) {
+                dispatchLifecycleEvent({ type: LIFECYCLE_EVENTS.GUESS_SENT, source: 'xhr' });
+            }
+            return originalXHRSend.apply(this, arguments);
+        };
 
         DEBUG.log("XHR Interception set up successfully");
     }
@@ -644,6 +1122,10 @@
     function interceptFetch() {
         const originalFetch = window.fetch;
         window.fetch = function(resource, init) {
+            if (isGuessRequest(init && init.method, resource)) {
+                dispatchLifecycleEvent({ type: LIFECYCLE_EVENTS.GUESS_SENT, source: 'fetch' });
+            }
+
             if (typeof resource === 'string' &&
                 (resource.includes('api/v3/games') ||
                  resource.includes('api/v4/games') ||
@@ -670,6 +1152,24 @@
                     });
                 }
 
+                // Duels and Battle Royale state from the game server
+                if (isGameServerUrl(resource)) {
+                    response.clone().json().then(data => {
+                        processGameServerResponse(data, resource);
+                    }).catch(err => {
+                        DEBUG.error('Error processing game-server response:', err);
+                    });
+                }
+
+                // Challenge results list our finished game
+                if (isChallengeResultsUrl(resource)) {
+                    response.clone().json().then(data => {
+                        processChallengeResults(data, resource);
+                    }).catch(err => {
+                        DEBUG.error('Error processing challenge results:', err);
+                    });
+                }
+
                 return response;
             });
         };
@@ -769,24 +1269,22 @@
 
     // Extract location data from GeoGuessr API responses
     function interceptApiData() {
-        // Try to get the game token from URL
-        const urlMatch = window.location.href.match(/\/game\/([^\/]+)/);
-        if (!urlMatch || !urlMatch[1]) {
+        // Standard games carry the token in the URL, challenges resolve it through the challenge API
+        const gameToken = getGameToken();
+        const challengeId = getChallengeIdFromUrl();
+
+        let apiUrl;
+        if (gameToken && (!challengeId || gameState.challengeGames[challengeId])) {
+            apiUrl = `https://www.geoguessr.com/api/v3/games/${gameToken}`;
+        } else if (challengeId) {
+            apiUrl = `https://www.geoguessr.com/api/v3/challenges/${challengeId}/game`;
+        } else {
             DEBUG.log('Could not extract game token from URL');
             return;
         }
-
-        const gameToken = urlMatch[1];
-        const currentRound = getCurrentRoundNumber();
-        
-        // Attempt to fetch data from the API
-        const apiUrl = `https://www.geoguessr.com/api/v3/games/${gameToken}`;
         
+        // The fetch hook processes the response like any of GeoGuessr's own requests
         fetch(apiUrl)
-            .then(response => response.json())
-            .then(data => {
-                processGeoGuessrApiResponse(data, apiUrl);
-            })
             .catch(error => {
                 DEBUG.error('Error fetching API data:', error);
             });
@@ -801,21 +1299,30 @@
             if (!gameState.currentRoundKey && isInActiveRound()) {
                 gameState.currentRoundKey = generateRoundKey();
                 DEBUG.log(`Generated new round key: ${gameState.currentRoundKey}`);
+            }
 
-                // Initialize round data storage if needed
-                if (!gameState.roundLocations[gameState.currentRoundKey]) {
-                    gameState.roundLocations[gameState.currentRoundKey] = {
-                        panoId: null,
-                        location: null,
-                        heading: 0,
-                        pitch: 0,
-                        zoom: 0,
-                        country: null,
-                        countryData: null
-                    };
-                }
+            // Initialize round data storage if needed
+            if (gameState.currentRoundKey && !gameState.roundLocations[gameState.currentRoundKey]) {
+                gameState.roundLocations[gameState.currentRoundKey] = {
+                    panoId: null,
+                    location: null,
+                    heading: 0,
+                    pitch: 0,
+                    zoom: 0,
+                    country: null,
+                    countryData: null
+                };
+            }
+
+            // Image date and camera generation of the panorama
+            const metadata = recordPanoramaMetadata(responseText);
+            if (metadata && gameState.currentRoundKey && isInActiveRound()) {
+                attachPanoramaMetadata(gameState.currentRoundKey, metadata);
             }
 
+            // Street View metadata for the round means the panorama is loading
+            dispatchLifecycleEvent({ type: LIFECYCLE_EVENTS.PANORAMA_READY, source: 'maps' });
+
             // Look for panoId patterns
             const panoIdMatch = responseText.match(/"panoId":"([^"]+)"/);
             if (panoIdMatch && panoIdMatch[1]) {
@@ -918,31 +1425,51 @@
         DEBUG.log(`Processing GeoGuessr API response from ${url}`);
 
         try {
+            // XHR responses arrive as text
+            if (typeof data === 'string') {
+                data = JSON.parse(data);
+            }
+
             if (!data || !data.rounds) {
                 DEBUG.warn("Invalid GeoGuessr API response - missing rounds");
                 return;
             }
 
-            // Store game data for later use
-            if (!gameState.gameData) {
-                gameState.gameData = data;
+            // Keep the latest game payload; later responses contain more guesses and the final state
+            if (!gameState.gameData || gameState.gameData.token !== data.token) {
                 DEBUG.log("Stored game data", data);
             }
+            gameState.gameData = data;
+            recordGameSettings(data.token, data);
+
+            // Challenges are played as a game with its own token
+            const challengeId = url.includes('api/v3/challenges') ? getChallengeIdFromUrl(url) :
+                (data.type === 'challenge' ? getChallengeIdFromUrl() : null);
+            if (challengeId && data.token) {
+                rememberChallengeGame(challengeId, data.token);
+            }
 
-            // If this is round result, extract guess data
-            if (isRoundEnded() && data.player && data.player.guesses) {
-                DEBUG.log("Round ended, extracting guess data");
-                const currentRound = getCurrentRoundNumber() - 1; // 0-indexed
-
-                if (!data.player.guesses[currentRound]) {
-                    DEBUG.warn(`No guess data for round ${currentRound+1}`);
-                    return;
-                }
-
-                const guess = data.player.guesses[currentRound];
+            // The payload tells which round is current and whether we've guessed it
+            const roundNumber = data.round || 1;
+            const currentRound = roundNumber - 1; // 0-indexed
+            const guesses = data.player && data.player.guesses ? data.player.guesses : [];
+            const hasResult = !!guesses[currentRound];
+            const roundEvent = { gameId: data.token, roundNumber: roundNumber, source: 'api' };
+            const roundKey = `${data.token}-round-${roundNumber}`;
+
+            // Streak rounds have their own flow
+            if (isStreakPayload(data)) {
+                processStreakPayload(data);
+                dispatchLifecycleEvent(Object.assign({
+                    type: hasResult ? LIFECYCLE_EVENTS.RESULT_RECEIVED : LIFECYCLE_EVENTS.ROUND_LOADED
+                }, roundEvent));
+                return;
+            }
 
-                // Make sure we have the correct round key
-                const roundKey = generateRoundKey();
+            // If this is round result, extract guess data
+            if (hasResult) {
+                DEBUG.log(`Round ${roundNumber} has our guess, extracting guess data`);
+                const guess = guesses[currentRound];
                 gameState.currentRoundKey = roundKey;
 
                 // Initialize round data if needed
@@ -964,6 +1491,7 @@
 
                 // Validate coordinates before storing
                 const guessCoords = sanitizeCoordinates(guess.lat, guess.lng);
+                let override = null;
                 if (guessCoords) {
                     // Store in round-specific storage
                     gameState.roundLocations[roundKey].guessLocation = guessCoords;
@@ -979,7 +1507,7 @@
 
                         if (actualCoords) {
                             // Check for country override based on coordinates
-                            const override = checkCountryOverride(actualCoords.lat, actualCoords.lng);
+                            override = checkCountryOverride(actualCoords.lat, actualCoords.lng);
                             if (override) {
                                 processCountryOverride(override, roundKey);
                             }
@@ -1021,6 +1549,13 @@
                                 gameState.score = guess.roundScore;
                                 DEBUG.log(`Round score: ${gameState.score}`);
                             }
+
+                            // Store distance reported by GeoGuessr
+                            if (guess.distanceInMeters !== undefined) {
+                                gameState.roundLocations[roundKey].distanceMeters = guess.distanceInMeters;
+                            }
+
+                            attachRoundTiming(roundKey, guess);
                         }
                     }
 
@@ -1034,19 +1569,19 @@
                         getCountryFromCoordinates(guessCoords.lat, guessCoords.lng, true);
                     }
                 }
-            } else if (isInActiveRound() && data.rounds) {
-                // If we're in an active round and just got location data
-                DEBUG.log("Active round, processing location data");
-                const currentRound = getCurrentRoundNumber() - 1; // 0-indexed
 
-                if (data.rounds[currentRound]) {
+                dispatchLifecycleEvent(Object.assign({ type: LIFECYCLE_EVENTS.RESULT_RECEIVED }, roundEvent));
+            } else {
+                // A round we haven't guessed yet; entering it resets the per-round state first
+                dispatchLifecycleEvent(Object.assign({ type: LIFECYCLE_EVENTS.ROUND_LOADED }, roundEvent));
+                DEBUG.log(`Round ${roundNumber} in play, processing location data`);
+
+                // Only store it while that round is still current
+                if (data.rounds[currentRound] && gameState.currentRoundKey === roundKey) {
                     const actualLocation = data.rounds[currentRound];
                     const actualCoords = sanitizeCoordinates(actualLocation.lat, actualLocation.lng);
 
                     if (actualCoords) {
-                        // Make sure we have the correct round key
-                        const roundKey = generateRoundKey();
-                        gameState.currentRoundKey = roundKey;
 
                         // Initialize round data if needed
                         if (!gameState.roundLocations[roundKey]) {
@@ -1108,6 +1643,11 @@
                     }
                 }
             }
+
+            // Offer the end-of-game review once the last guess is in
+            if (data.state === 'finished') {
+                dispatchLifecycleEvent({ type: LIFECYCLE_EVENTS.GAME_FINISHED, gameId: data.token, source: 'api' });
+            }
         } catch (e) {
             DEBUG.error("Error parsing GeoGuessr API data", e);
         }
@@ -1131,13 +1671,22 @@
                 country: override.country,
                 country_code: override.countryCode.toLowerCase()
             },
-            additionalInfo: override.additionalInfo
+            additionalInfo: getCountryAdditionalInfo(override.countryCode)
         };
         
         // Store this override in both current state and round data
         if (roundKey && gameState.roundLocations[roundKey]) {
             gameState.roundLocations[roundKey].country = override.country;
             gameState.roundLocations[roundKey].countryData = countryData;
+            // Which rule fired, so overrides can be audited from the history
+            gameState.roundLocations[roundKey].overrideMatch = {
+                ruleId: override.id,
+                label: override.label || '',
+                shape: override.shape,
+                countryCode: override.countryCode,
+                matchedAt: Date.now()
+            };
+            saveRoundToHistory(roundKey);
         }
         
         gameState.actualCountry = override.country;
@@ -1178,6 +1727,7 @@
 
             // Call original constructor
             const panorama = new originalSVP(...args);
+            trackPanorama(panorama);
 
             // Extract location if available
             try {
@@ -1452,23 +2002,17 @@
             return;
         }
 
-        // Get the game token from URL or data
-        let gameToken = "";
-        const urlMatch = window.location.href.match(/\/game\/([^\/]+)/);
-        if (urlMatch && urlMatch[1]) {
-            gameToken = urlMatch[1];
-        } else if (gameState.gameData && gameState.gameData.token) {
-            gameToken = gameState.gameData.token;
-        }
+        // Round keys start with the game token, for challenges too
+        const gameToken = roundKey.replace(/-round-\d+$/, '') || getGameToken();
+        const roundNumber = parseRoundNumber(roundKey) || getCurrentRoundNumber();
 
-        if (!gameToken) {
+        if (!gameToken || gameToken === 'unknown') {
             DEBUG.error("Could not determine game token for location overview");
             prepareCountryClues(roundKey); // Generate basic clues anyway
             return;
         }
 
-        const currentRound = getCurrentRoundNumber();
-        const apiUrl = `https://www.geoguessr.com/api/v4/games/${gameToken}/round/${currentRound}/location-overview`;
+        const apiUrl = `https://www.geoguessr.com/api/v4/games/${gameToken}/round/${roundNumber}/location-overview`;
 
         // Use our safe API call function with timeout
         safeApiCall(apiUrl, {
@@ -1517,6 +2061,22 @@
 
         const missedClues = [];
 
+        // Camera generation and image date from the panorama metadata
+        const addCameraClue = (place) => {
+            if (!roundData.cameraGeneration && !roundData.imageDate) return;
+
+            const camera = CAMERA_GENERATION_LABELS[roundData.cameraGeneration];
+            const date = formatImageDate(roundData.imageDate);
+            missedClues.push({
+                category: "Camera",
+                clue: `This is ${camera || 'Street View'} coverage of ${place}${date ? `, taken in ${date}` : ''}.`
+            });
+        };
+
+        // Stored on the round so cards, the review and the history agree on it
+        const regionMistake = getRegionMistake(roundData);
+        roundData.regionMistake = regionMistake;
+
         try {
             // Generate clues only if countries differ
             if (roundData.country && roundData.guessCountry &&
@@ -1556,6 +2116,15 @@
                             clue: `${roundData.country}'s internet domain is ${roundData.countryData.additionalInfo.tld} (${roundData.guessCountry}'s is ${roundData.guessCountryData.additionalInfo.tld}).`
                         });
                     }
+
+                    // Guesses in countries GeoGuessr has no official coverage for could be ruled out
+                    const guessMetadata = getCountryMetadata(roundData.guessCountryData.countryCode);
+                    if (guessMetadata && guessMetadata.officialCoverage === false && roundData.cameraGeneration !== 'unofficial') {
+                        missedClues.push({
+                            category: "Coverage",
+                            clue: `${roundData.guessCountry} has no official Street View coverage, so an official panorama like this one can't be there.`
+                        });
+                    }
                 }
 
                 // Add location-specific clues based on location overview
@@ -1577,6 +2146,8 @@
                     }
                 }
 
+                addCameraClue(roundData.country);
+
                 // Add a generic reminder clue if we don't have many clues
                 if (missedClues.length < 2) {
                     missedClues.push({
@@ -1584,6 +2155,21 @@
                         clue: `Pay closer attention to license plates, road markings, and signage in ${roundData.country} to distinguish it from ${roundData.guessCountry}.`
                     });
                 }
+            } else if (regionMistake) {
+                const offset = describeGuessOffset(roundData);
+                missedClues.push({
+                    category: "Region",
+                    clue: offset ?
+                        `Your guess in ${regionMistake.guess} was ${offset}; this location is in ${regionMistake.actual}, ${roundData.country}.` :
+                        `This location is in ${regionMistake.actual}, ${roundData.country}, not ${regionMistake.guess}.`
+                });
+
+                addCameraClue(`${regionMistake.actual}, ${roundData.country}`);
+
+                missedClues.push({
+                    category: "General Appearance",
+                    clue: `Pay closer attention to vegetation, terrain, road markings and regional signage to tell ${regionMistake.actual} from ${regionMistake.guess}.`
+                });
             }
         } catch (e) {
             DEBUG.error("Error preparing country clues", e);
@@ -1602,6 +2188,42 @@
         gameState.missedClues = missedClues;
 
         DEBUG.log("Generated clues:", missedClues);
+
+        saveRoundToHistory(roundKey);
+    }
+
+    // A miss inside the right country that's worth a card: the state or province differs, the
+    // country has region cards enabled and the guess was at least regionMinDistance off.
+    // Returns { actual, guess } region names, or null.
+    function getRegionMistake(roundData) {
+        if (!settings.regionMistakes || !roundData.country || roundData.country !== roundData.guessCountry) {
+            return null;
+        }
+
+        const countryCode = roundData.countryData && roundData.countryData.countryCode;
+        if (!countryCode || !(settings.regionCountries || []).includes(countryCode)) {
+            return null;
+        }
+
+        const actual = roundData.countryData.state;
+        const guess = roundData.guessCountryData && roundData.guessCountryData.state;
+        if (!actual || !guess || actual === guess) {
+            return null;
+        }
+
+        const offset = getGuessOffset(roundData);
+        if (offset && offset.distanceMeters < distanceSettingToMeters(settings.regionMinDistance)) {
+            DEBUG.log(`${guess} instead of ${actual} was only ${formatDistance(offset.distanceMeters)} off, not a region mistake`);
+            return null;
+        }
+
+        return { actual, guess };
+    }
+
+    // Wrong country, or a region mistake
+    function isRoundMistake(roundData) {
+        return !!(roundData.country && roundData.guessCountry &&
+            (roundData.country !== roundData.guessCountry || roundData.regionMistake));
     }
 
     function arraysHaveSameElements(arr1, arr2) {
@@ -1614,8 +2236,11 @@
         return true;
     }
 
-    // Get country info from coordinates using Nominatim with robust error handling
-    async function getCountryFromCoordinates(lat, lng, isGuess = false) {
+    // Get country info from coordinates with robust error handling. The country comes from the
+    // offline geocoder; Nominatim adds city-level detail and decides for points near a border or
+    // outside the bundled boundaries. With a roundKey only that round is updated, otherwise the
+    // current round and state.
+    async function getCountryFromCoordinates(lat, lng, isGuess = false, roundKey = null) {
         try {
             DEBUG.log(`Getting country info for ${lat}, ${lng} (isGuess: ${isGuess})`);
 
@@ -1629,121 +2254,177 @@
             // First check if this coordinate has a known override
             const override = checkCountryOverride(lat, lng);
             if (override && !isGuess) {
-                processCountryOverride(override);
+                processCountryOverride(override, roundKey);
                 return;
             }
 
-            const url = `https://nominatim.openstreetmap.org/reverse?lat=${coords.lat}&lon=${coords.lng}&format=json&addressdetails=1`;
+            const local = lookupCountryOffline(coords.lat, coords.lng);
+            if (local && !local.approximate) {
+                DEBUG.log(`Offline geocoder: ${local.country} (${local.countryCode})`);
 
-            const data = await safeApiCall(url);
-            if (!data) {
-                DEBUG.warn("Failed to get country info from Nominatim");
-                return null;
-            }
+                const result = buildCountryResult(local.country, local.countryCode, {
+                    country: local.country,
+                    country_code: local.countryCode.toLowerCase()
+                });
+                applyCountryResult(result, isGuess, roundKey);
 
-            DEBUG.log("Nominatim response received", data);
+                if (settings.cityLevelGeocoding) {
+                    addPlaceDetails(coords, result, local, isGuess, roundKey);
+                }
+                return result;
+            }
 
-            if (!data.address || !data.address.country) {
-                DEBUG.warn("Country not found in Nominatim response");
+            // Near a border the offline answer is only a best guess and outside every bundled
+            // boundary there is none, so Nominatim decides. Without it the country stays unknown.
+            if (local) {
+                DEBUG.log(`Offline geocoder: ${local.country} (${local.countryCode}) is near a border, asking Nominatim`);
+            }
+            const address = await reverseGeocode(coords);
+            if (!address) {
                 return null;
             }
 
-            const country = data.address.country;
-            const countryCode = data.address.country_code ? data.address.country_code.toUpperCase() : null;
+            const result = buildCountryResult(address.country,
+                address.country_code ? address.country_code.toUpperCase() : null, address);
+            applyCountryResult(result, isGuess, roundKey);
+            return result;
+        } catch (e) {
+            DEBUG.error("Error fetching country info from coordinates", e);
+            return null;
+        }
+    }
 
-            // Get additional country info from REST Countries API
-            let additionalInfo = {
-                tld: 'Unknown',
-                drivingSide: 'Unknown',
-                languages: ['Unknown'],
-                currency: 'Unknown',
-                flagUrl: null,
-                continent: 'Unknown',
-                capital: 'Unknown'
-            };
+    // Nominatim address of a coordinate, or null
+    async function reverseGeocode(coords) {
+        const address = await lookupAddress(coords.lat, coords.lng);
+        if (!address) {
+            DEBUG.warn("Country not found in Nominatim response");
+            return null;
+        }
 
-            if (countryCode) {
-                try {
-                    const restUrl = `https://restcountries.com/v3.1/alpha/${countryCode}`;
-                    DEBUG.log(`Fetching additional country info from ${restUrl}`);
-
-                    const restData = await safeApiCall(restUrl);
-                    if (restData && restData[0]) {
-                        const countryData = restData[0];
-
-                        additionalInfo = {
-                            tld: countryData.tld && countryData.tld.length > 0 ? countryData.tld[0] : 'Unknown',
-                            drivingSide: countryData.car && countryData.car.side ? countryData.car.side : 'Unknown',
-                            languages: countryData.languages ? Object.values(countryData.languages) : ['Unknown'],
-                            currency: countryData.currencies ? Object.values(countryData.currencies)[0].name : 'Unknown',
-                            flagUrl: countryCode ? `https://flagcdn.com/w320/${countryCode.toLowerCase()}.png` : null,
-                            continent: countryData.continents && countryData.continents.length > 0 ? countryData.continents[0] : 'Unknown',
-                            capital: countryData.capital && countryData.capital.length > 0 ? countryData.capital[0] : 'Unknown'
-                        };
-                    }
-                } catch (e) {
-                    DEBUG.error("Error getting additional country info", e);
-                }
-            }
+        DEBUG.log("Nominatim address received", address);
+        return address;
+    }
 
-            const result = {
-                country: country,
-                countryCode: countryCode,
-                state: data.address.state || data.address.county || null,
-                city: data.address.city || data.address.town || data.address.village || null,
-                details: data.address,
-                additionalInfo: additionalInfo
-            };
+    // Country data structure used for rounds, with details from the country metadata table
+    function buildCountryResult(country, countryCode, address) {
+        const result = {
+            country: country,
+            countryCode: countryCode,
+            state: address.state || address.county || null,
+            city: address.city || address.town || address.village || null,
+            details: address,
+            additionalInfo: getCountryAdditionalInfo(countryCode)
+        };
 
-            DEBUG.log("Processed country info", result);
+        DEBUG.log("Processed country info", result);
+        return result;
+    }
 
-            // Update state based on whether this is a guess or actual location
-            if (isGuess) {
-                // Generate round key if not already set
-                if (!gameState.currentRoundKey) {
-                    gameState.currentRoundKey = generateRoundKey();
+    // City and state for an offline result from Nominatim. Should Nominatim still place the point
+    // in another country, it wins, and the clues and an open card prompt are redone for it.
+    // Without a roundKey the result belongs to the round in progress when it was looked up.
+    function addPlaceDetails(coords, result, local, isGuess, roundKey) {
+        const liveRoundKey = roundKey ? null : gameState.currentRoundKey;
+
+        reverseGeocode(coords)
+            .then(address => {
+                if (!address) return;
+
+                const key = roundKey || liveRoundKey;
+                const roundData = gameState.roundLocations[key];
+                const countryCode = address.country_code ? address.country_code.toUpperCase() : null;
+                if (countryCode && countryCode !== local.countryCode) {
+                    DEBUG.log(`Nominatim places ${coords.lat}, ${coords.lng} in ${address.country}, not ${local.country}`);
+
+                    const corrected = buildCountryResult(address.country, countryCode, address);
+                    if (liveRoundKey && liveRoundKey === gameState.currentRoundKey) {
+                        // The overview is fetched again so the clues are rebuilt for the corrected country
+                        if (roundData) {
+                            roundData.locationOverview = null;
+                        }
+                        applyCountryResult(corrected, isGuess);
+                        refreshCardPrompt(isGuess, local.country);
+                    } else {
+                        applyCountryResult(corrected, isGuess, key);
+                    }
+                    return;
                 }
 
-                // Update guess country data
-                if (gameState.roundLocations[gameState.currentRoundKey]) {
-                    gameState.roundLocations[gameState.currentRoundKey].guessCountry = country;
-                    gameState.roundLocations[gameState.currentRoundKey].guessCountryData = result;
+                result.state = address.state || address.county || null;
+                result.city = address.city || address.town || address.village || null;
+                result.details = address;
+                if (!roundData) return;
+
+                // States can turn a correct country into a region mistake
+                if (roundData.country && roundData.guessCountry) {
+                    prepareCountryClues(key);
+                } else {
+                    saveRoundToHistory(key);
                 }
+            })
+            .catch(error => DEBUG.error("Error adding place details", error));
+    }
 
-                // Update current state
-                gameState.guessCountry = country;
-                gameState.guessCountryData = result;
+    // Store a country result on a round. With a roundKey only that round is updated, otherwise
+    // the current round and state.
+    function applyCountryResult(result, isGuess, roundKey) {
+        const country = result.country;
 
-                // If we have both actual and guess countries, fetch location overview
-                if (gameState.roundLocations[gameState.currentRoundKey]?.country) {
-                    fetchLocationOverview(gameState.currentRoundKey);
-                }
-            } else {
-                // Generate round key if not already set
-                if (!gameState.currentRoundKey) {
-                    gameState.currentRoundKey = generateRoundKey();
-                }
+        if (roundKey) {
+            const roundData = gameState.roundLocations[roundKey];
+            if (roundData) {
+                roundData[isGuess ? 'guessCountry' : 'country'] = country;
+                roundData[isGuess ? 'guessCountryData' : 'countryData'] = result;
 
-                // Update actual country data
-                if (gameState.roundLocations[gameState.currentRoundKey]) {
-                    gameState.roundLocations[gameState.currentRoundKey].country = country;
-                    gameState.roundLocations[gameState.currentRoundKey].countryData = result;
+                if (roundData.country && roundData.guessCountry) {
+                    prepareCountryClues(roundKey);
                 }
+            }
+            return;
+        }
 
-                // Update current state
-                gameState.actualCountry = country;
-                gameState.countryData = result;
+        // Update state based on whether this is a guess or actual location
+        if (isGuess) {
+            // Generate round key if not already set
+            if (!gameState.currentRoundKey) {
+                gameState.currentRoundKey = generateRoundKey();
+            }
 
-                // If we have both actual and guess countries, fetch location overview
-                if (gameState.roundLocations[gameState.currentRoundKey]?.guessCountry) {
-                    fetchLocationOverview(gameState.currentRoundKey);
-                }
+            // Update guess country data
+            if (gameState.roundLocations[gameState.currentRoundKey]) {
+                gameState.roundLocations[gameState.currentRoundKey].guessCountry = country;
+                gameState.roundLocations[gameState.currentRoundKey].guessCountryData = result;
             }
 
-            return result;
-        } catch (e) {
-            DEBUG.error("Error fetching country info from coordinates", e);
-            return null;
+            // Update current state
+            gameState.guessCountry = country;
+            gameState.guessCountryData = result;
+
+            // If we have both actual and guess countries, fetch location overview
+            if (gameState.roundLocations[gameState.currentRoundKey]?.country) {
+                fetchLocationOverview(gameState.currentRoundKey);
+            }
+        } else {
+            // Generate round key if not already set
+            if (!gameState.currentRoundKey) {
+                gameState.currentRoundKey = generateRoundKey();
+            }
+
+            // Update actual country data
+            if (gameState.roundLocations[gameState.currentRoundKey]) {
+                gameState.roundLocations[gameState.currentRoundKey].country = country;
+                gameState.roundLocations[gameState.currentRoundKey].countryData = result;
+            }
+
+            // Update current state
+            gameState.actualCountry = country;
+            gameState.countryData = result;
+
+            // If we have both actual and guess countries, fetch location overview
+            if (gameState.roundLocations[gameState.currentRoundKey]?.guessCountry) {
+                fetchLocationOverview(gameState.currentRoundKey);
+            }
         }
     }
 
@@ -1754,54 +2435,28 @@
             return;
         }
 
-        DEBUG.log('Fetching country info for code:', countryCode);
+        const metadata = getCountryMetadata(countryCode);
+        if (!metadata) {
+            DEBUG.warn('No country metadata for code:', countryCode);
+            return;
+        }
 
-        // Use RestCountries API for details
-        fetch(`https://restcountries.com/v3.1/alpha/${countryCode}`)
-            .then(response => response.json())
-            .then(data => {
-                if (data && data.length > 0) {
-                    const countryData = data[0];
-                    
-                    DEBUG.log('Received country data:', countryData.name);
-
-                    // Create our country data structure
-                    const result = {
-                        country: countryData.name.common,
-                        countryCode: countryCode,
-                        state: null,
-                        city: null,
-                        details: {
-                            country: countryData.name.common,
-                            country_code: countryCode.toLowerCase()
-                        },
-                        additionalInfo: {
-                            tld: countryData.tld && countryData.tld.length > 0 ? countryData.tld[0] : 'Unknown',
-                            drivingSide: countryData.car && countryData.car.side ? countryData.car.side : 'Unknown',
-                            languages: countryData.languages ? Object.values(countryData.languages) : ['Unknown'],
-                            currency: countryData.currencies ? Object.values(countryData.currencies)[0].name : 'Unknown',
-                            flagUrl: `https://flagcdn.com/w320/${countryCode.toLowerCase()}.png`,
-                            continent: countryData.continents && countryData.continents.length > 0 ? countryData.continents[0] : 'Unknown',
-                            capital: countryData.capital && countryData.capital.length > 0 ? countryData.capital[0] : 'Unknown'
-                        }
-                    };
+        const result = buildCountryResult(metadata.name, metadata.countryCode, {
+            country: metadata.name,
+            country_code: metadata.countryCode.toLowerCase()
+        });
 
-                    // Store data in game state
-                    gameState.countryData = result;
-                    gameState.actualCountry = countryData.name.common;
+        // Store data in game state
+        gameState.countryData = result;
+        gameState.actualCountry = metadata.name;
 
-                    // Also update round-specific data
-                    if (gameState.currentRoundKey && gameState.roundLocations[gameState.currentRoundKey]) {
-                        gameState.roundLocations[gameState.currentRoundKey].country = countryData.name.common;
-                        gameState.roundLocations[gameState.currentRoundKey].countryData = result;
-                    }
+        // Also update round-specific data
+        if (gameState.currentRoundKey && gameState.roundLocations[gameState.currentRoundKey]) {
+            gameState.roundLocations[gameState.currentRoundKey].country = metadata.name;
+            gameState.roundLocations[gameState.currentRoundKey].countryData = result;
+        }
 
-                    DEBUG.log('Country info updated', result);
-                }
-            })
-            .catch(error => {
-                DEBUG.error('Error fetching country details:', error);
-            });
+        DEBUG.log('Country info updated', result);
     }
 
     // More robust DOM extraction with multiple fallback approaches
@@ -1886,1306 +2541,5502 @@
         return null;
     }
 
-    /* ========= ANKI CARD BUILDING ========= */
-    function buildAnkiCardData(useDefaults = false) {
-        const roundKey = gameState.currentRoundKey;
-        if (!roundKey) {
-            DEBUG.error("No round key available for buildAnkiCardData");
-            return null;
-        }
+    /* ========= OFFLINE GEOCODER ========= */
+    // Country lookups against the bundled boundaries, so rounds resolve their country without
+    // waiting for Nominatim, and also when OSM is blocked or we're offline.
+    // The outlines in data/country-boundaries.json are OpenStreetMap's country borders including
+    // territorial waters, from the @osm_borders/maritime_100m package (© OpenStreetMap
+    // contributors, ODbL). Keyed by ISO 3166-1 alpha-2 code: [name, rings], rings being comma
+    // separated encoded polylines with four decimals. Land borders are simplified to within
+    // 100 m, outlines out at sea to within 2 km.
+
+    // Size of the spatial index cells in degrees
+    const GEOCODER_CELL_SIZE = 2;
+
+    // Land borders can be off by up to about 200 m, so a point within this many degrees (about
+    // 300 m) of another country's outline is only a best guess
+    const GEOCODER_BORDER_TOLERANCE = 0.003;
+
+    // The boundaries resource, parsed on the first lookup
+    let countryBoundaries = null;
+
+    // Built on the first lookup: decoded rings plus the rings overlapping each grid cell
+    let geocoderIndex = null;
+
+    // Rings are stored as Google encoded polylines with four decimals
+    function decodeBoundaryRing(encoded) {
+        const lats = [];
+        const lngs = [];
+        let index = 0;
+        let lat = 0;
+        let lng = 0;
+
+        const nextValue = () => {
+            let result = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            return result & 1 ? ~(result >> 1) : result >> 1;
+        };
 
-        // Get the round-specific data
-        const roundData = gameState.roundLocations[roundKey];
-        if (!roundData) {
-            DEBUG.error(`No round data found for key ${roundKey} when building Anki card`);
-            return null;
+        while (index < encoded.length) {
+            lat += nextValue();
+            lng += nextValue();
+            lats.push(lat / 10000);
+            lngs.push(lng / 10000);
         }
 
-        // For instant add, we can use default values for missing data
-        if (useDefaults) {
-            if (!roundData.country) {
-                // Try DOM extraction if API data is missing
-                const extractedCountry = extractCountryFromDOM();
-                if (extractedCountry) {
-                    roundData.country = extractedCountry;
-                    gameState.actualCountry = extractedCountry;
-                } else {
-                    // Use a default value if we can't determine the country
-                    roundData.country = "Unknown Country";
-                    gameState.actualCountry = "Unknown Country";
+        return {
+            lats: lats,
+            lngs: lngs,
+            minLat: Math.min(...lats),
+            maxLat: Math.max(...lats),
+            minLng: Math.min(...lngs),
+            maxLng: Math.max(...lngs)
+        };
+    }
+
+    function geocoderCellKey(latCell, lngCell) {
+        return `${latCell}:${lngCell}`;
+    }
+
+    function buildGeocoderIndex() {
+        const startedAt = Date.now();
+        const rings = [];
+        const cells = new Map();
+
+        countryBoundaries = JSON.parse(GM_getResourceText('countryBoundaries'));
+        Object.keys(countryBoundaries).forEach(countryCode => {
+            countryBoundaries[countryCode][1].split(',').forEach(encoded => {
+                const ring = decodeBoundaryRing(encoded);
+                ring.countryCode = countryCode;
+                ring.area = (ring.maxLat - ring.minLat) * (ring.maxLng - ring.minLng);
+                rings.push(ring);
+
+                for (let latCell = Math.floor(ring.minLat / GEOCODER_CELL_SIZE); latCell <= Math.floor(ring.maxLat / GEOCODER_CELL_SIZE); latCell++) {
+                    for (let lngCell = Math.floor(ring.minLng / GEOCODER_CELL_SIZE); lngCell <= Math.floor(ring.maxLng / GEOCODER_CELL_SIZE); lngCell++) {
+                        const key = geocoderCellKey(latCell, lngCell);
+                        if (!cells.has(key)) cells.set(key, []);
+                        cells.get(key).push(ring);
+                    }
                 }
-            }
+            });
+        });
 
-            if (!roundData.guessCountry) {
-                // Use a default for guessed country
-                roundData.guessCountry = "Unknown Guess";
-                gameState.guessCountry = "Unknown Guess";
+        DEBUG.log(`Offline geocoder indexed ${rings.length} rings in ${Date.now() - startedAt}ms`);
+        return { rings: rings, cells: cells };
+    }
+
+    function getGeocoderCandidates(lat, lng, radiusCells = 0) {
+        if (!geocoderIndex) {
+            geocoderIndex = buildGeocoderIndex();
+        }
+
+        const latCell = Math.floor(lat / GEOCODER_CELL_SIZE);
+        const lngCell = Math.floor(lng / GEOCODER_CELL_SIZE);
+        const candidates = new Set();
+        for (let dLat = -radiusCells; dLat <= radiusCells; dLat++) {
+            for (let dLng = -radiusCells; dLng <= radiusCells; dLng++) {
+                (geocoderIndex.cells.get(geocoderCellKey(latCell + dLat, lngCell + dLng)) || []).forEach(ring => candidates.add(ring));
             }
-        } else {
-            // For regular add, ensure we have the necessary data
-            if (!roundData.country || !roundData.guessCountry) {
-                DEBUG.error("Missing country data for Anki card");
-                return null;
+        }
+        return Array.from(candidates);
+    }
+
+    // Ray casting: does a horizontal ray from the point cross the ring an odd number of times?
+    function ringContains(ring, lat, lng) {
+        let inside = false;
+        const { lats, lngs } = ring;
+        for (let i = 0, j = lats.length - 1; i < lats.length; j = i++) {
+            if ((lats[i] > lat) !== (lats[j] > lat) &&
+                lng < (lngs[j] - lngs[i]) * (lat - lats[i]) / (lats[j] - lats[i]) + lngs[i]) {
+                inside = !inside;
             }
         }
+        return inside;
+    }
 
-        // Prepare Street View link for the correct location
-        let mapsLink = "#";
-        if (isValidCoordinate(roundData.location)) {
-            const lat = roundData.location.lat.toFixed(6);
-            const lng = roundData.location.lng.toFixed(6);
+    // Distance in degrees (longitude scaled to the latitude) from a point to a ring's outline
+    function distanceToRing(ring, lat, lng) {
+        const scale = Math.cos(toRadians(lat));
+        const { lats, lngs } = ring;
+        let best = Infinity;
+
+        for (let i = 0, j = lats.length - 1; i < lats.length; j = i++) {
+            const ax = lngs[j] * scale, ay = lats[j];
+            const bx = lngs[i] * scale, by = lats[i];
+            const px = lng * scale, py = lat;
+            const dx = bx - ax, dy = by - ay;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0;
+            best = Math.min(best, Math.hypot(ax + t * dx - px, ay + t * dy - py));
+        }
+        return best;
+    }
 
-            // Create a proper Street View link with panoId if available
-            if (roundData.panoId) {
-                mapsLink = createStreetViewLink(
-                    lat, lng,
-                    roundData.panoId,
-                    roundData.heading || 0,
-                    roundData.pitch || 0,
-                    roundData.zoom || 0
-                );
-            } else {
-                mapsLink = `https://www.google.com/maps/@${lat},${lng},3a,90y,0h,0t/data=!3m1!1e1`;
-            }
+    // Whether a ring's bounding box comes within tolerance degrees of the point
+    function isNearRingBounds(ring, lat, lng, tolerance) {
+        const lngTolerance = tolerance / Math.max(Math.cos(toRadians(lat)), 0.01);
+        return lat >= ring.minLat - tolerance && lat <= ring.maxLat + tolerance &&
+            lng >= ring.minLng - lngTolerance && lng <= ring.maxLng + lngTolerance;
+    }
 
-            // Validate the generated URL
-            if (!mapsLink || mapsLink === "#" || !mapsLink.startsWith("http")) {
-                DEBUG.warn("Generated invalid Maps URL, using fallback");
-                mapsLink = `https://www.google.com/maps/@${lat},${lng},12z`;
+    // Whether the point lies near the outline of a country other than countryCode
+    function isNearOtherCountry(countryCode, lat, lng) {
+        return getGeocoderCandidates(lat, lng, 1).some(ring =>
+            ring.countryCode !== countryCode &&
+            isNearRingBounds(ring, lat, lng, GEOCODER_BORDER_TOLERANCE) &&
+            distanceToRing(ring, lat, lng) < GEOCODER_BORDER_TOLERANCE);
+    }
+
+    // Distance in meters from a point to the nearest outline of a country other than countryCode,
+    // searched up to maxMeters away. Infinity when no other country is that close.
+    function distanceToOtherCountry(countryCode, lat, lng, maxMeters) {
+        const maxDegrees = maxMeters / EARTH_RADIUS_METERS * 180 / Math.PI;
+        const radiusCells = Math.ceil(maxDegrees / Math.max(Math.cos(toRadians(lat)), 0.01) / GEOCODER_CELL_SIZE);
+
+        let nearest = Infinity;
+        getGeocoderCandidates(lat, lng, radiusCells).forEach(ring => {
+            if (ring.countryCode === countryCode || !isNearRingBounds(ring, lat, lng, maxDegrees)) return;
+            nearest = Math.min(nearest, distanceToRing(ring, lat, lng));
+        });
+        return nearest <= maxDegrees ? nearest * EARTH_RADIUS_METERS * Math.PI / 180 : Infinity;
+    }
+
+    // Country of a coordinate from the bundled boundaries: { countryCode, country, approximate }
+    // or null for points beyond territorial waters. Results near a border are approximate.
+    function lookupCountryOffline(lat, lng) {
+        const candidates = getGeocoderCandidates(lat, lng)
+            .filter(ring => lat >= ring.minLat && lat <= ring.maxLat && lng >= ring.minLng && lng <= ring.maxLng);
+
+        // Holes (enclaves like Lesotho) are rings of the surrounding country, so count per country
+        const crossings = {};
+        candidates.forEach(ring => {
+            if (ringContains(ring, lat, lng)) {
+                crossings[ring.countryCode] = (crossings[ring.countryCode] || 0) + 1;
             }
-        }
+        });
 
-        // Get location names with null checking
-        const guessCity = roundData.guessCountryData && roundData.guessCountryData.city ?
-            roundData.guessCountryData.city : "Unknown location";
-        const actualCity = roundData.countryData && roundData.countryData.city ?
-            roundData.countryData.city : "Unknown location";
+        // Where outlines overlap (disputed waters), the smaller ring is the more specific answer
+        const containing = candidates
+            .filter(ring => crossings[ring.countryCode] % 2 === 1 && ringContains(ring, lat, lng))
+            .sort((a, b) => a.area - b.area);
+        if (containing.length === 0) return null;
 
-        // Get additional info with null checking
-        const continent = roundData.countryData && roundData.countryData.additionalInfo &&
-            roundData.countryData.additionalInfo.continent ?
-            roundData.countryData.additionalInfo.continent : "Unknown";
+        const countryCode = containing[0].countryCode;
+        const overlapping = containing.some(ring => ring.countryCode !== countryCode);
+        return describeOfflineCountry(countryCode, overlapping || isNearOtherCountry(countryCode, lat, lng));
+    }
 
-        const drivingSide = roundData.countryData && roundData.countryData.additionalInfo &&
-            roundData.countryData.additionalInfo.drivingSide ?
-            roundData.countryData.additionalInfo.drivingSide : "Unknown";
+    function describeOfflineCountry(countryCode, approximate) {
+        return {
+            countryCode: countryCode,
+            country: countryBoundaries[countryCode][0],
+            approximate: approximate
+        };
+    }
 
-        // Front of card (question) - hide location link based on settings
-        let frontField;
-        if (mapsLink && mapsLink !== "#" && !settings.hideLocationInFrontCard) {
-            // Only show maps link if explicitly enabled in settings
-            frontField = `You guessed ${roundData.guessCountry}, but the correct answer was ${roundData.country}. What clues did you miss? 🌍<br><br>
-🔗 <a href="${mapsLink}" target="_blank">Google Maps Link: View Correct Location</a>`;
-        } else {
-            // Default: Hide location link to prevent leaking coordinates
-            frontField = `You guessed ${roundData.guessCountry}, but the correct answer was ${roundData.country}. What clues did you miss? 🌍`;
-        }
+    /* ========= LOOKUP CACHE ========= */
+    // Nominatim responses are kept in GM storage so replaying a map doesn't repeat lookups, and
+    // every request to Nominatim and REST Countries goes through a per-host queue.
+    const LOOKUP_CACHE_STORAGE_KEY = 'geoanki_lookup_cache';
 
-        // Flag image URL with fallback
-        let flagUrl = "";
-        let flagHtml = "";
+    const DAY_MS = 24 * 60 * 60 * 1000;
 
-        if (roundData.countryData && roundData.countryData.countryCode) {
-            flagUrl = `https://flagcdn.com/w320/${roundData.countryData.countryCode.toLowerCase()}.png`;
-            flagHtml = ` <img src="${flagUrl}" class="flag-image" alt="Flag of ${roundData.country}" onerror="this.style.display='none'">`;
-        }
+    const LOOKUP_CACHE_TTLS = {
+        nominatim: 30 * DAY_MS
+    };
+
+    // Oldest entries are dropped beyond this
+    const LOOKUP_CACHE_MAX_ENTRIES = 5000;
 
-        // Back of card (answer) - uses user's custom input or default content
-        let backField = `<h3>✅ Correct Answer: <strong>${roundData.country}</strong>${flagHtml}</h3>
-<h3>❌ Mistake: Guessed ${roundData.guessCountry}</h3>
+    // Reverse lookups are keyed by coordinates rounded to about 10 m
+    const LOOKUP_COORDINATE_PRECISION = 4;
 
-<p>📍 <strong>Your Guess:</strong> ${guessCity}, <strong>${roundData.guessCountry}</strong></p>
-<p>📍 <strong>Correct Location:</strong> ${actualCity}, <strong>${roundData.country}</strong></p>`;
+    // Minimum time between request starts per host. Nominatim allows one request per second.
+    const REQUEST_SPACING = {
+        'nominatim.openstreetmap.org': 1100,
+        'restcountries.com': 200
+    };
+
+    let lookupCache = null;
+    const pendingLookups = {};
+    const requestQueues = {};
 
-        // Only show Maps link in the back of the card
-        if (mapsLink && mapsLink !== "#") {
-            backField += `
-<p>🔗 <a href="${mapsLink}" target="_blank">View on Google Maps</a></p>`;
+    const lookupCacheStats = { hits: 0, misses: 0 };
+
+    function getLookupCache() {
+        if (!lookupCache) {
+            lookupCache = GM_getValue(LOOKUP_CACHE_STORAGE_KEY, {});
         }
+        return lookupCache;
+    }
 
-        backField += `
-<p>🌎 <strong>Continent:</strong> <strong>${continent}</strong></p>
-<p>🚗 <strong>Driving Side:</strong> <strong>${drivingSide}</strong></p>`;
+    const persistLookupCache = debounce(() => {
+        GM_setValue(LOOKUP_CACHE_STORAGE_KEY, getLookupCache());
+    }, 2000);
 
-        // Use user's custom missed clues if provided and not using defaults,
-        // otherwise use the generated ones or a generic fallback for instant add
-        if (gameState.userMissedClues && gameState.userMissedClues.trim() && !useDefaults) {
-            backField += `
-<h3>🛑 Key Clues You Missed:</h3>
-<p>${gameState.userMissedClues}</p>`;
-        } else {
-            backField += `
-<h3>🛑 Key Clues You Missed:</h3>
-<ul>`;
-            // Add missed clues with null checking
-            if (roundData.missedClues && roundData.missedClues.length > 0) {
-                roundData.missedClues.forEach(clue => {
-                    if (clue && clue.category && clue.clue) {
-                        backField += `<li><strong>${clue.category}:</strong> ${clue.clue}</li>`;
-                    }
-                });
-            } else {
-                backField += `<li><strong>General:</strong> Pay attention to distinctive features in ${roundData.country}.</li>`;
-            }
-            backField += `</ul>`;
+    // Drop expired entries, then the oldest ones while over the size limit
+    function pruneLookupCache(now = Date.now()) {
+        const cache = getLookupCache();
+        Object.keys(cache).forEach(key => {
+            if (cache[key].expiresAt <= now) delete cache[key];
+        });
+
+        const keys = Object.keys(cache);
+        if (keys.length > LOOKUP_CACHE_MAX_ENTRIES) {
+            keys.sort((a, b) => cache[a].storedAt - cache[b].storedAt)
+                .slice(0, keys.length - LOOKUP_CACHE_MAX_ENTRIES)
+                .forEach(key => delete cache[key]);
         }
+    }
 
-        // Use user's custom reminder if provided and not using defaults,
-        // otherwise use the generated one or a generic fallback for instant add
-        if (gameState.userReminder && gameState.userReminder.trim() && !useDefaults) {
-            backField += `
-<h3>Next Time, Remember:</h3>
-<p>⚡ <em>${gameState.userReminder}</em></p>`;
+    function clearLookupCache(expiredOnly = false) {
+        if (expiredOnly) {
+            pruneLookupCache();
         } else {
-            backField += `
-<h3>Next Time, Remember:</h3>
-<p>⚡ <em>"If it looks like ${roundData.guessCountry} but has ${getSingleDistinctiveClue(roundKey)} → Think ${roundData.country}!"</em></p>`;
+            lookupCache = {};
         }
+        GM_setValue(LOOKUP_CACHE_STORAGE_KEY, getLookupCache());
+    }
 
-        return {
-            frontField: frontField,
-            backField: backField,
-            mapsLink: mapsLink,
-            actualCountry: roundData.country,
-            guessCountry: roundData.guessCountry,
-            roundKey: roundKey
-        };
+    // Runs request() once every earlier request to the same host has finished and the host's
+    // spacing has passed
+    function scheduleRequest(url, request) {
+        const host = new URL(url).hostname;
+        const queue = requestQueues[host] || (requestQueues[host] = { tail: Promise.resolve(), lastStart: 0 });
+
+        const run = queue.tail
+            .then(() => {
+                const wait = queue.lastStart + (REQUEST_SPACING[host] || 0) - Date.now();
+                return wait > 0 ? new Promise(resolve => setTimeout(resolve, wait)) : null;
+            })
+            .then(() => {
+                queue.lastStart = Date.now();
+                return request();
+            });
+
+        queue.tail = run.catch(() => null);
+        return run;
     }
 
-    function getSingleDistinctiveClue(roundKey) {
-        if (!roundKey) {
-            roundKey = gameState.currentRoundKey;
-            if (!roundKey) {
-                DEBUG.warn("No round key available for getSingleDistinctiveClue");
-                return "distinctive local features";
-            }
+    // Cached response for `${kind}:${id}`, fetched through the host queue on a miss. extract()
+    // turns the response into what is stored; a failed request resolves to null and isn't cached.
+    function cachedLookup(kind, id, url, extract) {
+        const key = `${kind}:${id}`;
+        const cache = getLookupCache();
+        const entry = cache[key];
+
+        if (entry && entry.expiresAt > Date.now()) {
+            entry.hits = (entry.hits || 0) + 1;
+            lookupCacheStats.hits++;
+            persistLookupCache();
+            DEBUG.log(`Lookup cache hit for ${key}`);
+            return Promise.resolve(entry.value);
         }
 
-        // Get the round-specific data
-        const roundData = gameState.roundLocations[roundKey];
-        if (!roundData) {
-            DEBUG.warn(`No round data found for key ${roundKey}`);
-            return "distinctive local features";
-        }
+        if (pendingLookups[key]) return pendingLookups[key];
 
-        try {
-            // Extract a single distinctive clue for quick reference
-            if (roundData.missedClues && roundData.missedClues.length > 0) {
-                // Try to find a specific, concrete clue
-                for (const clue of roundData.missedClues) {
-                    // Look for specific clue categories
-                    if (["Driving Side", "Language", "Coverage Type"].includes(clue.category)) {
-                        // Extract a short distinctive feature from the clue
-                        const extractedDetail = clue.clue.match(/has (.+?) (?:signs|poles|antennas|coverage)/i);
-                        if (extractedDetail && extractedDetail[1]) {
-                            return `${extractedDetail[1]}`;
-                        }
+        lookupCacheStats.misses++;
+        pendingLookups[key] = scheduleRequest(url, () => safeApiCall(url))
+            .then(data => {
+                if (data === null) return null;
+
+                const value = extract(data);
+                const now = Date.now();
+                getLookupCache()[key] = { value, storedAt: now, expiresAt: now + LOOKUP_CACHE_TTLS[kind], hits: 0 };
+                pruneLookupCache(now);
+                persistLookupCache();
+                return value;
+            })
+            .finally(() => {
+                delete pendingLookups[key];
+            });
 
-                        // If we can't extract a specific detail, return a shortened version
-                        const shortClue = clue.clue.split('(')[0].trim();
-                        if (shortClue.length < 50) return shortClue;
-                    }
-                }
+        return pendingLookups[key];
+    }
 
-                // Fallback to first clue if we couldn't find a good specific one
-                if (roundData.missedClues[0] && roundData.missedClues[0].clue) {
-                    const firstClue = roundData.missedClues[0].clue;
-                    // Shorten it to make it more memorable
-                    const shortened = firstClue.split('.')[0];
-                    return shortened.length < 40 ? shortened : "different road markings or signs";
-                }
-            }
+    // Nominatim address of a coordinate, null when there is none (e.g. at sea)
+    function lookupAddress(lat, lng) {
+        const roundedLat = Number(lat).toFixed(LOOKUP_COORDINATE_PRECISION);
+        const roundedLng = Number(lng).toFixed(LOOKUP_COORDINATE_PRECISION);
+        const url = `https://nominatim.openstreetmap.org/reverse?lat=${roundedLat}&lon=${roundedLng}&format=json&addressdetails=1`;
 
-            // Check if we have driving side info as a default distinctive feature
-            if (roundData.countryData && roundData.countryData.additionalInfo &&
-                roundData.countryData.additionalInfo.drivingSide !== "Unknown") {
-                return `drives on the ${roundData.countryData.additionalInfo.drivingSide} side`;
-            }
-        } catch (e) {
-            DEBUG.error("Error getting distinctive clue", e);
+        return cachedLookup('nominatim', `${roundedLat},${roundedLng}`, url,
+            data => data.address && data.address.country ? data.address : null);
+    }
+
+    // Entry counts, hits and age per kind, for the cache panel
+    function summarizeLookupCache() {
+        const cache = getLookupCache();
+        const now = Date.now();
+        const kinds = {};
+
+        Object.keys(cache).forEach(key => {
+            const kind = key.slice(0, key.indexOf(':'));
+            const entry = cache[key];
+            const summary = kinds[kind] || (kinds[kind] = { entries: 0, expired: 0, hits: 0, oldest: now });
+
+            summary.entries++;
+            summary.hits += entry.hits || 0;
+            if (entry.expiresAt <= now) summary.expired++;
+            summary.oldest = Math.min(summary.oldest, entry.storedAt);
+        });
+
+        return kinds;
+    }
+
+    /* ========= COUNTRY METADATA ========= */
+    // Country facts for cards, clues, tags and decks come from the bundled table in
+    // data/country-metadata.json, keyed by ISO 3166-1 alpha-2 code. Values follow REST Countries'
+    // wording so refreshes only show real changes; null means unknown. officialCoverage marks
+    // official Street View coverage in GeoGuessr's world maps. A refresh from REST Countries is
+    // reviewed as a diff and stored on top of the table.
+    // Bump the version whenever the table changes; stored updates for another version are ignored.
+    const COUNTRY_METADATA_VERSION = 1;
+
+    const COUNTRY_METADATA_STORAGE_KEY = 'geoanki_country_metadata';
+
+    // Fields a refresh may change. Names stay fixed because tags and history are keyed by them,
+    // and officialCoverage isn't something REST Countries knows about.
+    const REFRESHABLE_METADATA_FIELDS = ['continent', 'capital', 'drivingSide', 'tld', 'currency', 'languages'];
+
+    const REST_COUNTRIES_ALL_URL = 'https://restcountries.com/v3.1/all?fields=cca2,capital,continents,car,tld,currencies,languages';
+
+    // Stored updates, read from GM storage once and again only after they change
+    let countryMetadataUpdates = null;
+
+    // The bundled table, parsed from the countryMetadata resource on first use
+    let bundledCountryMetadata = null;
+
+    function getBundledCountryMetadata() {
+        if (!bundledCountryMetadata) {
+            bundledCountryMetadata = JSON.parse(GM_getResourceText('countryMetadata'));
         }
+        return bundledCountryMetadata;
+    }
 
-        return "distinctive local features";
+    // Refreshed values for the bundled table version, keyed by country code
+    function getCountryMetadataUpdates() {
+        if (!countryMetadataUpdates) {
+            const stored = GM_getValue(COUNTRY_METADATA_STORAGE_KEY, null);
+            countryMetadataUpdates = stored && stored.version === COUNTRY_METADATA_VERSION ? stored :
+                { version: COUNTRY_METADATA_VERSION, refreshedAt: null, countries: {} };
+        }
+        return countryMetadataUpdates;
     }
 
-    // Enhanced function to handle round end events with improved robustness
-    function handleRoundEnd() {
-        DEBUG.log("Handling round end...");
+    // Metadata for a country code, or null for codes outside the table
+    function getCountryMetadata(countryCode) {
+        if (!countryCode) return null;
 
-        // Reset any timeouts to prevent race conditions
-        window.geoAnkiTimeouts.forEach(clearTimeout);
-        window.geoAnkiTimeouts = [];
+        const code = countryCode.toUpperCase();
+        const bundled = getBundledCountryMetadata()[code];
+        if (!bundled) return null;
 
-        try {
-            // Get the current round key
-            const roundKey = generateRoundKey();
-            gameState.currentRoundKey = roundKey;
+        return Object.assign({ countryCode: code }, bundled, getCountryMetadataUpdates().countries[code]);
+    }
 
-            // Make sure we have round data initialized
-            if (!gameState.roundLocations[roundKey]) {
-                gameState.roundLocations[roundKey] = {
-                    panoId: gameState.panoId,
-                    location: gameState.actualLocation,
-                    heading: gameState.heading,
-                    pitch: gameState.pitch,
-                    zoom: gameState.zoom,
-                    country: gameState.actualCountry,
-                    countryData: gameState.countryData,
-                    guessLocation: gameState.guessLocation,
-                    guessCountry: gameState.guessCountry,
-                    guessCountryData: gameState.guessCountryData,
-                    score: gameState.score,
-                    missedClues: gameState.missedClues,
-                    locationOverview: gameState.locationOverview
-                };
-            }
+    // The additionalInfo stored on country results, with "Unknown" for anything the table lacks
+    function getCountryAdditionalInfo(countryCode) {
+        const metadata = getCountryMetadata(countryCode) || {};
+        return {
+            tld: metadata.tld || 'Unknown',
+            drivingSide: metadata.drivingSide || 'Unknown',
+            languages: metadata.languages && metadata.languages.length > 0 ? metadata.languages : ['Unknown'],
+            currency: metadata.currency || 'Unknown',
+            flagUrl: metadata.countryCode ? getFlagUrl(metadata.countryCode) : null,
+            continent: metadata.continent || 'Unknown',
+            capital: metadata.capital || 'Unknown'
+        };
+    }
 
-            // Check for country override based on coordinates
-            if (isValidCoordinate(gameState.roundLocations[roundKey].location)) {
-                const override = checkCountryOverride(
-                    gameState.roundLocations[roundKey].location.lat,
-                    gameState.roundLocations[roundKey].location.lng
-                );
-                
-                if (override) {
-                    processCountryOverride(override, roundKey);
+    // Country code for a country name as shown by GeoGuessr or typed by the user
+    function findCountryCode(countryName) {
+        if (!countryName) return null;
+
+        const name = countryName.trim().toLowerCase();
+        const bundled = getBundledCountryMetadata();
+        return Object.keys(bundled).find(code => bundled[code].name.toLowerCase() === name) || null;
+    }
+
+    // REST Countries record in the shape of the table, null where the API has no value
+    function parseRestCountry(countryData) {
+        const currencies = countryData.currencies ? Object.values(countryData.currencies) : [];
+        return {
+            continent: countryData.continents && countryData.continents.length > 0 ? countryData.continents[0] : null,
+            capital: countryData.capital && countryData.capital.length > 0 ? countryData.capital[0] : null,
+            drivingSide: countryData.car && countryData.car.side ? countryData.car.side : null,
+            tld: countryData.tld && countryData.tld.length > 0 ? countryData.tld[0] : null,
+            currency: currencies.length > 0 && currencies[0].name ? currencies[0].name : null,
+            languages: countryData.languages ? Object.values(countryData.languages) : null
+        };
+    }
+
+    function sameMetadataValue(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.slice().sort().join('|') === b.slice().sort().join('|');
+        }
+        return a === b;
+    }
+
+    // Fetch REST Countries and list where it disagrees with the current table. Nothing is stored
+    // until the changes are applied.
+    function checkCountryMetadataUpdates() {
+        return scheduleRequest(REST_COUNTRIES_ALL_URL, () => safeApiCall(REST_COUNTRIES_ALL_URL, {}, 15000))
+            .then(data => {
+                if (!Array.isArray(data)) {
+                    throw new Error("REST Countries didn't return a country list");
                 }
-            }
 
-            // Reset user reflection data for fresh input
-            gameState.userMissedClues = "";
-            gameState.userReminder = "";
+                const changes = [];
+                data.forEach(countryData => {
+                    const current = getCountryMetadata(countryData.cca2);
+                    if (!current) return;
 
-            // Reset card created flag for this round
-            gameState.cardCreatedForRound = false;
-            gameState.cancelCardCreation = false;
+                    const updated = parseRestCountry(countryData);
+                    REFRESHABLE_METADATA_FIELDS.forEach(field => {
+                        // Missing API values never erase bundled ones
+                        if (updated[field] === null || sameMetadataValue(current[field], updated[field])) return;
+                        changes.push({ countryCode: current.countryCode, country: current.name, field, current: current[field], updated: updated[field] });
+                    });
+                });
 
-            // Use DOM extraction as a fallback if API fetching failed
-            if (!gameState.roundLocations[roundKey].country) {
-                const extractedCountry = extractCountryFromDOM();
-                if (extractedCountry) {
-                    DEBUG.log(`Extracted country from DOM: ${extractedCountry}`);
-                    gameState.roundLocations[roundKey].country = extractedCountry;
-                    gameState.actualCountry = extractedCountry;
+                return changes.sort((a, b) => a.country.localeCompare(b.country));
+            });
+    }
 
-                    // Create basic country data structure if missing
-                    if (!gameState.roundLocations[roundKey].countryData) {
-                        gameState.roundLocations[roundKey].countryData = {
-                            country: extractedCountry,
-                            countryCode: null,
-                            additionalInfo: {
-                                drivingSide: "Unknown",
-                                continent: "Unknown"
-                            }
-                        };
-                        gameState.countryData = gameState.roundLocations[roundKey].countryData;
-                    }
+    function applyCountryMetadataUpdates(changes) {
+        const stored = getCountryMetadataUpdates();
+        changes.forEach(change => {
+            const country = stored.countries[change.countryCode] || (stored.countries[change.countryCode] = {});
+            country[change.field] = change.updated;
+        });
+        stored.refreshedAt = new Date().toISOString();
+        GM_setValue(COUNTRY_METADATA_STORAGE_KEY, stored);
+        countryMetadataUpdates = null;
+    }
 
-                    // Try to get user's guess from UI elements
-                    const resultElements = document.querySelectorAll('[class*="result-layout"]:not(button), [class*="result"]:not(button)');
-                    for (const element of resultElements) {
-                        if (!element) continue;
+    function resetCountryMetadata() {
+        GM_setValue(COUNTRY_METADATA_STORAGE_KEY, null);
+        countryMetadataUpdates = null;
+    }
 
-                        const text = element.innerText || element.textContent;
-                        if (!text) continue;
+    /* ========= STREET VIEW METADATA ========= */
+    // Image date and camera generation, read from the Maps metadata GeoGuessr loads for each panorama
 
-                        DEBUG.log(`Checking result element for guess: "${text}"`);
-                        const match = text.match(/You\s+guessed\s+([A-Za-z\s]+)/i);
-                        if (match && match[1]) {
-                            const guessCountry = match[1].trim();
-                            gameState.roundLocations[roundKey].guessCountry = guessCountry;
-                            gameState.guessCountry = guessCountry;
+    const CAMERA_GENERATION_LABELS = {
+        gen1: 'Gen 1',
+        gen2: 'Gen 2',
+        gen3: 'Gen 3',
+        gen23: 'Gen 2 or 3',
+        gen4: 'Gen 4',
+        unofficial: 'Unofficial'
+    };
 
-                            gameState.roundLocations[roundKey].guessCountryData = {
-                                country: guessCountry,
-                                countryCode: null,
-                                additionalInfo: {}
-                            };
-                            gameState.guessCountryData = gameState.roundLocations[roundKey].guessCountryData;
+    // Full panorama width per camera generation. Gen 2 and Gen 3 share theirs.
+    const PANORAMA_WIDTHS = {
+        3328: 'gen1',
+        13312: 'gen23',
+        16384: 'gen4'
+    };
 
-                            DEBUG.log(`Extracted guess country: ${guessCountry}`);
-                            break;
-                        }
-                    }
+    // The switch from Gen 2 to Gen 3 happened in different years per country, so only dates
+    // outside the years both cameras were driving tell them apart
+    const GEN3_FIRST_YEAR = 2008;
+    const GEN2_LAST_YEAR = 2011;
 
-                    // Generate basic missed clues
-                    if (!gameState.roundLocations[roundKey].missedClues || gameState.roundLocations[roundKey].missedClues.length === 0) {
-                        prepareCountryClues(roundKey);
-                    }
-                }
-            }
+    // Where GetMetadata and SingleImageSearch keep the [year, month] date and [height, width] size
+    const METADATA_DATE_PATHS = [[1, 0, 6, 7], [1, 6, 7]];
+    const METADATA_SIZE_PATHS = [[1, 0, 2, 2], [1, 2, 2]];
+    const METADATA_PANO_ID_PATHS = [[1, 0, 1, 1], [1, 1, 1]];
 
-            // If automatic cards are enabled and not in battle royale or duel mode, prompt for card creation
-            const gameType = getGameType();
-            if (settings.automaticCards && gameType !== 'battle-royale' && gameType !== 'duel') {
-                DEBUG.log("Auto cards enabled, will prompt for card creation");
-                
-                // Set a slight delay to allow any remaining API data to be processed
-                const timeoutId = setTimeout(() => {
-                    promptForCardCreation();
-                }, 1500);
-                
-                window.geoAnkiTimeouts.push(timeoutId);
-            }
+    // Metadata by panoId, so rounds collected after the fact can still use it
+    const panoramaMetadata = {};
 
-            // Update UI state to reflect we're between rounds
-            updateUIState({ inActiveRound: false });
-        } catch (e) {
-            DEBUG.error("Error in handleRoundEnd", e);
-        }
+    function getMetadataPath(data, path) {
+        return path.reduce((node, index) => Array.isArray(node) ? node[index] : undefined, data);
     }
 
-    /* ========= ANKI INTEGRATION ========= */
-    // Create card directly without showing preview
-    function createAnkiCard(cardData, useDefaults = false) {
-        if (!cardData) {
-            cardData = buildAnkiCardData(useDefaults);
-        }
+    function isImageDate(value) {
+        return Array.isArray(value) && value.length === 2 &&
+            Number.isInteger(value[0]) && value[0] >= 2005 && value[0] <= new Date().getFullYear() &&
+            Number.isInteger(value[1]) && value[1] >= 1 && value[1] <= 12;
+    }
 
-        if (!cardData) {
-            showNotification("Couldn't prepare Anki card - missing data", "error");
-            return;
+    function isPanoramaSize(value) {
+        return Array.isArray(value) && value.length === 2 &&
+            value[1] === value[0] * 2 && PANORAMA_WIDTHS[value[1]] !== undefined;
+    }
+
+    // Returns { panoId, imageDate: { year, month }, cameraGeneration } or null for other payloads
+    function parseMapsMetadata(responseText) {
+        let data;
+        try {
+            data = JSON.parse(responseText.replace(/^\)\]\}'\s*/, ''));
+        } catch (e) {
+            return null;
         }
 
-        DEBUG.log("Creating Anki card with data:", cardData);
+        // Only the documented positions; other [year, month] lookalikes in the payload aren't dates
+        const pick = (paths, predicate) => paths.map(path => getMetadataPath(data, path)).find(predicate) || null;
 
-        // Create Anki note
-        const note = {
-            deckName: DECK_NAME,
-            modelName: MODEL_NAME,
-            fields: {
-                "Front": cardData.frontField,
-                "Back": cardData.backField
-            },
-            options: { allowDuplicate: false }
+        const date = pick(METADATA_DATE_PATHS, isImageDate);
+        const size = pick(METADATA_SIZE_PATHS, isPanoramaSize);
+        const panoId = METADATA_PANO_ID_PATHS.map(path => getMetadataPath(data, path)).find(value => typeof value === 'string') || null;
+        if (!date && !size) return null;
+
+        const imageDate = date ? { year: date[0], month: date[1] } : null;
+        return {
+            panoId: panoId,
+            imageDate: imageDate,
+            cameraGeneration: classifyCameraGeneration(size, imageDate, panoId)
         };
+    }
 
-        // Send to Anki
-        sendNoteToAnki(note, cardData.roundKey);
+    function classifyCameraGeneration(size, imageDate, panoId) {
+        // User-contributed photospheres have much longer ids than official coverage
+        if (panoId && panoId.length > 22) return 'unofficial';
+
+        const generation = size ? PANORAMA_WIDTHS[size[1]] : null;
+        if (generation !== 'gen23' || !imageDate) return generation || null;
+
+        if (imageDate.year < GEN3_FIRST_YEAR) return 'gen2';
+        if (imageDate.year > GEN2_LAST_YEAR) return 'gen3';
+        return 'gen23';
     }
 
-    // Send a note to Anki with robust error handling
-    function sendNoteToAnki(note, roundKey) {
-        DEBUG.log("Sending note to Anki");
+    function recordPanoramaMetadata(responseText) {
+        const metadata = parseMapsMetadata(responseText);
+        if (!metadata) return null;
 
-        if (!note) {
-            showNotification("No note data to send", "error");
-            return;
+        if (metadata.panoId && !panoramaMetadata[metadata.panoId]) {
+            panoramaMetadata[metadata.panoId] = metadata;
+            DEBUG.log(`Panorama ${metadata.panoId}: ${formatImageDate(metadata.imageDate) || 'no date'}, ` +
+                `${CAMERA_GENERATION_LABELS[metadata.cameraGeneration] || 'unknown camera'}`);
         }
+        return metadata;
+    }
 
-        // First, check the model fields to ensure compatibility
-        safeGmXhr({
-            method: "POST",
-            url: ANKI_CONNECT_URL,
-            data: JSON.stringify({
-                action: "modelFieldNames",
-                version: 6,
-                params: {
-                    modelName: MODEL_NAME
-                }
-            }),
-            headers: { "Content-Type": "application/json" },
-            timeout: 10000
-        })
-        .then(result => {
-            if (result.error) {
-                showNotification(`Anki Error: ${result.error}`, 'error');
-                return;
-            }
+    // Rounds usually hold GeoGuessr's hex encoding of the Google panoId, metadata is keyed by
+    // the Google id itself
+    function getPanoramaMetadata(panoId) {
+        if (!panoId) return null;
+        if (panoramaMetadata[panoId]) return panoramaMetadata[panoId];
+        return /^[0-9a-fA-F]+$/.test(panoId) ? panoramaMetadata[panoIdDecoder(panoId)] || null : null;
+    }
 
-            const availableFields = result.result;
-            DEBUG.log("Available fields in model:", availableFields);
+    // Copy metadata onto a round: that of its own panorama when known, otherwise the first seen
+    // during the round (later ones belong to panoramas the player moved to)
+    function attachPanoramaMetadata(roundKey, metadata = null) {
+        const roundData = gameState.roundLocations[roundKey];
+        if (!roundData) return;
 
-            // Create a new note with fields matching the model
-            const adaptedFields = {};
+        const own = getPanoramaMetadata(roundData.panoId);
+        const source = own || (roundData.imageDate || roundData.cameraGeneration ? null : metadata);
+        if (!source) return;
 
-            // Different note types have different field names
-            if (availableFields.includes("Front") && availableFields.includes("Back")) {
-                adaptedFields.Front = note.fields.Front;
-                adaptedFields.Back = note.fields.Back;
-            } else {
-                // For each available field, try to find a match
-                availableFields.forEach(field => {
-                    // Convert to lowercase for case-insensitive matching
-                    const fieldLower = field.toLowerCase();
+        roundData.imageDate = source.imageDate;
+        roundData.cameraGeneration = source.cameraGeneration;
+    }
 
-                    if (fieldLower === "front" || fieldLower.includes("question")) {
-                        adaptedFields[field] = note.fields.Front;
-                    }
-                    else if (fieldLower === "back" || fieldLower.includes("answer")) {
-                        adaptedFields[field] = note.fields.Back;
-                    }
-                    else {
-                        // For unknown fields, leave empty
-                        adaptedFields[field] = "";
-                    }
-                });
-            }
+    // "May 2011"
+    function formatImageDate(imageDate) {
+        if (!imageDate) return "";
 
-            // Create the adapted note
-            const adaptedNote = {
-                deckName: DECK_NAME,
-                modelName: MODEL_NAME,
-                fields: adaptedFields,
-                options: { allowDuplicate: false }
-            };
+        const month = new Date(imageDate.year, imageDate.month - 1, 1).toLocaleString('en', { month: 'long' });
+        return `${month} ${imageDate.year}`;
+    }
 
-            DEBUG.log("Adapted note ready to send");
-
-            // Now send the adapted note
-            return safeGmXhr({
-                method: "POST",
-                url: ANKI_CONNECT_URL,
-                data: JSON.stringify({
-                    action: "addNote",
-                    version: 6,
-                    params: { note: adaptedNote }
-                }),
-                headers: { "Content-Type": "application/json" },
-                timeout: 10000
-            });
-        })
-        .then(addResult => {
-            if (!addResult) return; // Request might have failed earlier
+    /* ========= ROUND TIMING ========= */
+    // Round start, first movement and guess timestamps, taken from lifecycle transitions and
+    // replaced by GeoGuessr's own guess time where the API reports one
 
-            if (addResult.error) {
-                showNotification(`Anki Error: ${addResult.error}`, 'error');
+    // Timings by round key, collected before the round's data exists
+    const roundTimings = {};
 
-                // Show more detailed error dialog for model problems
-                if (addResult.error.includes("model")) {
-                    showErrorDialog("Model Error",
-                        `The script couldn't create a note because your Anki note model doesn't match the expected fields.<br><br>
-                        <strong>Troubleshooting:</strong><br>
-                        • Make sure you have a note type named "${MODEL_NAME}" in Anki<br>
-                        • For best results, use a "Basic" note type with just "Front" and "Back" fields<br>
-                        • You can change the model name in the script settings`);
-                }
-            } else {
-                // Card created successfully, mark this round as processed
-                if (roundKey) {
-                    gameState.cardCreatedForRound = true;
-                    // Mark the round-specific flag too
-                    if (gameState.roundLocations[roundKey]) {
-                        gameState.roundLocations[roundKey].cardCreated = true;
-                    }
-                }
+    function getRoundTiming(roundKey) {
+        return roundTimings[roundKey] || (roundTimings[roundKey] = {
+            startedAt: null,
+            firstMoveAt: null,
+            guessedAt: null,
+            guessSeconds: null
+        });
+    }
 
-                showNotification(`Card added to Anki deck "${DECK_NAME}".`, 'success');
+    // Record a timestamp once per round
+    function markRoundTiming(roundKey, mark) {
+        const timing = getRoundTiming(roundKey);
+        if (!timing[mark]) {
+            timing[mark] = Date.now();
+        }
+    }
 
-                // Reset user input fields after successful card creation
-                gameState.userMissedClues = "";
-                gameState.userReminder = "";
-            }
-        })
-        .catch(error => {
-            DEBUG.error("Anki connection error", error);
-            showNotification('Failed to connect to AnkiConnect. Is Anki running?', 'error');
+    // The first drag, scroll or movement key on the panorama counts as the first movement
+    function setupMovementTracking() {
+        const onInput = (event) => {
+            if (roundLifecycle.state !== LIFECYCLE_STATES.ROUND_ACTIVE) return;
+            if (event.type === 'keydown' && !/^(Arrow\w+|[wasdWASD])$/.test(event.key)) return;
+            if (event.target instanceof Element && event.target.closest('[class*="guess-map"], input, textarea')) return;
+
+            markRoundTiming(getLifecycleRoundKey(roundLifecycle), 'firstMoveAt');
+        };
+
+        ['pointerdown', 'wheel', 'keydown'].forEach(type => {
+            document.addEventListener(type, onInput, { capture: true, passive: true });
         });
     }
 
-    // Check if the required deck and model exist in Anki
-    function checkDeckAndModel() {
-        DEBUG.log("Checking Anki deck and model");
+    // Copy the round's timing onto its data. guess is the API guess, whose time is in seconds.
+    function attachRoundTiming(roundKey, guess = null) {
+        const roundData = gameState.roundLocations[roundKey];
+        if (!roundData) return;
 
-        // Check if deck exists
-        safeGmXhr({
-            method: "POST",
-            url: ANKI_CONNECT_URL,
-            data: JSON.stringify({
-                action: "deckNames",
-                version: 6
-            }),
-            headers: { "Content-Type": "application/json" },
-            timeout: 5000
-        })
-        .then(result => {
-            if (result.error) {
-                showNotification(`Anki Error: ${result.error}`, 'error');
-                return;
-            }
+        const timing = getRoundTiming(roundKey);
+        if (guess && typeof guess.time === 'number') {
+            timing.guessSeconds = guess.time;
+        }
 
-            const decks = result.result;
-            const deckExists = decks.includes(DECK_NAME);
-
-            if (!deckExists) {
-                // Deck doesn't exist, create it
-                DEBUG.log(`Deck "${DECK_NAME}" not found, creating...`);
-                return safeGmXhr({
-                    method: "POST",
-                    url: ANKI_CONNECT_URL,
-                    data: JSON.stringify({
-                        action: "createDeck",
-                        version: 6,
-                        params: {
-                            deck: DECK_NAME
-                        }
-                    }),
-                    headers: { "Content-Type": "application/json" },
-                    timeout: 5000
-                });
-            } else {
-                DEBUG.log(`Deck "${DECK_NAME}" exists`);
-                return { result: "Deck exists" };
-            }
-        })
-        .then(createResult => {
-            if (createResult && createResult.error) {
-                showNotification(`Error creating deck: ${createResult.error}`, 'error');
-            } else if (createResult && createResult.result !== "Deck exists") {
-                showNotification(`Created deck "${DECK_NAME}"`, 'success');
-            }
-
-            // Now check if the note model exists
-            return safeGmXhr({
-                method: "POST",
-                url: ANKI_CONNECT_URL,
-                data: JSON.stringify({
-                    action: "modelNames",
-                    version: 6
-                }),
-                headers: { "Content-Type": "application/json" },
-                timeout: 5000
-            });
-        })
-        .then(modelResult => {
-            if (!modelResult) return; // Request might have failed
+        const secondsBetween = (from, to) => from && to && to >= from ? Math.round((to - from) / 1000) : null;
+        const guessSeconds = timing.guessSeconds !== null ? timing.guessSeconds : secondsBetween(timing.startedAt, timing.guessedAt);
+        if (guessSeconds === null && !timing.startedAt) return;
 
-            if (modelResult.error) {
-                showNotification(`Anki Error: ${modelResult.error}`, 'error');
-                return;
-            }
+        roundData.timing = {
+            startedAt: timing.startedAt,
+            firstMoveAt: timing.firstMoveAt,
+            guessedAt: timing.guessedAt,
+            guessSeconds: guessSeconds,
+            firstMoveSeconds: secondsBetween(timing.startedAt, timing.firstMoveAt)
+        };
+    }
 
-            const models = modelResult.result;
-            const modelExists = models.includes(MODEL_NAME);
+    // "8s", "1m 12s"
+    function formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
 
-            if (modelExists) {
-                showNotification(`Note type "${MODEL_NAME}" exists. You're ready to go!`, 'success');
-            } else {
-                // Show warning about missing model
-                showErrorDialog("Anki Setup Required",
-                    `The note type "${MODEL_NAME}" doesn't exist in your Anki collection.<br><br>
-                    <strong>To set up:</strong><br>
-                    1. Open Anki<br>
-                    2. Click "Tools" > "Manage Note Types"<br>
-                    3. Click "Add"<br>
-                    4. Select "Basic" from the list<br>
-                    5. Name it "${MODEL_NAME}" <strong>exactly</strong><br>
-                    6. Click "OK"<br><br>
-                    Alternatively, use a standard "Basic" note type by changing the note type name in settings to "Basic".`);
-            }
-        })
-        .catch(error => {
-            DEBUG.error("Error checking Anki configuration", error);
-            showNotification("Failed to connect to Anki. Is it running with AnkiConnect?", "error");
-        });
+    // "Guessed in 8s, first moved after 2s"
+    function describeRoundTiming(timing) {
+        if (!timing || timing.guessSeconds === null || timing.guessSeconds === undefined) return "";
+
+        let text = `Guessed in ${formatDuration(timing.guessSeconds)}`;
+        if (timing.firstMoveSeconds !== null && timing.firstMoveSeconds !== undefined) {
+            text += `, first moved after ${formatDuration(timing.firstMoveSeconds)}`;
+        }
+        return text;
     }
 
-    function showErrorDialog(title, message) {
-        showSettingsPanel(title, message);
+    /* ========= GAME SETTINGS ========= */
+    // Map and rule settings of each game, extracted once per game and copied onto its rounds
+
+    const MOVEMENT_LABELS = {
+        moving: 'Moving',
+        nm: 'No Move',
+        nmpz: 'NMPZ',
+        restricted: 'Restricted'
+    };
+
+    // Game settings by game id
+    const gameSettingsByGame = {};
+
+    function classifyMovement(forbidMoving, forbidZooming, forbidRotating) {
+        if (!forbidMoving && !forbidZooming && !forbidRotating) return 'moving';
+        if (forbidMoving && !forbidZooming && !forbidRotating) return 'nm';
+        if (forbidMoving && forbidZooming && forbidRotating) return 'nmpz';
+        return 'restricted';
     }
 
-    // Improved card creation function with instant add option
-    function createCardWithOptions(useInstantAdd = false) {
-        if (!settings.enableAnkiIntegration) {
-            showNotification("Anki integration is disabled in settings.", "info");
-            return;
+    // Read map and rules from a classic game payload or a game-server (duels/battle royale) payload
+    function extractGameSettings(data) {
+        if (!data) return null;
+
+        // Game-server payloads keep their rules in options
+        const options = data.options || {};
+        const movementOptions = options.movementOptions || data.movementOptions || {};
+        const optionsMap = options.map || {};
+
+        const forbidMoving = !!(data.forbidMoving !== undefined ? data.forbidMoving : movementOptions.forbidMoving);
+        const forbidZooming = !!(data.forbidZooming !== undefined ? data.forbidZooming : movementOptions.forbidZooming);
+        const forbidRotating = !!(data.forbidRotating !== undefined ? data.forbidRotating :
+            (movementOptions.forbidRotating !== undefined ? movementOptions.forbidRotating : movementOptions.forbidRotation));
+
+        const mapId = data.map || optionsMap.slug || data.mapSlug || null;
+        const timeLimit = data.timeLimit !== undefined ? data.timeLimit : (options.roundTime || 0);
+
+        return {
+            mapId: typeof mapId === 'string' ? mapId : null,
+            mapName: data.mapName || optionsMap.name || null,
+            movement: classifyMovement(forbidMoving, forbidZooming, forbidRotating),
+            forbidMoving: forbidMoving,
+            forbidZooming: forbidZooming,
+            forbidRotating: forbidRotating,
+            timeLimit: Number(timeLimit) || 0,
+            roundCount: data.roundCount || options.rounds || (Array.isArray(data.rounds) && data.mode !== 'streak' ? data.rounds.length : null)
+        };
+    }
+
+    // Remember the settings of a game the first time its payload is seen
+    function recordGameSettings(gameId, data) {
+        if (!gameId || gameSettingsByGame[gameId]) return gameSettingsByGame[gameId] || null;
+
+        const gameSettings = extractGameSettings(data);
+        if (gameSettings) {
+            gameSettingsByGame[gameId] = gameSettings;
+            DEBUG.log(`Game settings for ${gameId}`, gameSettings);
         }
+        return gameSettings;
+    }
 
-        // Double-check we're not in an active round
-        if (isInActiveRound()) {
-            showNotification("Card creation is not allowed during active rounds.", "error");
-            return;
+    // Copy the game's settings onto a round
+    function attachGameSettings(roundKey) {
+        const roundData = gameState.roundLocations[roundKey];
+        const gameSettings = gameSettingsByGame[roundKey.replace(/-round-\d+$/, '')];
+        if (roundData && gameSettings && !roundData.gameSettings) {
+            roundData.gameSettings = gameSettings;
         }
+    }
 
-        // Get the current round key
-        const roundKey = gameState.currentRoundKey;
-        if (!roundKey) {
-            showNotification("No active round data found.", "error");
-            return;
+    function formatTimeLimit(seconds) {
+        if (!seconds) return 'No time limit';
+
+        const minutes = Math.floor(seconds / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+        return `${minutes}:${rest} per round`;
+    }
+
+    // "World · NMPZ · 1:30 per round · 5 rounds"
+    function describeGameSettings(gameSettings) {
+        if (!gameSettings) return "";
+
+        const parts = [
+            gameSettings.mapName || gameSettings.mapId,
+            MOVEMENT_LABELS[gameSettings.movement],
+            formatTimeLimit(gameSettings.timeLimit),
+            gameSettings.roundCount ? `${gameSettings.roundCount} rounds` : null
+        ];
+        return escapeHtml(parts.filter(part => part).join(' · '));
+    }
+
+    /* ========= COMPETITIVE MODES ========= */
+    // Duels and Battle Royale are played through game-server.geoguessr.com. Their rounds are
+    // collected from the game-server payloads and turned into cards after the match, so the
+    // live game is never interrupted.
+    const GAME_SERVER_PATTERN = /game-server\.geoguessr\.com\/api\/(duels|battle-royale)\//;
+
+    const competitiveState = {
+        playerId: null,
+        // Round keys whose country and guess country are both known
+        resolvedRounds: new Set(),
+        // Round keys with lookups in flight
+        resolvingRounds: new Set(),
+        // Games whose finish was already handled
+        finishedGames: new Set()
+    };
+
+    function isGameServerUrl(url) {
+        return typeof url === 'string' && GAME_SERVER_PATTERN.test(url);
+    }
+
+    function isCompetitiveGameType(gameType) {
+        return gameType === 'duel' || gameType === 'battle-royale';
+    }
+
+    // Our own user id, needed to find our guesses among all players
+    function getOwnPlayerId() {
+        if (competitiveState.playerId) {
+            return Promise.resolve(competitiveState.playerId);
         }
 
-        // If user cancelled card creation, respect that choice
-        if (gameState.cancelCardCreation) {
-            DEBUG.log("Card creation was previously cancelled by user");
-            return;
+        try {
+            const nextDataElement = document.getElementById('__NEXT_DATA__');
+            const nextData = nextDataElement ? JSON.parse(nextDataElement.textContent) : null;
+            const user = nextData && nextData.props && nextData.props.accountProps &&
+                nextData.props.accountProps.account && nextData.props.accountProps.account.user;
+            if (user && user.userId) {
+                competitiveState.playerId = user.userId;
+                return Promise.resolve(user.userId);
+            }
+        } catch (e) {
+            DEBUG.warn("Couldn't read player id from page data", e);
         }
 
-        // Check if we already created a card for this round
-        if (gameState.cardCreatedForRound) {
-            if (confirm("You've already created a card for this round. Create another?")) {
-                // Continue - user confirmed they want another card
-                gameState.cardCreatedForRound = false;
-            } else {
-                showNotification("Card creation cancelled.", "info");
+        return safeApiCall('https://www.geoguessr.com/api/v3/profiles', { credentials: 'include' })
+            .then(profile => {
+                competitiveState.playerId = profile && profile.user ? profile.user.id : null;
+                return competitiveState.playerId;
+            });
+    }
+
+    function processGameServerResponse(data, url) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                DEBUG.warn(`Couldn't parse game-server response from ${url}`);
                 return;
             }
         }
 
-        // For instant add, bypass the prompts and use available data
-        if (useInstantAdd || settings.instantAddEnabled) {
-            DEBUG.log("Using instant add without prompts");
-            createAnkiCard(null, true);
+        if (!data || !data.gameId || !Array.isArray(data.rounds)) {
             return;
         }
 
-        // Get round-specific data
-        const roundData = gameState.roundLocations[roundKey];
-        if (!roundData) {
-            showNotification("No data found for current round.", "error");
-            return;
+        const isDuel = url.includes('/api/duels/');
+
+        // The round in progress, until the match is over
+        const ongoing = isDuel ? data.status !== 'Finished' : !data.hasGameEnded;
+        if (ongoing && data.currentRoundNumber) {
+            dispatchLifecycleEvent({
+                type: LIFECYCLE_EVENTS.ROUND_LOADED,
+                gameId: data.gameId,
+                roundNumber: data.currentRoundNumber,
+                source: 'game-server'
+            });
         }
 
-        // Ensure we have the country data needed
-        if (!roundData.country) {
-            // Try DOM extraction if API data is missing
-            const extractedCountry = extractCountryFromDOM();
-            if (extractedCountry) {
-                roundData.country = extractedCountry;
-                gameState.actualCountry = extractedCountry;
-                DEBUG.log(`Using DOM-extracted country: ${extractedCountry}`);
+        getOwnPlayerId()
+            .then(playerId => {
+                if (!playerId) {
+                    DEBUG.warn("Couldn't determine own player id, skipping competitive rounds");
+                    return;
+                }
 
-                if (!roundData.countryData) {
-                    roundData.countryData = {
-                        country: extractedCountry,
-                        countryCode: null,
-                        additionalInfo: {
-                            drivingSide: "Unknown",
-                            continent: "Unknown"
+                const rounds = isDuel ? parseDuelRounds(data, playerId) : parseBattleRoyaleRounds(data, playerId);
+                const finished = isDuel ? data.status === 'Finished' : !!data.hasGameEnded;
+                recordGameSettings(data.gameId, data);
+
+                rounds.forEach(round => storeCompetitiveRound(data.gameId, round, isDuel ? 'duel' : 'battle-royale'));
+                DEBUG.log(`Game-server payload for ${data.gameId}: ${rounds.length} completed round(s)${finished ? ', match finished' : ''}`);
+
+                return resolveGameCountries(data.gameId)
+                    .then(() => {
+                        if (finished && !competitiveState.finishedGames.has(data.gameId)) {
+                            competitiveState.finishedGames.add(data.gameId);
+                            dispatchLifecycleEvent({
+                                type: LIFECYCLE_EVENTS.GAME_FINISHED,
+                                gameId: data.gameId,
+                                competitive: true,
+                                source: 'game-server'
+                            });
                         }
-                    };
-                    gameState.countryData = roundData.countryData;
-                }
-            } else {
-                showNotification("Couldn't determine the correct country. Try again.", "error");
-                return;
-            }
+                    });
+            })
+            .catch(error => DEBUG.error("Error processing game-server response", error));
+    }
+
+    // Completed duel rounds from our team's point of view
+    function parseDuelRounds(data, playerId) {
+        const teams = data.teams || [];
+        const ownTeam = teams.find(team => (team.players || []).some(player => player.playerId === playerId));
+        if (!ownTeam) return [];
+
+        const ownPlayer = ownTeam.players.find(player => player.playerId === playerId);
+        const opponents = teams.filter(team => team !== ownTeam);
+
+        return data.rounds
+            .map(round => {
+                const result = (ownTeam.roundResults || []).find(item => item.roundNumber === round.roundNumber);
+                const guess = (ownPlayer.guesses || []).find(item => item.roundNumber === round.roundNumber);
+                if (!result && !guess) return null;
+
+                // The opposing team's best guess counts for damage
+                let opponentGuess = null;
+                opponents.forEach(team => {
+                    const opponentResult = (team.roundResults || []).find(item => item.roundNumber === round.roundNumber);
+                    if (opponentResult && opponentResult.bestGuess) {
+                        opponentGuess = Object.assign({ name: team.name }, opponentResult.bestGuess);
+                    }
+                });
+
+                return {
+                    roundNumber: round.roundNumber,
+                    panorama: round.panorama || {},
+                    guess: guess || null,
+                    opponentGuess: opponentGuess,
+                    health: result ? {
+                        before: result.healthBefore,
+                        after: result.healthAfter,
+                        multiplier: round.damageMultiplier || round.multiplier || 1
+                    } : null
+                };
+            })
+            .filter(round => round);
+    }
+
+    // Completed Battle Royale rounds in which we guessed
+    function parseBattleRoyaleRounds(data, playerId) {
+        const players = data.players || [];
+        const ownPlayer = players.find(player => player.playerId === playerId);
+        if (!ownPlayer) return [];
+
+        return data.rounds
+            .map(round => {
+                const guesses = (ownPlayer.guesses || []).filter(item => item.roundNumber === round.roundNumber);
+                if (guesses.length === 0) return null;
+
+                // Country Battle Royale allows several guesses, the last one counts
+                const guess = guesses[guesses.length - 1];
+
+                // Closest (or correct) guess of the other players
+                let opponentGuess = null;
+                players.forEach(player => {
+                    if (player === ownPlayer) return;
+                    const other = (player.guesses || []).filter(item => item.roundNumber === round.roundNumber).pop();
+                    if (!other) return;
+
+                    const better = !opponentGuess ||
+                        (other.isCorrect && !opponentGuess.isCorrect) ||
+                        (typeof other.distance === 'number' && other.distance < (opponentGuess.distance || Infinity));
+                    if (better) {
+                        opponentGuess = Object.assign({ name: player.nick }, other);
+                    }
+                });
+
+                return {
+                    roundNumber: round.roundNumber,
+                    panorama: round.panorama || round,
+                    guess: guess,
+                    opponentGuess: opponentGuess,
+                    health: null
+                };
+            })
+            .filter(round => round);
+    }
+
+    function storeCompetitiveRound(gameId, round, gameType) {
+        const roundKey = `${gameId}-round-${round.roundNumber}`;
+        const panorama = round.panorama;
+        const location = sanitizeCoordinates(panorama.lat, panorama.lng);
+        const guessLocation = round.guess ? sanitizeCoordinates(round.guess.lat, round.guess.lng) : null;
+
+        const roundData = gameState.roundLocations[roundKey] || (gameState.roundLocations[roundKey] = {
+            country: null,
+            countryData: null,
+            guessCountry: null,
+            guessCountryData: null
+        });
+
+        Object.assign(roundData, {
+            panoId: panorama.panoId || roundData.panoId || null,
+            location: location || roundData.location || null,
+            heading: panorama.heading || 0,
+            pitch: panorama.pitch || 0,
+            zoom: panorama.zoom || 0,
+            guessLocation: guessLocation || roundData.guessLocation || null,
+            gameType: gameType,
+            opponentGuess: round.opponentGuess,
+            health: round.health
+        });
+
+        if (round.guess) {
+            if (round.guess.score !== undefined) roundData.score = round.guess.score;
+            if (typeof round.guess.distance === 'number') roundData.distanceMeters = round.guess.distance;
         }
 
-        DEBUG.log("Starting card creation workflow with round data:", roundData);
+        if (!roundData.completedAt) {
+            roundData.completedAt = Date.now();
+        }
+        if (panoramaSnapshots[roundKey] && !roundData.snapshot) {
+            roundData.snapshot = panoramaSnapshots[roundKey];
+        }
+        attachGameSettings(roundKey);
+        attachPanoramaMetadata(roundKey);
+        attachRoundTiming(roundKey);
 
-        // Launch the prompting workflow
-        promptForCardCreation();
+        saveRoundToHistory(roundKey);
     }
 
-    // New function to handle the card creation prompt workflow
-    function promptForCardCreation() {
-        try {
-            // If user cancelled card creation, respect that choice
-            if (gameState.cancelCardCreation) {
-                DEBUG.log("Card creation was cancelled by user, skipping prompts");
-                return;
-            }
+    function hasResolvedCountries(roundData) {
+        return !!roundData.country && (!!roundData.guessCountry || !isValidCoordinate(roundData.guessLocation));
+    }
 
-            // Get round-specific data
-            const roundKey = gameState.currentRoundKey;
-            if (!roundKey) {
-                DEBUG.warn("No round key for promptForCardCreation");
-                return;
-            }
+    // Look up countries of the collected rounds. A round only counts as resolved once both
+    // countries are known, so a failed lookup is retried the next time the game is processed.
+    function resolveGameCountries(gameId) {
+        const lookups = [];
+
+        getRoundKeysForGame(gameId).forEach(roundKey => {
+            if (competitiveState.resolvedRounds.has(roundKey) || competitiveState.resolvingRounds.has(roundKey)) return;
 
             const roundData = gameState.roundLocations[roundKey];
-            if (!roundData || !roundData.country) {
-                DEBUG.warn("Missing data for promptForCardCreation");
+            if (!isValidCoordinate(roundData.location)) return;
+
+            if (hasResolvedCountries(roundData)) {
+                competitiveState.resolvedRounds.add(roundKey);
                 return;
             }
 
-            // Create overlay to prevent interaction with the page below
-            const overlay = document.createElement('div');
-            overlay.className = 'geo-anki-overlay';
-            overlay.style.position = 'fixed';
-            overlay.style.top = '0';
-            overlay.style.left = '0';
-            overlay.style.width = '100%';
-            overlay.style.height = '100%';
-            overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-            overlay.style.zIndex = '9998';
-            document.body.appendChild(overlay);
+            const roundLookups = [];
+            if (!roundData.country) {
+                roundLookups.push(getCountryFromCoordinates(roundData.location.lat, roundData.location.lng, false, roundKey));
+            }
+            if (!roundData.guessCountry && isValidCoordinate(roundData.guessLocation)) {
+                roundLookups.push(getCountryFromCoordinates(roundData.guessLocation.lat, roundData.guessLocation.lng, true, roundKey));
+            }
 
-            // Create HTML prompt container
-            const promptContainer = document.createElement('div');
-            promptContainer.className = 'geo-anki-prompt';
-            promptContainer.id = 'geo-anki-prompt-container';
-            promptContainer.style.position = 'fixed';
-            promptContainer.style.top = '50%';
-            promptContainer.style.left = '50%';
-            promptContainer.style.transform = 'translate(-50%, -50%)';
-            promptContainer.style.backgroundColor = 'rgba(30, 30, 30, 0.95)';
-            promptContainer.style.color = 'white';
-            promptContainer.style.padding = '20px';
-            promptContainer.style.borderRadius = '8px';
-            promptContainer.style.zIndex = '9999';
-            promptContainer.style.width = '400px';
-            promptContainer.style.maxWidth = '90%';
-            promptContainer.style.boxShadow = '0 4px 20px rgba(0,0,0,0.4)';
-            promptContainer.style.fontFamily = 'Arial, sans-serif';
+            competitiveState.resolvingRounds.add(roundKey);
+            lookups.push(Promise.all(roundLookups).then(() => {
+                competitiveState.resolvingRounds.delete(roundKey);
+                if (hasResolvedCountries(roundData)) {
+                    competitiveState.resolvedRounds.add(roundKey);
+                } else {
+                    DEBUG.warn(`Countries of ${roundKey} are still unknown, will retry`);
+                }
+            }));
+        });
 
-            // Create the content programmatically rather than using innerHTML
-            const title = document.createElement('h2');
-            title.style.textAlign = 'center';
-            title.style.marginTop = '0';
-            title.textContent = 'Create Anki Card';
-            promptContainer.appendChild(title);
+        // Requests are throttled per host by the lookup scheduler, so they can all start at once
+        return Promise.all(lookups).then(() => {
+            getRoundKeysForGame(gameId).forEach(roundKey => saveRoundToHistory(roundKey));
+        });
+    }
 
-            // Create guess country section
-            const guessLabel = document.createElement('p');
-            guessLabel.textContent = 'What country did you guess?';
-            promptContainer.appendChild(guessLabel);
+    // Opponent guess line for the card, e.g. "blue team: 312 km away (4,512 pts)"
+    function describeOpponentGuess(roundData) {
+        const opponent = roundData.opponentGuess;
+        if (!opponent || !settings.showOpponentGuess) return "";
 
-            const guessInput = document.createElement('input');
-            guessInput.type = 'text';
-            guessInput.id = 'geo-anki-guess';
-            guessInput.value = roundData.guessCountry || '';
-            guessInput.style.width = '100%';
-            guessInput.style.padding = '8px';
-            guessInput.style.boxSizing = 'border-box';
-            guessInput.style.marginBottom = '15px';
-            guessInput.style.backgroundColor = 'rgba(60,60,60,0.8)';
-            guessInput.style.color = 'white';
-            guessInput.style.border = '1px solid #555';
-            promptContainer.appendChild(guessInput);
+        const parts = [];
+        if (opponent.isCorrect !== undefined && typeof opponent.distance !== 'number') {
+            parts.push(opponent.isCorrect ? 'correct country' : 'wrong country');
+        }
+        if (typeof opponent.distance === 'number') {
+            parts.push(`${formatDistance(opponent.distance)} away`);
+        }
+        if (opponent.score !== undefined) {
+            parts.push(`${Number(opponent.score).toLocaleString('en-US')} pts`);
+        }
 
-            // Create missed clues section
-            const cluesLabel = document.createElement('p');
-            cluesLabel.textContent = 'What clues did you miss? (Leave blank for auto-generated)';
-            promptContainer.appendChild(cluesLabel);
+        const name = opponent.name ? escapeHtml(opponent.name) : 'Opponent';
+        return parts.length > 0 ? `${name}: ${parts.join(', ')}` : "";
+    }
 
-            const cluesTextarea = document.createElement('textarea');
-            cluesTextarea.id = 'geo-anki-clues';
-            cluesTextarea.style.width = '100%';
-            cluesTextarea.style.padding = '8px';
-            cluesTextarea.style.boxSizing = 'border-box';
-            cluesTextarea.style.height = '80px';
-            cluesTextarea.style.marginBottom = '15px';
-            cluesTextarea.style.backgroundColor = 'rgba(60,60,60,0.8)';
-            cluesTextarea.style.color = 'white';
-            cluesTextarea.style.border = '1px solid #555';
-            promptContainer.appendChild(cluesTextarea);
+    // Health change of our team in a duel round, e.g. "-1,200 HP (6,000 → 4,800, ×1.5)"
+    function describeHealthChange(health) {
+        if (!health || typeof health.before !== 'number' || typeof health.after !== 'number') return "";
 
-            // Create reminder section
-            const reminderLabel = document.createElement('p');
-            reminderLabel.textContent = `What will you remember next time to identify ${roundData.country}? (Leave blank for auto-generated)`;
-            promptContainer.appendChild(reminderLabel);
+        const change = health.after - health.before;
+        const multiplier = health.multiplier && health.multiplier !== 1 ? `, ×${health.multiplier}` : "";
+        return `${change <= 0 ? '-' : '+'}${Math.abs(change).toLocaleString('en-US')} HP ` +
+            `(${health.before.toLocaleString('en-US')} → ${health.after.toLocaleString('en-US')}${multiplier})`;
+    }
 
-            const reminderTextarea = document.createElement('textarea');
-            reminderTextarea.id = 'geo-anki-reminder';
-            reminderTextarea.style.width = '100%';
-            reminderTextarea.style.padding = '8px';
-            reminderTextarea.style.boxSizing = 'border-box';
-            reminderTextarea.style.height = '60px';
-            reminderTextarea.style.marginBottom = '20px';
-            reminderTextarea.style.backgroundColor = 'rgba(60,60,60,0.8)';
-            reminderTextarea.style.color = 'white';
-            reminderTextarea.style.border = '1px solid #555';
-            promptContainer.appendChild(reminderTextarea);
+    /* ========= STREAK MODE ========= */
+    // Country Streak games have no result screen per round: every pick is checked at once and
+    // the first miss ends the game. Rounds are therefore read from the game payload only.
 
-            // Create buttons container
-            const buttonContainer = document.createElement('div');
-            buttonContainer.style.display = 'flex';
-            buttonContainer.style.justifyContent = 'space-between';
-            
-            // Create cancel button
-            const cancelButton = document.createElement('button');
-            cancelButton.id = 'geo-anki-cancel';
-            cancelButton.textContent = 'Cancel';
-            cancelButton.style.padding = '8px 16px';
-            cancelButton.style.backgroundColor = '#e74c3c';
-            cancelButton.style.color = 'white';
-            cancelButton.style.border = 'none';
-            cancelButton.style.borderRadius = '4px';
-            cancelButton.style.cursor = 'pointer';
-            buttonContainer.appendChild(cancelButton);
+    function isStreakPayload(data) {
+        return !!data && data.mode === 'streak';
+    }
 
-            // Create right side buttons container
-            const rightButtonContainer = document.createElement('div');
-            
-            // Create instant add button
-            const instantButton = document.createElement('button');
-            instantButton.id = 'geo-anki-instant';
-            instantButton.textContent = 'Instant Add';
-            instantButton.style.padding = '8px 16px';
-            instantButton.style.backgroundColor = '#3498db';
-            instantButton.style.color = 'white';
-            instantButton.style.border = 'none';
-            instantButton.style.borderRadius = '4px';
-            instantButton.style.cursor = 'pointer';
-            instantButton.style.marginRight = '10px';
-            rightButtonContainer.appendChild(instantButton);
+    function isStreakGame() {
+        if (window.location.href.includes('/streaks/')) return true;
 
-            // Create create button
-            const createButton = document.createElement('button');
-            createButton.id = 'geo-anki-create';
-            createButton.textContent = 'Create Card';
-            createButton.style.padding = '8px 16px';
-            createButton.style.backgroundColor = '#2ecc71';
-            createButton.style.color = 'white';
-            createButton.style.border = 'none';
-            createButton.style.borderRadius = '4px';
-            createButton.style.cursor = 'pointer';
-            rightButtonContainer.appendChild(createButton);
-            
-            buttonContainer.appendChild(rightButtonContainer);
-            promptContainer.appendChild(buttonContainer);
+        const data = gameState.gameData;
+        return isStreakPayload(data) && data.token === getCurrentGameId();
+    }
 
-            // Create checkbox section
-            const checkboxContainer = document.createElement('div');
-            checkboxContainer.style.marginTop = '15px';
-            
-            const checkboxLabel = document.createElement('label');
-            checkboxLabel.style.display = 'flex';
-            checkboxLabel.style.alignItems = 'center';
-            checkboxLabel.style.cursor = 'pointer';
-            
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.id = 'geo-anki-instant-toggle';
-            checkbox.style.marginRight = '8px';
-            checkbox.checked = settings.instantAddEnabled;
-            
-            checkboxLabel.appendChild(checkbox);
-            checkboxLabel.appendChild(document.createTextNode('Always use instant add in the future'));
-            
-            checkboxContainer.appendChild(checkboxLabel);
-            promptContainer.appendChild(checkboxContainer);
+    // Record every guessed streak round and open the review once the streak is over
+    function processStreakPayload(data) {
+        const rounds = data.rounds || [];
+        const guesses = data.player && data.player.guesses ? data.player.guesses : [];
+        const gameId = data.token;
+        const streakType = data.streakType || 'countrystreak';
+
+        // Correct picks before the miss make up the streak
+        let streakLength = 0;
+        let missIndex = -1;
+        guesses.forEach((guess, index) => {
+            if (missIndex !== -1 || !rounds[index]) return;
+            if (guess.streakLocationCode && guess.streakLocationCode === rounds[index].streakLocationCode) {
+                streakLength++;
+            } else {
+                missIndex = index;
+            }
+        });
 
-            // Add to document
-            document.body.appendChild(promptContainer);
+        const ended = missIndex !== -1 || data.state === 'finished';
 
-            // Set focus to the guess field after a small delay to ensure the element is ready
-            setTimeout(() => {
-                if (guessInput) guessInput.focus();
-            }, 100);
+        guesses.forEach((guess, index) => {
+            const round = rounds[index];
+            if (!round) return;
 
-            // Event handlers using direct DOM references rather than getElementById
-            const handleCancel = function() {
-                DEBUG.log("Cancel button clicked");
-                // Mark that user cancelled card creation for this round
-                gameState.cancelCardCreation = true;
-                // Remove the elements from DOM
-                if (overlay && overlay.parentNode) {
-                    overlay.parentNode.removeChild(overlay);
-                }
-                if (promptContainer && promptContainer.parentNode) {
-                    promptContainer.parentNode.removeChild(promptContainer);
-                }
-                showNotification("Card creation cancelled", "info");
-            };
+            const roundKey = `${gameId}-round-${index + 1}`;
+            const roundData = gameState.roundLocations[roundKey] || (gameState.roundLocations[roundKey] = {
+                country: null,
+                countryData: null,
+                guessCountry: null,
+                guessCountryData: null
+            });
 
-            const handleInstantAdd = function() {
-                DEBUG.log("Instant Add button clicked");
-                // Save the "Always use instant add" setting
-                const instantToggle = document.getElementById('geo-anki-instant-toggle');
-                if (instantToggle) {
-                    settings.instantAddEnabled = instantToggle.checked;
-                    GM_setValue('instantAddEnabled', settings.instantAddEnabled);
-                }
-                
-                // Remove prompt and create card immediately
-                if (overlay && overlay.parentNode) {
-                    overlay.parentNode.removeChild(overlay);
+            Object.assign(roundData, {
+                panoId: round.panoId || roundData.panoId || null,
+                location: sanitizeCoordinates(round.lat, round.lng) || roundData.location || null,
+                heading: round.heading || 0,
+                pitch: round.pitch || 0,
+                zoom: round.zoom || 0,
+                guessLocation: sanitizeCoordinates(guess.lat, guess.lng) || roundData.guessLocation || null,
+                gameType: 'streak',
+                streak: {
+                    type: streakType,
+                    position: index + 1,
+                    length: streakLength,
+                    ended: index === missIndex,
+                    final: ended
                 }
-                if (promptContainer && promptContainer.parentNode) {
-                    promptContainer.parentNode.removeChild(promptContainer);
-                }
-                createAnkiCard(null, true);
-            };
+            });
 
-            const handleCreateCard = function() {
-                DEBUG.log("Create Card button clicked");
-                // Get entered values
-                const guessValue = guessInput ? guessInput.value.trim() : '';
-                const cluesValue = cluesTextarea ? cluesTextarea.value.trim() : '';
-                const reminderValue = reminderTextarea ? reminderTextarea.value.trim() : '';
-                
-                // Save the "Always use instant add" setting
-                const instantToggle = document.getElementById('geo-anki-instant-toggle');
-                if (instantToggle) {
-                    settings.instantAddEnabled = instantToggle.checked;
-                    GM_setValue('instantAddEnabled', settings.instantAddEnabled);
-                }
-                
-                // Remove prompt
-                if (overlay && overlay.parentNode) {
-                    overlay.parentNode.removeChild(overlay);
-                }
-                if (promptContainer && promptContainer.parentNode) {
-                    promptContainer.parentNode.removeChild(promptContainer);
+            if (!roundData.completedAt) {
+                roundData.completedAt = Date.now();
+            }
+            if (panoramaSnapshots[roundKey] && !roundData.snapshot) {
+                roundData.snapshot = panoramaSnapshots[roundKey];
+            }
+            attachGameSettings(roundKey);
+            attachPanoramaMetadata(roundKey);
+            attachRoundTiming(roundKey, guess);
+
+            saveRoundToHistory(roundKey);
+        });
+
+        DEBUG.log(`Streak ${gameId}: ${guesses.length} round(s) recorded, streak ${ended ? 'ended' : 'running'} at ${streakLength}`);
+
+        resolveGameCountries(gameId).then(() => {
+            if (ended) {
+                dispatchLifecycleEvent({ type: LIFECYCLE_EVENTS.GAME_FINISHED, gameId: gameId, competitive: true, source: 'api' });
+            }
+        });
+    }
+
+    // A correct streak pick is a close call when the location was near another country's border
+    function isStreakCloseCall(roundData) {
+        const countryCode = roundData.countryData && roundData.countryData.countryCode;
+        if (!roundData.streak || roundData.streak.ended || !countryCode || !isValidCoordinate(roundData.location)) {
+            return false;
+        }
+
+        const maxMeters = distanceSettingToMeters(settings.streakCloseCallDistance);
+        return distanceToOtherCountry(countryCode, roundData.location.lat, roundData.location.lng, maxMeters) <= maxMeters;
+    }
+
+    // Streak line for the card, e.g. "Ended a 23 round streak" or "Round 12 of a 23 round streak"
+    function describeStreak(streak) {
+        if (!streak) return "";
+
+        if (streak.ended) {
+            return `Ended a ${streak.length} round streak`;
+        }
+        return streak.final ?
+            `Round ${streak.position} of a ${streak.length} round streak` :
+            `Round ${streak.position} of a running streak`;
+    }
+
+    /* ========= CHALLENGES ========= */
+    // A challenge link is played as an ordinary game with its own token. Results pages list the
+    // finished game of every player, which lets us backfill rounds we missed while playing.
+
+    function isChallengeResultsUrl(url) {
+        return typeof url === 'string' && /api\/v3\/results\/(highscores|scores)\//.test(url);
+    }
+
+    function processChallengeResults(data, url) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                DEBUG.warn(`Couldn't parse challenge results from ${url}`);
+                return;
+            }
+        }
+
+        const items = data && Array.isArray(data.items) ? data.items : [];
+        const challengeId = getChallengeIdFromUrl(url);
+        if (items.length === 0 || !challengeId) return;
+
+        getOwnPlayerId()
+            .then(playerId => {
+                const own = items.find(item => item.game && item.game.player &&
+                    (item.game.player.id === playerId || item.userId === playerId));
+                if (!own) {
+                    DEBUG.log(`No own game among the results of challenge ${challengeId}`);
+                    return;
                 }
 
-                // Update state with entered values
-                if (guessValue) {
-                    // Update guess country
-                    gameState.guessCountry = guessValue;
-                    if (roundData) {
-                        roundData.guessCountry = guessValue;
-                        roundData.guessCountryData = roundData.guessCountryData || {
-                            country: guessValue,
-                            city: "Unknown location",
-                            countryCode: null,
-                            additionalInfo: {}
-                        };
+                rememberChallengeGame(challengeId, own.game.token);
+                recordGameSettings(own.game.token, own.game);
+                return backfillChallengeRounds(challengeId, own.game);
+            })
+            .catch(error => DEBUG.error("Error processing challenge results", error));
+    }
+
+    // Add rounds of a finished challenge game that aren't in memory or the round history yet
+    function backfillChallengeRounds(challengeId, game) {
+        const gameId = game.token;
+        const rounds = game.rounds || [];
+        const guesses = game.player && game.player.guesses ? game.player.guesses : [];
+
+        return loadGameFromHistory(gameId)
+            .then(() => {
+                let added = 0;
+
+                guesses.forEach((guess, index) => {
+                    const round = rounds[index];
+                    const roundKey = `${gameId}-round-${index + 1}`;
+                    const existing = gameState.roundLocations[roundKey];
+                    if (!round || (existing && isValidCoordinate(existing.location) && isValidCoordinate(existing.guessLocation))) {
+                        return;
                     }
-                }
 
-                if (cluesValue) {
-                    gameState.userMissedClues = cluesValue;
-                }
+                    const roundData = existing || (gameState.roundLocations[roundKey] = {
+                        country: null,
+                        countryData: null,
+                        guessCountry: null,
+                        guessCountryData: null
+                    });
 
-                if (reminderValue) {
-                    gameState.userReminder = reminderValue;
-                }
+                    Object.assign(roundData, {
+                        panoId: round.panoId || null,
+                        location: sanitizeCoordinates(round.lat, round.lng),
+                        heading: round.heading || 0,
+                        pitch: round.pitch || 0,
+                        zoom: round.zoom || 0,
+                        guessLocation: sanitizeCoordinates(guess.lat, guess.lng),
+                        gameType: 'challenge',
+                        challengeId: challengeId,
+                        completedAt: roundData.completedAt || Date.now()
+                    });
 
-                // Create the card
-                createAnkiCard();
-            };
+                    if (guess.roundScoreInPoints !== undefined) {
+                        roundData.score = guess.roundScoreInPoints;
+                    } else if (guess.roundScore !== undefined) {
+                        roundData.score = guess.roundScore;
+                    }
+                    if (guess.distanceInMeters !== undefined) {
+                        roundData.distanceMeters = guess.distanceInMeters;
+                    }
+                    attachGameSettings(roundKey);
+                    attachPanoramaMetadata(roundKey);
+                    attachRoundTiming(roundKey, guess);
 
-            // Attach event listeners directly to the button references
-            if (cancelButton) cancelButton.addEventListener('click', handleCancel);
-            if (instantButton) instantButton.addEventListener('click', handleInstantAdd);
-            if (createButton) createButton.addEventListener('click', handleCreateCard);
-            
-            // Also allow clicking outside the prompt to cancel
-            overlay.addEventListener('click', (e) => {
-                if (e.target === overlay) {
-                    handleCancel();
-                }
+                    added++;
+                });
+
+                if (added === 0) return;
+
+                DEBUG.log(`Backfilled ${added} round(s) of challenge ${challengeId} from the results`);
+                showNotification(`Recovered ${added} round(s) from the challenge results. Use 📋 to review them.`, 'info');
+                return resolveGameCountries(gameId);
             });
-            
-            // Add Escape key handler
-            const escHandler = (e) => {
-                if (e.key === 'Escape') {
-                    handleCancel();
-                    document.removeEventListener('keydown', escHandler);
+    }
+
+    /* ========= ROUND HISTORY ========= */
+    // Completed rounds are kept in IndexedDB so they survive reloads. Bump HISTORY_DB_VERSION
+    // and add a migration step whenever the stores or indexes change.
+    const HISTORY_DB_NAME = 'geoanki_history';
+    const HISTORY_DB_VERSION = 1;
+    const HISTORY_STORE = 'rounds';
+
+    // Migration steps, keyed by the version they upgrade to
+    const HISTORY_MIGRATIONS = {
+        1: (db) => {
+            const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'roundKey' });
+            store.createIndex('gameId', 'gameId');
+            store.createIndex('completedAt', 'completedAt');
+            store.createIndex('country', 'country');
+        }
+    };
+
+    // Round data properties copied into history records
+    const HISTORY_ROUND_FIELDS = [
+        'location', 'panoId', 'heading', 'pitch', 'zoom',
+        'country', 'countryData', 'guessLocation', 'guessCountry', 'guessCountryData',
+        'score', 'distanceMeters', 'guessOffset', 'missedClues', 'snapshot', 'gameType', 'gameSettings', 'imageDate', 'cameraGeneration', 'timing', 'regionMistake', 'overrideMatch', 'challengeId', 'opponentGuess', 'health', 'streak', 'cardCreated', 'cardQueued', 'completedAt'
+    ];
+
+    let historyDbPromise = null;
+
+    // Resolve an IDBRequest as a promise
+    function idbRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function openHistoryDb() {
+        if (historyDbPromise) return historyDbPromise;
+
+        historyDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB is not available"));
+                return;
+            }
+
+            const request = window.indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                for (let version = event.oldVersion + 1; version <= HISTORY_DB_VERSION; version++) {
+                    DEBUG.log(`Migrating round history to schema v${version}`);
+                    HISTORY_MIGRATIONS[version](db, request.transaction);
                 }
             };
-            document.addEventListener('keydown', escHandler);
-            
-            DEBUG.log("Prompt created and event handlers attached");
-        } catch (e) {
-            DEBUG.error("Error in card creation prompt", e);
-            showNotification("Error creating card prompt", "error");
-        }
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => DEBUG.warn("Round history upgrade blocked by another open GeoGuessr tab");
+        });
+
+        // Allow a retry after a failed open
+        historyDbPromise.catch(error => {
+            DEBUG.error("Couldn't open round history database", error);
+            historyDbPromise = null;
+        });
+
+        return historyDbPromise;
     }
 
-    /* ========= UI & NAVIGATION ========= */
-    
-    // Create UI with iframe for protection from CSS/JS interference
-    function createUIContainer() {
-        // Check if container already exists
-        if (document.getElementById('geoguessr-anki-container')) {
-            return;
+    // Run callback(store) inside a transaction and resolve once it has committed
+    function withHistoryStore(mode, callback) {
+        return openHistoryDb().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY_STORE, mode);
+            let result;
+
+            Promise.resolve(callback(transaction.objectStore(HISTORY_STORE)))
+                .then(value => { result = value; })
+                .catch(reject);
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    function parseRoundNumber(roundKey) {
+        const match = String(roundKey).match(/-round-(\d+)$/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    function toHistoryRecord(roundKey, roundData, existing) {
+        const record = {
+            roundKey: roundKey,
+            gameId: roundKey.replace(/-round-\d+$/, ''),
+            gameToken: gameState.gameData && gameState.gameData.token ? gameState.gameData.token : null,
+            roundNumber: parseRoundNumber(roundKey),
+            countryCode: roundData.countryData && roundData.countryData.countryCode || null,
+            guessCountryCode: roundData.guessCountryData && roundData.guessCountryData.countryCode || null,
+            createdAt: existing ? existing.createdAt : Date.now(),
+            updatedAt: Date.now(),
+            schemaVersion: HISTORY_DB_VERSION
+        };
+
+        HISTORY_ROUND_FIELDS.forEach(field => {
+            if (roundData[field] !== undefined) {
+                record[field] = roundData[field];
+            }
+        });
+
+        // Keep the token recorded while the game was running
+        if (existing && existing.gameToken && !record.gameToken) {
+            record.gameToken = existing.gameToken;
         }
-        
+
+        return record;
+    }
+
+    // Store or update a completed round. Safe to call repeatedly as more data arrives.
+    function saveRoundToHistory(roundKey) {
+        const roundData = roundKey ? gameState.roundLocations[roundKey] : null;
+        if (!roundData || !roundData.completedAt) return Promise.resolve(null);
+
+        getGuessOffset(roundData);
+
+        return withHistoryStore('readwrite', store =>
+            idbRequest(store.get(roundKey)).then(existing => {
+                // Structured clone fails on anything that isn't plain data
+                const record = JSON.parse(JSON.stringify(toHistoryRecord(roundKey, roundData, existing)));
+                store.put(record);
+                return record;
+            }))
+            .catch(error => {
+                DEBUG.error(`Couldn't save round ${roundKey} to history`, error);
+                return null;
+            });
+    }
+
+    // Patch a stored round, also when it is no longer in memory (e.g. outbox replay after a reload)
+    function updateHistoryRound(roundKey, changes) {
+        if (!roundKey) return Promise.resolve(null);
+
+        return withHistoryStore('readwrite', store =>
+            idbRequest(store.get(roundKey)).then(existing => {
+                if (!existing) return null;
+                const record = Object.assign(existing, changes, { updatedAt: Date.now() });
+                store.put(record);
+                return record;
+            }))
+            .catch(error => {
+                DEBUG.error(`Couldn't update round ${roundKey} in history`, error);
+                return null;
+            });
+    }
+
+    function getHistoryRound(roundKey) {
+        return withHistoryStore('readonly', store => idbRequest(store.get(roundKey)));
+    }
+
+    // Query stored rounds, newest first. All filters are optional:
+    // { gameId, country, guessCountry, since, until, mistakesOnly, regionMistakesOnly, cardCreated, gameType,
+    //   mapId, movement, cameraGeneration, imageYear, minGuessSeconds, maxGuessSeconds, overrideRuleId, limit }
+    function queryRoundHistory(filters = {}) {
+        return withHistoryStore('readonly', store => new Promise((resolve, reject) => {
+            const results = [];
+            let request;
+
+            if (filters.gameId) {
+                request = store.index('gameId').openCursor(IDBKeyRange.only(filters.gameId), 'prev');
+            } else {
+                const since = filters.since || 0;
+                const until = filters.until || Number.MAX_SAFE_INTEGER;
+                request = store.index('completedAt').openCursor(IDBKeyRange.bound(since, until), 'prev');
+            }
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || (filters.limit && results.length >= filters.limit)) {
+                    resolve(results);
+                    return;
+                }
+
+                const record = cursor.value;
+                const hasGuessTime = !!(record.timing && typeof record.timing.guessSeconds === 'number');
+                const matches =
+                    (!filters.country || record.country === filters.country) &&
+                    (!filters.guessCountry || record.guessCountry === filters.guessCountry) &&
+                    (!filters.since || record.completedAt >= filters.since) &&
+                    (!filters.until || record.completedAt <= filters.until) &&
+                    (!filters.mistakesOnly || (record.country && record.guessCountry && record.country !== record.guessCountry)) &&
+                    (!filters.regionMistakesOnly || !!record.regionMistake) &&
+                    (filters.cardCreated === undefined || !!record.cardCreated === filters.cardCreated) &&
+                    (!filters.gameType || record.gameType === filters.gameType) &&
+                    (!filters.mapId || (record.gameSettings && record.gameSettings.mapId === filters.mapId)) &&
+                    (!filters.movement || (record.gameSettings && record.gameSettings.movement === filters.movement)) &&
+                    (!filters.cameraGeneration || record.cameraGeneration === filters.cameraGeneration) &&
+                    (!filters.imageYear || (record.imageDate && record.imageDate.year === filters.imageYear)) &&
+                    (filters.minGuessSeconds === undefined || (hasGuessTime && record.timing.guessSeconds >= filters.minGuessSeconds)) &&
+                    (filters.maxGuessSeconds === undefined || (hasGuessTime && record.timing.guessSeconds <= filters.maxGuessSeconds)) &&
+                    (!filters.overrideRuleId || (record.overrideMatch && record.overrideMatch.ruleId === filters.overrideRuleId));
+
+                if (matches) results.push(record);
+                cursor.continue();
+            };
+        }));
+    }
+
+    // Put stored rounds of a game back into memory, e.g. after a page reload
+    function loadGameFromHistory(gameId) {
+        return queryRoundHistory({ gameId: gameId })
+            .then(records => {
+                records.forEach(record => {
+                    if (gameState.roundLocations[record.roundKey]) return;
+
+                    const roundData = {};
+                    HISTORY_ROUND_FIELDS.forEach(field => {
+                        if (record[field] !== undefined) roundData[field] = record[field];
+                    });
+                    gameState.roundLocations[record.roundKey] = roundData;
+                });
+                return records.length;
+            })
+            .catch(error => {
+                DEBUG.warn(`Couldn't load game ${gameId} from history`, error);
+                return 0;
+            });
+    }
+
+    // Delete rounds older than the retention setting (0 keeps everything)
+    function pruneRoundHistory() {
+        const days = parseInt(settings.historyRetentionDays, 10);
+        if (!days || days <= 0) return Promise.resolve(0);
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+
+        return withHistoryStore('readwrite', store => new Promise((resolve, reject) => {
+            let removed = 0;
+            const request = store.index('completedAt').openCursor(IDBKeyRange.upperBound(cutoff, true));
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(removed);
+                    return;
+                }
+                cursor.delete();
+                removed++;
+                cursor.continue();
+            };
+        }))
+        .then(removed => {
+            if (removed > 0) DEBUG.log(`Removed ${removed} round(s) older than ${days} days from history`);
+            return removed;
+        })
+        .catch(error => {
+            DEBUG.error("Couldn't prune round history", error);
+            return 0;
+        });
+    }
+
+    /* ========= ANKI NOTE TYPE ========= */
+    // Bump whenever fields, templates or styling change so installed note types get updated
+    const NOTE_TYPE_VERSION = 11;
+
+    // Version marker stored at the top of the note type CSS
+    const NOTE_TYPE_VERSION_MARKER = /\/\* GeoAnki note type v(\d+) \*\//;
+
+    const NOTE_TYPE_FIELDS = [
+        'Prompt',
+        'ActualCountry',
+        'GuessCountry',
+        'CountryCode',
+        'Flag',
+        'Continent',
+        'DrivingSide',
+        'ActualPlace',
+        'GuessPlace',
+        'ActualRegion',
+        'GuessRegion',
+        'Lat',
+        'Lng',
+        'PanoId',
+        'MapsLink',
+        'Clues',
+        'Reminder',
+        'Score',
+        'Distance',
+        'RoundKey',
+        'MistakeLog',
+        'GuessFlag',
+        'GuessDrivingSide',
+        'Languages',
+        'GuessLanguages',
+        'CardMistake',
+        'CardCountry',
+        'CardCompare',
+        'CardFlag',
+        'CardFacts',
+        'Snapshot',
+        'OpponentGuess',
+        'HealthChange',
+        'Streak',
+        'GameSettings',
+        'ImageDate',
+        'CameraGeneration',
+        'GuessTime'
+    ];
+
+    // Card types a note can generate. Each has its own template, which only produces a card
+    // when the note's switch field is filled in.
+    const CARD_TYPES = [
+        { key: 'mistake', field: 'CardMistake', template: 'Mistake', label: 'Mistake ("you guessed X but it was Y")' },
+        { key: 'country', field: 'CardCountry', template: 'Which Country', label: 'Which country is this? (panorama)' },
+        { key: 'compare', field: 'CardCompare', template: 'Comparison', label: 'X vs Y: how to tell them apart' },
+        { key: 'flag', field: 'CardFlag', template: 'Flag', label: 'Flag to country' },
+        { key: 'facts', field: 'CardFacts', template: 'Facts', label: 'Driving side and language facts' }
+    ];
+
+    const NOTE_TYPE_FRONT = `{{#CardMistake}}<div class="geoanki geoanki-front">
+{{#Snapshot}}<div class="geoanki-snapshot">{{Snapshot}}</div>{{/Snapshot}}
+{{Prompt}}
+</div>{{/CardMistake}}`;
+
+    // Answer side without {{FrontSide}}, also used to render the Back field of Basic note types
+    const NOTE_TYPE_BACK_BODY = `<div class="geoanki geoanki-back">
+<h3>✅ Correct Answer: <strong>{{ActualCountry}}</strong> {{Flag}}</h3>
+<h3>❌ Mistake: Guessed {{GuessCountry}}</h3>
+
+<p>📍 <strong>Your Guess:</strong> {{GuessPlace}}, <strong>{{GuessCountry}}</strong></p>
+<p>📍 <strong>Correct Location:</strong> {{ActualPlace}}, <strong>{{ActualCountry}}</strong></p>
+{{#ActualRegion}}<p>🧭 <strong>Region:</strong> {{ActualRegion}}{{#GuessRegion}} (you guessed {{GuessRegion}}){{/GuessRegion}}</p>{{/ActualRegion}}
+{{#MapsLink}}<p>🔗 <a href="{{MapsLink}}" target="_blank">View on Google Maps</a></p>{{/MapsLink}}
+<p>🌎 <strong>Continent:</strong> <strong>{{Continent}}</strong></p>
+<p>🚗 <strong>Driving Side:</strong> <strong>{{DrivingSide}}</strong></p>
+{{#Score}}<p>🎯 <strong>Score:</strong> {{Score}}</p>{{/Score}}
+{{#Distance}}<p>📏 <strong>Distance:</strong> {{Distance}}</p>{{/Distance}}
+{{#OpponentGuess}}<p>⚔️ <strong>Opponent:</strong> {{OpponentGuess}}</p>{{/OpponentGuess}}
+{{#HealthChange}}<p>❤️ <strong>Health:</strong> {{HealthChange}}</p>{{/HealthChange}}
+{{#Streak}}<p>🔥 <strong>Streak:</strong> {{Streak}}</p>{{/Streak}}
+{{#GameSettings}}<p>🗺️ <strong>Game:</strong> {{GameSettings}}</p>{{/GameSettings}}
+{{#ImageDate}}<p>📅 <strong>Image date:</strong> {{ImageDate}}</p>{{/ImageDate}}
+{{#CameraGeneration}}<p>📷 <strong>Camera:</strong> {{CameraGeneration}}</p>{{/CameraGeneration}}
+{{#GuessTime}}<p>⏱️ <strong>Time:</strong> {{GuessTime}}</p>{{/GuessTime}}
+
+<h3>🛑 Key Clues You Missed:</h3>
+<div class="geoanki-clues">{{Clues}}</div>
+
+<h3>Next Time, Remember:</h3>
+<p class="geoanki-reminder">⚡ <em>{{Reminder}}</em></p>
+{{#MistakeLog}}
+<h3>🔁 Repeated Mistakes:</h3>
+<div class="geoanki-mistake-log">{{MistakeLog}}</div>
+{{/MistakeLog}}
+</div>`;
+
+    const COUNTRY_FRONT = `{{#CardCountry}}<div class="geoanki geoanki-front">
+{{#Snapshot}}<div class="geoanki-snapshot">{{Snapshot}}</div>{{/Snapshot}}
+<p>Which country is this? 🌍</p>
+</div>{{/CardCountry}}`;
+
+    // The Maps link gives the answer away, so it's only on the back
+    const COUNTRY_BACK_BODY = `<div class="geoanki geoanki-back">
+<h3>✅ <strong>{{ActualCountry}}</strong> {{Flag}}</h3>
+<p>📍 {{ActualPlace}}</p>
+{{#MapsLink}}<p>🔗 <a href="{{MapsLink}}" target="_blank">Open the panorama</a></p>{{/MapsLink}}
+<p>🌎 <strong>Continent:</strong> {{Continent}}</p>
+<h3>🛑 Clues:</h3>
+<div class="geoanki-clues">{{Clues}}</div>
+</div>`;
+
+    const COMPARE_FRONT = `{{#CardCompare}}<div class="geoanki geoanki-front">
+<p><strong>{{ActualCountry}}</strong> vs <strong>{{GuessCountry}}</strong></p>
+<p>How do you tell them apart?</p>
+</div>{{/CardCompare}}`;
+
+    const COMPARE_BACK_BODY = `<div class="geoanki geoanki-back">
+<table class="geoanki-compare">
+<tr><th></th><th>{{ActualCountry}} {{Flag}}</th><th>{{GuessCountry}} {{GuessFlag}}</th></tr>
+<tr><td>🚗 Driving side</td><td>{{DrivingSide}}</td><td>{{GuessDrivingSide}}</td></tr>
+<tr><td>🗣️ Languages</td><td>{{Languages}}</td><td>{{GuessLanguages}}</td></tr>
+</table>
+<h3>🛑 What gives {{ActualCountry}} away:</h3>
+<div class="geoanki-clues">{{Clues}}</div>
+<p class="geoanki-reminder">⚡ <em>{{Reminder}}</em></p>
+</div>`;
+
+    const FLAG_FRONT = `{{#CardFlag}}{{#Flag}}<div class="geoanki geoanki-front geoanki-flag-front">
+<p>Which country has this flag?</p>
+{{Flag}}
+</div>{{/Flag}}{{/CardFlag}}`;
+
+    const FLAG_BACK_BODY = `<div class="geoanki geoanki-back">
+<h3>✅ <strong>{{ActualCountry}}</strong></h3>
+<p>🌎 <strong>Continent:</strong> {{Continent}}</p>
+</div>`;
+
+    const FACTS_FRONT = `{{#CardFacts}}<div class="geoanki geoanki-front">
+<p>🚗 Which side of the road do they drive on in <strong>{{ActualCountry}}</strong>?</p>
+<p>🗣️ Which languages will you see on signs?</p>
+</div>{{/CardFacts}}`;
+
+    const FACTS_BACK_BODY = `<div class="geoanki geoanki-back">
+<p>🚗 <strong>Driving Side:</strong> {{DrivingSide}}</p>
+<p>🗣️ <strong>Languages:</strong> {{Languages}}</p>
+</div>`;
+
+    const NOTE_TYPE_CSS = `/* GeoAnki note type v${NOTE_TYPE_VERSION} */
+.card {
+    font-family: Arial, sans-serif;
+    font-size: 18px;
+    text-align: left;
+    color: #222;
+    background-color: #fafafa;
+}
+
+.nightMode.card, .night_mode .card {
+    color: #e0e0e0;
+    background-color: #2b2b2b;
+}
+
+.geoanki {
+    max-width: 720px;
+    margin: 0 auto;
+}
+
+.geoanki-front {
+    font-size: 22px;
+    text-align: center;
+}
+
+.geoanki h3 {
+    margin: 12px 0 6px;
+}
+
+.geoanki p {
+    margin: 4px 0;
+}
+
+.geoanki .flag-image {
+    height: 1.2em;
+    vertical-align: middle;
+    border: 1px solid #ccc;
+}
+
+.geoanki-clues ul {
+    padding-left: 20px;
+}
+
+.geoanki-reminder {
+    color: #2e7d32;
+}
+
+.nightMode .geoanki-reminder, .night_mode .geoanki-reminder {
+    color: #81c784;
+}
+
+.geoanki-mistake-log .geoanki-mistake {
+    margin: 6px 0;
+    padding-left: 8px;
+    border-left: 3px solid #e57373;
+}
+
+.geoanki-snapshot img {
+    max-width: 100%;
+    border-radius: 4px;
+}
+
+.geoanki-flag-front .flag-image {
+    height: 4em;
+}
+
+.geoanki-compare {
+    border-collapse: collapse;
+    margin: 8px 0;
+}
+
+.geoanki-compare th, .geoanki-compare td {
+    padding: 4px 10px;
+    border-bottom: 1px solid #ccc;
+    text-align: left;
+}`;
+
+    // Front template and answer body (without {{FrontSide}}) of each card type
+    const CARD_TYPE_TEMPLATES = {
+        mistake: { front: NOTE_TYPE_FRONT, back: NOTE_TYPE_BACK_BODY },
+        country: { front: COUNTRY_FRONT, back: COUNTRY_BACK_BODY },
+        compare: { front: COMPARE_FRONT, back: COMPARE_BACK_BODY },
+        flag: { front: FLAG_FRONT, back: FLAG_BACK_BODY },
+        facts: { front: FACTS_FRONT, back: FACTS_BACK_BODY }
+    };
+
+    // Card templates installed on the GeoAnki note type
+    function getNoteTypeTemplates() {
+        return CARD_TYPES.map(type => ({
+            Name: type.template,
+            Front: CARD_TYPE_TEMPLATES[type.key].front,
+            Back: `{{FrontSide}}\n<hr id="answer">\n${CARD_TYPE_TEMPLATES[type.key].back}`
+        }));
+    }
+
+    // Card types switched on in the settings
+    function getDefaultCardTypes() {
+        return CARD_TYPES.filter(type => settings.cardTypes[type.key]).map(type => type.key);
+    }
+
+    // Minimal Anki template renderer ({{Field}}, {{#Field}}...{{/Field}}, {{^Field}}...{{/Field}})
+    function renderNoteTemplate(template, fields) {
+        const hasValue = name => {
+            const value = fields[name.trim()];
+            return value !== undefined && value !== null && String(value).trim() !== '';
+        };
+
+        // Resolve sections until none are left so nested sections work too
+        let rendered = template;
+        let previous;
+        do {
+            previous = rendered;
+            rendered = rendered.replace(/\{\{([#^])([^}]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, type, name, inner) => {
+                return (type === '#') === hasValue(name) ? inner : '';
+            });
+        } while (rendered !== previous);
+
+        return rendered.replace(/\{\{([^#^\/}][^}]*)\}\}/g, (match, name) => {
+            const value = fields[name.trim()];
+            return value !== undefined && value !== null ? String(value) : '';
+        });
+    }
+
+    /* ========= ANKI CARD BUILDING ========= */
+    // Build card data for a round. input holds the user's { missedClues, reminder, cardTypes } and
+    // defaults to what was entered in the card prompt for the current round.
+    function buildAnkiCardData(useDefaults = false, roundKey = gameState.currentRoundKey, input = null) {
+        if (!input) {
+            input = {
+                missedClues: gameState.userMissedClues,
+                reminder: gameState.userReminder,
+                cardTypes: gameState.userCardTypes
+            };
+        }
+
+        if (!roundKey) {
+            DEBUG.error("No round key available for buildAnkiCardData");
+            return null;
+        }
+
+        // Get the round-specific data
+        const roundData = gameState.roundLocations[roundKey];
+        if (!roundData) {
+            DEBUG.error(`No round data found for key ${roundKey} when building Anki card`);
+            return null;
+        }
+
+        // For instant add, we can use default values for missing data
+        if (useDefaults) {
+            if (!roundData.country) {
+                // Try DOM extraction if API data is missing
+                const extractedCountry = extractCountryFromDOM();
+                if (extractedCountry) {
+                    roundData.country = extractedCountry;
+                    gameState.actualCountry = extractedCountry;
+                } else {
+                    // Use a default value if we can't determine the country
+                    roundData.country = "Unknown Country";
+                    gameState.actualCountry = "Unknown Country";
+                }
+            }
+
+            if (!roundData.guessCountry) {
+                // Use a default for guessed country
+                roundData.guessCountry = "Unknown Guess";
+                gameState.guessCountry = "Unknown Guess";
+            }
+        } else {
+            // For regular add, ensure we have the necessary data
+            if (!roundData.country || !roundData.guessCountry) {
+                DEBUG.error("Missing country data for Anki card");
+                return null;
+            }
+        }
+
+        // Prepare Street View link for the correct location
+        let mapsLink = "#";
+        if (isValidCoordinate(roundData.location)) {
+            const lat = roundData.location.lat.toFixed(6);
+            const lng = roundData.location.lng.toFixed(6);
+
+            // Create a proper Street View link with panoId if available
+            if (roundData.panoId) {
+                mapsLink = createStreetViewLink(
+                    lat, lng,
+                    roundData.panoId,
+                    roundData.heading || 0,
+                    roundData.pitch || 0,
+                    roundData.zoom || 0
+                );
+            } else {
+                mapsLink = `https://www.google.com/maps/@${lat},${lng},3a,90y,0h,0t/data=!3m1!1e1`;
+            }
+
+            // Validate the generated URL
+            if (!mapsLink || mapsLink === "#" || !mapsLink.startsWith("http")) {
+                DEBUG.warn("Generated invalid Maps URL, using fallback");
+                mapsLink = `https://www.google.com/maps/@${lat},${lng},12z`;
+            }
+        }
+
+        // Get location names with null checking
+        const guessCity = roundData.guessCountryData && roundData.guessCountryData.city ?
+            roundData.guessCountryData.city : "Unknown location";
+        const actualCity = roundData.countryData && roundData.countryData.city ?
+            roundData.countryData.city : "Unknown location";
+
+        // Get additional info with null checking
+        const continent = roundData.countryData && roundData.countryData.additionalInfo &&
+            roundData.countryData.additionalInfo.continent ?
+            roundData.countryData.additionalInfo.continent : "Unknown";
+
+        const drivingSide = roundData.countryData && roundData.countryData.additionalInfo &&
+            roundData.countryData.additionalInfo.drivingSide ?
+            roundData.countryData.additionalInfo.drivingSide : "Unknown";
+
+        // Front of card (question) - hide location link based on settings
+        // Region mistakes name the states, correct streak rounds can still be carded as close calls
+        const regionMistake = roundData.regionMistake;
+        let question;
+        if (regionMistake) {
+            question = `You guessed ${regionMistake.guess}, it was ${regionMistake.actual}. What clues did you miss? 🌍`;
+        } else if (roundData.streak && roundData.country === roundData.guessCountry) {
+            question = `You got ${roundData.country} right, but it was a close call. What almost fooled you? 🌍`;
+        } else {
+            question = `You guessed ${roundData.guessCountry}, but the correct answer was ${roundData.country}. What clues did you miss? 🌍`;
+        }
+
+        let promptField;
+        if (mapsLink && mapsLink !== "#" && !settings.hideLocationInFrontCard) {
+            // Only show maps link if explicitly enabled in settings
+            promptField = `${question}<br><br>
+🔗 <a href="${mapsLink}" target="_blank">Google Maps Link: View Correct Location</a>`;
+        } else {
+            // Default: Hide location link to prevent leaking coordinates
+            promptField = question;
+        }
+
+        // Images referenced by the card, stored in Anki's media folder before the note is added
+        const media = [];
+
+        // Flag image stored as local media so it also shows offline
+        let flagHtml = "";
+
+        if (roundData.countryData && roundData.countryData.countryCode) {
+            const flagFilename = addCardMedia(media,
+                getFlagMediaFilename(roundData.countryData.countryCode),
+                { url: getFlagUrl(roundData.countryData.countryCode) });
+            flagHtml = `<img src="${flagFilename}" class="flag-image" alt="Flag of ${roundData.country}" onerror="this.style.display='none'">`;
+        }
+
+        // What the player saw, so the card works offline and shows the same panorama years later
+        let snapshotHtml = "";
+        const snapshot = getRoundSnapshot(roundKey, roundData);
+        if (snapshot) {
+            const snapshotFilename = addCardMedia(media,
+                `${MEDIA_PREFIX}pano_${slugify(roundKey)}.jpg`,
+                { data: snapshot.data });
+            snapshotHtml = `<img src="${snapshotFilename}" alt="Panorama">`;
+        }
+
+        let guessFlagHtml = "";
+        if (roundData.guessCountryData && roundData.guessCountryData.countryCode) {
+            const guessFlagFilename = addCardMedia(media,
+                getFlagMediaFilename(roundData.guessCountryData.countryCode),
+                { url: getFlagUrl(roundData.guessCountryData.countryCode) });
+            guessFlagHtml = `<img src="${guessFlagFilename}" class="flag-image" alt="Flag of ${roundData.guessCountry}" onerror="this.style.display='none'">`;
+        }
+
+        const actualInfo = roundData.countryData && roundData.countryData.additionalInfo || {};
+        const guessInfo = roundData.guessCountryData && roundData.guessCountryData.additionalInfo || {};
+        const formatLanguages = info => Array.isArray(info.languages) ? info.languages.join(', ') : "Unknown";
+
+        // Flag cards need a flag, and every note has to produce at least one card
+        let cardTypes = (input.cardTypes || getDefaultCardTypes())
+            .filter(key => CARD_TYPE_TEMPLATES[key] && (key !== 'flag' || flagHtml));
+        if (cardTypes.length === 0) {
+            cardTypes = ['mistake'];
+        }
+
+        // Use user's custom missed clues if provided and not using defaults,
+        // otherwise use the generated ones or a generic fallback for instant add
+        let cluesField;
+        if (input.missedClues && input.missedClues.trim() && !useDefaults) {
+            cluesField = `<p>${input.missedClues}</p>`;
+        } else {
+            cluesField = `<ul>`;
+            // Add missed clues with null checking
+            if (roundData.missedClues && roundData.missedClues.length > 0) {
+                roundData.missedClues.forEach(clue => {
+                    if (clue && clue.category && clue.clue) {
+                        cluesField += `<li><strong>${clue.category}:</strong> ${clue.clue}</li>`;
+                    }
+                });
+            } else {
+                cluesField += `<li><strong>General:</strong> Pay attention to distinctive features in ${roundData.country}.</li>`;
+            }
+            cluesField += `</ul>`;
+        }
+
+        // Use user's custom reminder if provided and not using defaults,
+        // otherwise use the generated one or a generic fallback for instant add
+        let reminderField;
+        if (input.reminder && input.reminder.trim() && !useDefaults) {
+            reminderField = input.reminder;
+        } else {
+            const looksLike = regionMistake ? regionMistake.guess : roundData.guessCountry;
+            const actually = regionMistake ? regionMistake.actual : roundData.country;
+            reminderField = `"If it looks like ${looksLike} but has ${getSingleDistinctiveClue(roundKey)} → Think ${actually}!"`;
+        }
+
+        // Structured note fields, one per field of the GeoAnki note type
+        const fields = {
+            Prompt: promptField,
+            ActualCountry: roundData.country,
+            GuessCountry: roundData.guessCountry,
+            CountryCode: roundData.countryData && roundData.countryData.countryCode ? roundData.countryData.countryCode : "",
+            Flag: flagHtml,
+            Continent: continent,
+            DrivingSide: drivingSide,
+            ActualPlace: actualCity,
+            GuessPlace: guessCity,
+            ActualRegion: roundData.countryData && roundData.countryData.state || "",
+            GuessRegion: roundData.guessCountryData && roundData.guessCountryData.state || "",
+            Lat: isValidCoordinate(roundData.location) ? roundData.location.lat.toFixed(6) : "",
+            Lng: isValidCoordinate(roundData.location) ? roundData.location.lng.toFixed(6) : "",
+            PanoId: roundData.panoId || "",
+            MapsLink: mapsLink && mapsLink !== "#" ? mapsLink : "",
+            Clues: cluesField,
+            Reminder: reminderField,
+            Score: formatRoundScore(roundData.score),
+            Distance: describeGuessOffset(roundData),
+            RoundKey: roundKey,
+            MistakeLog: "",
+            GuessFlag: guessFlagHtml,
+            GuessDrivingSide: guessInfo.drivingSide || "Unknown",
+            Languages: formatLanguages(actualInfo),
+            GuessLanguages: formatLanguages(guessInfo),
+            Snapshot: snapshotHtml,
+            OpponentGuess: describeOpponentGuess(roundData),
+            HealthChange: describeHealthChange(roundData.health),
+            Streak: describeStreak(roundData.streak),
+            GameSettings: describeGameSettings(roundData.gameSettings),
+            ImageDate: formatImageDate(roundData.imageDate),
+            CameraGeneration: CAMERA_GENERATION_LABELS[roundData.cameraGeneration] || "",
+            GuessTime: describeRoundTiming(roundData.timing)
+        };
+
+        CARD_TYPES.forEach(type => {
+            fields[type.field] = cardTypes.includes(type.key) ? "y" : "";
+        });
+
+        // Front/Back rendering for plain Basic note types, which hold a single card type
+        const basicTemplate = CARD_TYPE_TEMPLATES[cardTypes[0]];
+        const frontField = renderNoteTemplate(basicTemplate.front, fields);
+        const backField = renderNoteTemplate(basicTemplate.back, fields);
+
+        return {
+            frontField: frontField,
+            backField: backField,
+            fields: fields,
+            media: media,
+            tags: buildNoteTags(roundData, useDefaults),
+            deckName: resolveDeckRoute(roundData).deckName,
+            mapsLink: mapsLink,
+            actualCountry: roundData.country,
+            guessCountry: roundData.guessCountry,
+            cardTypes: cardTypes,
+            roundKey: roundKey
+        };
+    }
+
+    // Score may arrive as a number or as GeoGuessr's { amount, unit } object
+    function formatRoundScore(score) {
+        if (score === undefined || score === null) return "";
+        if (typeof score === 'object') {
+            return score.amount !== undefined ? String(score.amount) : "";
+        }
+        return String(score);
+    }
+
+    // Generated tag families that can be toggled in the settings panel
+    const TAG_FAMILIES = [
+        { key: 'country', label: 'Country', example: 'geoanki::country::GT' },
+        { key: 'continent', label: 'Continent', example: 'geoanki::continent::North_America' },
+        { key: 'confusedWith', label: 'Confused with', example: 'geoanki::confused_with::AU' },
+        { key: 'region', label: 'Region mistake', example: 'geoanki::region::AU::Western_Australia' },
+        { key: 'mode', label: 'Game mode', example: 'geoanki::mode::challenge' },
+        { key: 'map', label: 'Map', example: 'geoanki::map::world' },
+        { key: 'movement', label: 'Movement', example: 'geoanki::movement::nmpz' },
+        { key: 'generation', label: 'Camera generation', example: 'geoanki::generation::gen3' },
+        { key: 'imageYear', label: 'Image year', example: 'geoanki::image_year::2011' },
+        { key: 'instant', label: 'Instant add', example: 'geoanki::instant' }
+    ];
+
+    // Anki tags can't contain spaces
+    function toTagSegment(value) {
+        return String(value).trim().replace(/\s+/g, '_');
+    }
+
+    function slugify(value) {
+        return String(value).trim().toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    // Build the automatic tags for a round according to the tag settings
+    function buildNoteTags(roundData, useDefaults = false) {
+        const tagSettings = settings.tags;
+        const tags = [];
+
+        (tagSettings.staticTags || []).forEach(tag => {
+            if (tag && tag.trim()) tags.push(toTagSegment(tag));
+        });
+
+        const countryCode = roundData.countryData && roundData.countryData.countryCode;
+        const guessCountryCode = roundData.guessCountryData && roundData.guessCountryData.countryCode;
+
+        if (tagSettings.country && (countryCode || roundData.country)) {
+            tags.push(`geoanki::country::${toTagSegment(countryCode || roundData.country)}`);
+        }
+
+        const continent = roundData.countryData && roundData.countryData.additionalInfo &&
+            roundData.countryData.additionalInfo.continent;
+        if (tagSettings.continent && continent && continent !== 'Unknown') {
+            tags.push(`geoanki::continent::${toTagSegment(continent)}`);
+        }
+
+        if (tagSettings.confusedWith && roundData.guessCountry && roundData.guessCountry !== roundData.country &&
+            roundData.guessCountry !== "Unknown Guess") {
+            tags.push(`geoanki::confused_with::${toTagSegment(guessCountryCode || roundData.guessCountry)}`);
+        }
+
+        if (tagSettings.region && roundData.regionMistake && countryCode) {
+            tags.push(`geoanki::region::${countryCode}::${toTagSegment(roundData.regionMistake.actual)}`);
+        }
+
+        const gameType = roundData.gameType || getGameType();
+        if (tagSettings.mode && gameType) {
+            tags.push(`geoanki::mode::${toTagSegment(gameType)}`);
+        }
+
+        // Rounds carry their own game settings; older rounds fall back to the current game
+        const gameSettings = roundData.gameSettings || extractGameSettings(gameState.gameData);
+        const mapSlug = gameSettings ? slugify(gameSettings.mapName || gameSettings.mapId || '') : '';
+        if (tagSettings.map && mapSlug) {
+            tags.push(`geoanki::map::${mapSlug}`);
+        }
+
+        if (tagSettings.movement && gameSettings) {
+            tags.push(`geoanki::movement::${gameSettings.movement}`);
+        }
+
+        if (tagSettings.generation && roundData.cameraGeneration) {
+            tags.push(`geoanki::generation::${roundData.cameraGeneration}`);
+        }
+
+        if (tagSettings.imageYear && roundData.imageDate) {
+            tags.push(`geoanki::image_year::${roundData.imageDate.year}`);
+        }
+
+        if (tagSettings.instant && useDefaults) {
+            tags.push('geoanki::instant');
+        }
+
+        // Remove duplicates, e.g. a static tag that matches a generated one
+        return Array.from(new Set(tags));
+    }
+
+    // Conditions available to deck routing rules
+    const DECK_RULE_CONDITIONS = [
+        { key: 'always', label: 'Always' },
+        { key: 'country', label: 'Country is one of' },
+        { key: 'continent', label: 'Continent is one of' },
+        { key: 'pair', label: 'Both countries are in' },
+        { key: 'confusedWith', label: 'Guessed country is one of' },
+        { key: 'gameType', label: 'Game mode is one of' },
+        { key: 'map', label: 'Map is one of' },
+        { key: 'movement', label: 'Movement is one of (moving, nm, nmpz)' }
+    ];
+
+    // Values used by rule conditions and deck name placeholders
+    function buildRoutingContext(roundData) {
+        const countryData = roundData.countryData || {};
+        const guessCountryData = roundData.guessCountryData || {};
+        const gameSettings = roundData.gameSettings || extractGameSettings(gameState.gameData) || {};
+
+        return {
+            deck: DECK_NAME,
+            country: roundData.country || 'Unknown',
+            countryCode: countryData.countryCode || '',
+            guessCountry: roundData.guessCountry || 'Unknown',
+            guessCountryCode: guessCountryData.countryCode || '',
+            continent: countryData.additionalInfo && countryData.additionalInfo.continent ?
+                countryData.additionalInfo.continent : 'Unknown',
+            gameType: roundData.gameType || getGameType() || 'standard',
+            map: gameSettings.mapName || gameSettings.mapId || 'Unknown',
+            mapId: gameSettings.mapId || '',
+            movement: gameSettings.movement || 'Unknown'
+        };
+    }
+
+    // Split a rule value like "BG, RS, MK" into lowercase entries
+    function parseRuleValues(value) {
+        return String(value || '').split(',')
+            .map(item => item.trim().toLowerCase())
+            .filter(item => item);
+    }
+
+    function deckRuleMatches(rule, context) {
+        const values = parseRuleValues(rule.value);
+        const isListed = (...candidates) => candidates.some(candidate => candidate && values.includes(String(candidate).toLowerCase()));
+
+        switch (rule.condition) {
+            case 'always':
+                return true;
+            case 'country':
+                return isListed(context.countryCode, context.country);
+            case 'continent':
+                return isListed(context.continent);
+            case 'pair':
+                return isListed(context.countryCode, context.country) &&
+                    isListed(context.guessCountryCode, context.guessCountry);
+            case 'confusedWith':
+                return isListed(context.guessCountryCode, context.guessCountry);
+            case 'gameType':
+                return isListed(context.gameType);
+            case 'map':
+                return isListed(context.map, context.mapId);
+            case 'movement':
+                return isListed(context.movement);
+            default:
+                return false;
+        }
+    }
+
+    // Fill {placeholders} in a deck name; round values can't introduce extra deck levels
+    function fillDeckTemplate(template, context) {
+        return template.replace(/\{(\w+)\}/g, (match, key) => {
+            if (context[key] === undefined) return match;
+            // {deck} is a deck path itself and keeps its levels; round values must not add any
+            if (key === 'deck') return String(context.deck).trim() || 'Unknown';
+            return String(context[key] || 'Unknown').replace(/::/g, ' ').trim() || 'Unknown';
+        });
+    }
+
+    // Evaluate the routing rules in order; the first match decides the deck
+    function resolveDeckRoute(roundData, rules = settings.deckRules) {
+        const context = buildRoutingContext(roundData);
+
+        for (let i = 0; i < (rules || []).length; i++) {
+            const rule = rules[i];
+            if (!rule || !rule.deck || !rule.deck.trim()) continue;
+
+            if (deckRuleMatches(rule, context)) {
+                return { deckName: fillDeckTemplate(rule.deck.trim(), context), ruleIndex: i };
+            }
+        }
+
+        return { deckName: DECK_NAME, ruleIndex: -1 };
+    }
+
+    function getSingleDistinctiveClue(roundKey) {
+        if (!roundKey) {
+            roundKey = gameState.currentRoundKey;
+            if (!roundKey) {
+                DEBUG.warn("No round key available for getSingleDistinctiveClue");
+                return "distinctive local features";
+            }
+        }
+
+        // Get the round-specific data
+        const roundData = gameState.roundLocations[roundKey];
+        if (!roundData) {
+            DEBUG.warn(`No round data found for key ${roundKey}`);
+            return "distinctive local features";
+        }
+
+        try {
+            // Extract a single distinctive clue for quick reference
+            if (roundData.missedClues && roundData.missedClues.length > 0) {
+                // Try to find a specific, concrete clue
+                for (const clue of roundData.missedClues) {
+                    // Look for specific clue categories
+                    if (["Driving Side", "Language", "Coverage Type"].includes(clue.category)) {
+                        // Extract a short distinctive feature from the clue
+                        const extractedDetail = clue.clue.match(/has (.+?) (?:signs|poles|antennas|coverage)/i);
+                        if (extractedDetail && extractedDetail[1]) {
+                            return `${extractedDetail[1]}`;
+                        }
+
+                        // If we can't extract a specific detail, return a shortened version
+                        const shortClue = clue.clue.split('(')[0].trim();
+                        if (shortClue.length < 50) return shortClue;
+                    }
+                }
+
+                // Fallback to first clue if we couldn't find a good specific one
+                if (roundData.missedClues[0] && roundData.missedClues[0].clue) {
+                    const firstClue = roundData.missedClues[0].clue;
+                    // Shorten it to make it more memorable
+                    const shortened = firstClue.split('.')[0];
+                    return shortened.length < 40 ? shortened : "different road markings or signs";
+                }
+            }
+
+            // Check if we have driving side info as a default distinctive feature
+            if (roundData.countryData && roundData.countryData.additionalInfo &&
+                roundData.countryData.additionalInfo.drivingSide !== "Unknown") {
+                return `drives on the ${roundData.countryData.additionalInfo.drivingSide} side`;
+            }
+        } catch (e) {
+            DEBUG.error("Error getting distinctive clue", e);
+        }
+
+        return "distinctive local features";
+    }
+
+    // Round keys stored for a game, in round order
+    function getRoundKeysForGame(gameId) {
+        const prefix = `${gameId}-round-`;
+        return Object.keys(gameState.roundLocations)
+            .filter(key => key.startsWith(prefix))
+            .sort((a, b) => parseInt(a.slice(prefix.length), 10) - parseInt(b.slice(prefix.length), 10));
+    }
+
+    // Open the end-of-game review once per game when prompts are deferred to it. Duels and
+    // Battle Royale never prompt per round, so their review always opens after the match.
+    function scheduleGameReview(gameId, competitive = false) {
+        if (!gameId || gameState.reviewedGames.includes(gameId)) return;
+        gameState.reviewedGames.push(gameId);
+
+        if (!settings.enableAnkiIntegration || !settings.automaticCards) return;
+        if (!settings.deferPromptsToSummary && !competitive) return;
+
+        DEBUG.log(`Game ${gameId} finished, opening review shortly`);
+
+        // Give the last round's country lookups time to finish
+        setTimeout(() => showBatchReviewPanel(gameId), 4000);
+    }
+
+    // Runs once per round when the lifecycle enters roundResult
+    function handleRoundEnd(roundKey = generateRoundKey()) {
+        DEBUG.log(`Handling end of ${roundKey}...`);
+
+        try {
+            // Competitive and streak rounds come from their payloads and are reviewed after the match
+            const gameType = getGameType();
+            if (isCompetitiveGameType(gameType) || gameType === 'streak') {
+                DEBUG.log(`Round of ${gameType} ended, cards are offered after the match`);
+                updateUIState({ inActiveRound: false });
+                return;
+            }
+
+            gameState.currentRoundKey = roundKey;
+
+            // Make sure we have round data initialized
+            if (!gameState.roundLocations[roundKey]) {
+                gameState.roundLocations[roundKey] = {
+                    panoId: gameState.panoId,
+                    location: gameState.actualLocation,
+                    heading: gameState.heading,
+                    pitch: gameState.pitch,
+                    zoom: gameState.zoom,
+                    country: gameState.actualCountry,
+                    countryData: gameState.countryData,
+                    guessLocation: gameState.guessLocation,
+                    guessCountry: gameState.guessCountry,
+                    guessCountryData: gameState.guessCountryData,
+                    score: gameState.score,
+                    missedClues: gameState.missedClues,
+                    locationOverview: gameState.locationOverview
+                };
+            }
+
+            // Remember the game mode for tagging
+            gameState.roundLocations[roundKey].gameType = gameType;
+            if (gameType === 'challenge') {
+                gameState.roundLocations[roundKey].challengeId = getChallengeIdFromUrl();
+            }
+            attachGameSettings(roundKey);
+            attachPanoramaMetadata(roundKey);
+            attachRoundTiming(roundKey);
+            if (!gameState.roundLocations[roundKey].completedAt) {
+                gameState.roundLocations[roundKey].completedAt = Date.now();
+            }
+            if (panoramaSnapshots[roundKey] && !gameState.roundLocations[roundKey].snapshot) {
+                gameState.roundLocations[roundKey].snapshot = panoramaSnapshots[roundKey];
+            }
+
+            // Check for country override based on coordinates
+            if (isValidCoordinate(gameState.roundLocations[roundKey].location)) {
+                const override = checkCountryOverride(
+                    gameState.roundLocations[roundKey].location.lat,
+                    gameState.roundLocations[roundKey].location.lng
+                );
+                
+                if (override) {
+                    processCountryOverride(override, roundKey);
+                }
+            }
+
+            // Reset user reflection data for fresh input
+            gameState.userMissedClues = "";
+            gameState.userReminder = "";
+
+            // Reset card created flag for this round
+            gameState.cardCreatedForRound = false;
+            gameState.cancelCardCreation = false;
+
+            // Use DOM extraction as a fallback if API fetching failed
+            if (!gameState.roundLocations[roundKey].country) {
+                const extractedCountry = extractCountryFromDOM();
+                if (extractedCountry) {
+                    DEBUG.log(`Extracted country from DOM: ${extractedCountry}`);
+                    gameState.roundLocations[roundKey].country = extractedCountry;
+                    gameState.actualCountry = extractedCountry;
+
+                    // Create basic country data structure if missing
+                    if (!gameState.roundLocations[roundKey].countryData) {
+                        const extractedCode = findCountryCode(extractedCountry);
+                        gameState.roundLocations[roundKey].countryData = {
+                            country: extractedCountry,
+                            countryCode: extractedCode,
+                            additionalInfo: getCountryAdditionalInfo(extractedCode)
+                        };
+                        gameState.countryData = gameState.roundLocations[roundKey].countryData;
+                    }
+
+                    // Try to get user's guess from UI elements
+                    const resultElements = document.querySelectorAll('[class*="result-layout"]:not(button), [class*="result"]:not(button)');
+                    for (const element of resultElements) {
+                        if (!element) continue;
+
+                        const text = element.innerText || element.textContent;
+                        if (!text) continue;
+
+                        DEBUG.log(`Checking result element for guess: "${text}"`);
+                        const match = text.match(/You\s+guessed\s+([A-Za-z\s]+)/i);
+                        if (match && match[1]) {
+                            const guessCountry = match[1].trim();
+                            gameState.roundLocations[roundKey].guessCountry = guessCountry;
+                            gameState.guessCountry = guessCountry;
+
+                            const guessCode = findCountryCode(guessCountry);
+                            gameState.roundLocations[roundKey].guessCountryData = {
+                                country: guessCountry,
+                                countryCode: guessCode,
+                                additionalInfo: getCountryAdditionalInfo(guessCode)
+                            };
+                            gameState.guessCountryData = gameState.roundLocations[roundKey].guessCountryData;
+
+                            DEBUG.log(`Extracted guess country: ${guessCountry}`);
+                            break;
+                        }
+                    }
+
+                    // Generate basic missed clues
+                    if (!gameState.roundLocations[roundKey].missedClues || gameState.roundLocations[roundKey].missedClues.length === 0) {
+                        prepareCountryClues(roundKey);
+                    }
+                }
+            }
+
+            // Store what we have now, clues and countries are added as they arrive
+            saveRoundToHistory(roundKey);
+
+            // Close guesses aren't worth a prompt when a minimum distance is configured
+            const offset = getGuessOffset(gameState.roundLocations[roundKey]);
+            const minDistanceMeters = distanceSettingToMeters(settings.autoPromptMinDistance);
+            const closeEnough = offset && offset.distanceMeters < minDistanceMeters;
+
+            // If automatic cards are enabled, prompt for card creation
+            if (settings.automaticCards && settings.deferPromptsToSummary) {
+                DEBUG.log("Card prompts deferred to the end-of-game review");
+            } else if (settings.automaticCards && closeEnough) {
+                DEBUG.log(`Guess was ${formatDistance(offset.distanceMeters)} off, below the auto prompt threshold`);
+            } else if (settings.automaticCards) {
+                DEBUG.log("Auto cards enabled, will prompt for card creation");
+                
+                // Set a slight delay to allow any remaining API data to be processed
+                const timeoutId = setTimeout(() => {
+                    promptForCardCreation();
+                }, 1500);
+                
+                window.geoAnkiTimeouts.push(timeoutId);
+            }
+
+            // Update UI state to reflect we're between rounds
+            updateUIState({ inActiveRound: false });
+        } catch (e) {
+            DEBUG.error("Error in handleRoundEnd", e);
+        }
+    }
+
+    /* ========= ANKI MEDIA ========= */
+    // Prefix of every media file the script stores, so our files are easy to find and deduplicate
+    const MEDIA_PREFIX = 'geoanki_';
+
+    // Media filenames known to exist in the collection (null until loaded from Anki)
+    let storedMediaFiles = null;
+
+    function getFlagUrl(countryCode) {
+        return `https://flagcdn.com/w320/${countryCode.toLowerCase()}.png`;
+    }
+
+    function getFlagMediaFilename(countryCode) {
+        return `${MEDIA_PREFIX}flag_${countryCode.toLowerCase()}.png`;
+    }
+
+    // Register an image for a card and return the filename to reference in its fields.
+    // source is either { url } to download or { data } with base64 content.
+    function addCardMedia(media, filename, source) {
+        if (!media.some(item => item.filename === filename)) {
+            media.push({ filename: filename, ...source });
+        }
+        return filename;
+    }
+
+    // Download a file and return its content as base64
+    function downloadAsBase64(url) {
+        return new Promise((resolve, reject) => {
+            GM_xmlhttpRequest({
+                method: "GET",
+                url: url,
+                responseType: "arraybuffer",
+                timeout: 10000,
+                onload: (response) => {
+                    if (response.status < 200 || response.status >= 300 || !response.response) {
+                        reject(new Error(`HTTP error! status: ${response.status}`));
+                        return;
+                    }
+
+                    // Convert in chunks to stay below the argument limit of fromCharCode
+                    const bytes = new Uint8Array(response.response);
+                    let binary = "";
+                    for (let i = 0; i < bytes.length; i += 0x8000) {
+                        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+                    }
+                    resolve(btoa(binary));
+                },
+                onerror: (error) => reject(error),
+                ontimeout: () => reject(new Error('Request timed out'))
+            });
+        });
+    }
+
+    // Load the names of media files we already stored in this collection
+    function loadStoredMediaFiles() {
+        if (storedMediaFiles) {
+            return Promise.resolve(storedMediaFiles);
+        }
+
+        return ankiRequest("getMediaFilesNames", { pattern: `${MEDIA_PREFIX}*` })
+            .then(names => {
+                storedMediaFiles = new Set(names || []);
+                DEBUG.log(`Found ${storedMediaFiles.size} GeoAnki media files in collection`);
+                return storedMediaFiles;
+            });
+    }
+
+    // Store a single media file unless the collection already has it
+    function storeMediaFile(item) {
+        if (storedMediaFiles.has(item.filename)) {
+            return Promise.resolve(item.filename);
+        }
+
+        // Prefer downloading ourselves; let Anki fetch the URL if that fails
+        const dataPromise = item.data ?
+            Promise.resolve(item.data) :
+            downloadAsBase64(item.url).catch(error => {
+                DEBUG.warn(`Couldn't download ${item.url}, letting Anki fetch it`, error);
+                return null;
+            });
+
+        return dataPromise
+            .then(data => {
+                const params = { filename: item.filename };
+                if (data) {
+                    params.data = data;
+                } else {
+                    params.url = item.url;
+                }
+                return ankiRequest("storeMediaFile", params, 20000);
+            })
+            .then(() => {
+                storedMediaFiles.add(item.filename);
+                DEBUG.log(`Stored media file ${item.filename}`);
+                return item.filename;
+            });
+    }
+
+    // Store all media referenced by a card. Failures are logged but don't block the note.
+    function storeCardMedia(media) {
+        if (!media || media.length === 0) {
+            return Promise.resolve();
+        }
+
+        return loadStoredMediaFiles()
+            .then(() => {
+                // Store sequentially to keep the load on AnkiConnect low
+                let chain = Promise.resolve();
+                media.forEach(item => {
+                    chain = chain.then(() => storeMediaFile(item).catch(error => {
+                        // Connection and permission problems fail the whole note, Anki errors only the image
+                        if (!error.fromAnki || error.permission) throw error;
+                        DEBUG.warn(`Failed to store media file ${item.filename}`, error);
+                    }));
+                });
+                return chain;
+            });
+    }
+
+    /* ========= PANORAMA SNAPSHOTS ========= */
+    // Snapshots of the Street View panorama by round key, captured while the round is played
+    const panoramaSnapshots = {};
+
+    const SNAPSHOT_CAPTURE_DELAY = 2500;
+    const SNAPSHOT_MAX_ATTEMPTS = 4;
+
+    // How far the view may drift from the round's starting POV and still count as the starting view
+    const SNAPSHOT_POV_TOLERANCE = { heading: 10, pitch: 10, zoom: 0.5 };
+    const SNAPSHOT_POSITION_TOLERANCE = 15; // meters
+
+    // Containers Street View renders into, most specific first
+    const PANORAMA_CONTAINERS = [
+        '[data-qa="panorama"]',
+        '[class*="game-panorama"]',
+        '.widget-scene',
+        '[class*="panorama"]'
+    ];
+
+    let canvasCaptureEnabled = false;
+
+    // The Street View panorama of the current round, used to tell whether the starting view is on screen
+    let activePanorama = null;
+
+    function trackPanorama(panorama) {
+        activePanorama = panorama;
+    }
+
+    // WebGL clears its drawing buffer after each frame, which makes toDataURL() return a blank
+    // image. Contexts created on game pages get a preserved buffer; it costs every canvas it's on,
+    // so other pages are left alone. Maps may create the context before the canvas is attached,
+    // which is why this is decided by the page rather than the canvas's container.
+    function setupCanvasCapture() {
+        if (canvasCaptureEnabled || settings.snapshotMode === 'off') return;
+        canvasCaptureEnabled = true;
+
+        const originalGetContext = HTMLCanvasElement.prototype.getContext;
+        HTMLCanvasElement.prototype.getContext = function(type, attributes) {
+            if ((type === 'webgl' || type === 'webgl2' || type === 'experimental-webgl') && isInGame()) {
+                attributes = Object.assign({}, attributes, { preserveDrawingBuffer: true });
+            }
+            return originalGetContext.call(this, type, attributes);
+        };
+
+        DEBUG.log("Canvas capture enabled for panorama snapshots");
+    }
+
+    function getAngleDifference(a, b) {
+        const difference = Math.abs(a - b) % 360;
+        return difference > 180 ? 360 - difference : difference;
+    }
+
+    // Whether the panorama still shows the POV the round started with. Without a tracked
+    // panorama there's nothing to compare, so the view is assumed to be unchanged.
+    function isAtStartingView(roundData) {
+        if (!activePanorama || !roundData || typeof activePanorama.getPov !== 'function') return true;
+
+        try {
+            const pov = activePanorama.getPov();
+            if (pov) {
+                if (getAngleDifference(pov.heading || 0, roundData.heading || 0) > SNAPSHOT_POV_TOLERANCE.heading ||
+                    Math.abs((pov.pitch || 0) - (roundData.pitch || 0)) > SNAPSHOT_POV_TOLERANCE.pitch) {
+                    return false;
+                }
+            }
+
+            const zoom = typeof activePanorama.getZoom === 'function' ? activePanorama.getZoom() : null;
+            if (typeof zoom === 'number' && Math.abs(zoom - (roundData.zoom || 0)) > SNAPSHOT_POV_TOLERANCE.zoom) {
+                return false;
+            }
+
+            const position = typeof activePanorama.getPosition === 'function' ? activePanorama.getPosition() : null;
+            if (position && roundData.location &&
+                haversineDistance({ lat: position.lat(), lng: position.lng() }, roundData.location) > SNAPSHOT_POSITION_TOLERANCE) {
+                return false;
+            }
+        } catch (e) {
+            DEBUG.warn("Couldn't read the panorama's view", e);
+        }
+
+        return true;
+    }
+
+    // Street View renders into the largest visible canvas of the panorama container
+    function findPanoramaCanvas() {
+        for (const selector of PANORAMA_CONTAINERS) {
+            const container = document.querySelector(selector);
+            if (!container) continue;
+
+            const canvases = Array.from(container.querySelectorAll('canvas'))
+                .filter(canvas => canvas.width > 0 && canvas.height > 0 && canvas.offsetParent !== null);
+            if (canvases.length > 0) {
+                return canvases.sort((a, b) => b.width * b.height - a.width * a.height)[0];
+            }
+        }
+
+        return null;
+    }
+
+    // Downscale the panorama canvas into a JPEG. Resolves to null for an empty or unreadable canvas.
+    function capturePanoramaCanvas() {
+        const source = findPanoramaCanvas();
+        if (!source) {
+            DEBUG.warn("No panorama canvas found for snapshot");
+            return null;
+        }
+
+        const maxWidth = parseInt(settings.snapshotMaxWidth, 10) || 800;
+        const scale = Math.min(1, maxWidth / source.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(source.width * scale);
+        canvas.height = Math.round(source.height * scale);
+
+        try {
+            const context = canvas.getContext('2d');
+            context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+            // A cleared drawing buffer reads back as transparent black
+            const pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+            let hasContent = false;
+            for (let i = 0; i < pixels.length; i += 4 * 97) {
+                if (pixels[i] || pixels[i + 1] || pixels[i + 2]) {
+                    hasContent = true;
+                    break;
+                }
+            }
+            if (!hasContent) {
+                DEBUG.warn("Panorama canvas is empty, snapshot skipped");
+                return null;
+            }
+
+            const dataUrl = canvas.toDataURL('image/jpeg', parseFloat(settings.snapshotQuality) || 0.7);
+            return {
+                data: dataUrl.slice(dataUrl.indexOf(',') + 1),
+                width: canvas.width,
+                height: canvas.height,
+                capturedAt: Date.now()
+            };
+        } catch (e) {
+            // Tainted canvases can't be read back
+            DEBUG.error("Couldn't capture panorama canvas", e);
+            return null;
+        }
+    }
+
+    // Capture the current view for a round; manual captures replace earlier ones
+    function capturePanoramaSnapshot(roundKey = gameState.currentRoundKey || generateRoundKey(), manual = false) {
+        if (!manual && panoramaSnapshots[roundKey]) return true;
+
+        const snapshot = capturePanoramaCanvas();
+        if (!snapshot) return false;
+
+        snapshot.manual = manual;
+        panoramaSnapshots[roundKey] = snapshot;
+        if (gameState.roundLocations[roundKey]) {
+            gameState.roundLocations[roundKey].snapshot = snapshot;
+        }
+
+        DEBUG.log(`Captured ${snapshot.width}x${snapshot.height} panorama snapshot for ${roundKey}`);
+        return true;
+    }
+
+    // Capture the starting view shortly after a round starts, retrying while the panorama loads
+    function scheduleSnapshotCapture(roundKey) {
+        if (settings.snapshotMode !== 'auto' || !roundKey) return;
+
+        let attempts = 0;
+        let failedCaptures = 0;
+        const attempt = () => {
+            // Stop once the player has moved on
+            if (gameState.currentRoundKey !== roundKey || !isInActiveRound()) return;
+
+            attempts++;
+
+            // Only the starting view is captured automatically; the player may turn back to it
+            const atStart = isAtStartingView(gameState.roundLocations[roundKey]);
+            if (!atStart) {
+                DEBUG.log(`View of ${roundKey} moved away from the starting POV, snapshot attempt ${attempts} skipped`);
+            } else if (capturePanoramaSnapshot(roundKey)) {
+                return;
+            } else {
+                failedCaptures++;
+            }
+
+            if (attempts < SNAPSHOT_MAX_ATTEMPTS) {
+                const retryTimeout = setTimeout(attempt, SNAPSHOT_CAPTURE_DELAY);
+                window.geoAnkiTimeouts.push(retryTimeout);
+            } else if (failedCaptures === attempts) {
+                DEBUG.warn(`Every snapshot attempt for ${roundKey} failed. A panorama that reads back empty has ` +
+                    `no preserved drawing buffer; reloading the game page should fix it.`);
+            } else {
+                DEBUG.log(`No snapshot for ${roundKey}, the starting view wasn't on screen`);
+            }
+        };
+
+        const timeoutId = setTimeout(attempt, SNAPSHOT_CAPTURE_DELAY);
+        window.geoAnkiTimeouts.push(timeoutId);
+    }
+
+    // User-triggered capture from the widget
+    function captureSnapshotManually() {
+        if (settings.snapshotMode === 'off') {
+            showNotification("Panorama snapshots are disabled in settings.", "info");
+            return;
+        }
+
+        if (!isInActiveRound()) {
+            showNotification("Snapshots can only be taken during a round.", "error");
+            return;
+        }
+
+        if (capturePanoramaSnapshot(generateRoundKey(), true)) {
+            showNotification("Snapshot saved for this round's card.", "success");
+        } else {
+            showNotification("Couldn't capture the panorama. Reload the page if snapshots were just enabled.", "error");
+        }
+    }
+
+    function getRoundSnapshot(roundKey, roundData) {
+        return (roundData && roundData.snapshot) || panoramaSnapshots[roundKey] || null;
+    }
+
+    /* ========= OFFLINE OUTBOX ========= */
+    // Cards that couldn't reach AnkiConnect are kept here until they can be delivered
+    const OUTBOX_STORAGE_KEY = 'geoanki_outbox';
+
+    // How often to check whether AnkiConnect is back while cards are pending
+    const OUTBOX_PING_INTERVAL = 30000;
+
+    // Cards Anki rejected are replayed with a doubling delay, and only until they reach this
+    // many attempts. After that they wait in the outbox to be sent manually.
+    const OUTBOX_MAX_AUTO_ATTEMPTS = 6;
+
+    let outboxFlushing = false;
+    let outboxReplayInterval = null;
+
+    function getOutbox() {
+        return GM_getValue(OUTBOX_STORAGE_KEY, []);
+    }
+
+    function saveOutbox(entries) {
+        GM_setValue(OUTBOX_STORAGE_KEY, entries);
+        updateUIState({ pendingCount: entries.length });
+    }
+
+    // Persist a card that couldn't be delivered
+    function queueOutboxEntry(cardData, error) {
+        const entries = getOutbox();
+        entries.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            queuedAt: new Date().toISOString(),
+            attempts: 1,
+            lastError: error ? (error.message || String(error)) : null,
+            cardData: cardData
+        });
+        saveOutbox(entries);
+
+        if (cardData.roundKey && gameState.roundLocations[cardData.roundKey]) {
+            gameState.roundLocations[cardData.roundKey].cardQueued = true;
+        }
+        updateHistoryRound(cardData.roundKey, { cardQueued: true });
+
+        DEBUG.log(`Queued card in outbox (${entries.length} pending)`);
+        return entries.length;
+    }
+
+    // Keep a card that failed to send. A card sent from the outbox keeps its entry, with the
+    // attempt and error recorded, instead of being queued twice.
+    function keepInOutbox(cardData, error, outboxId = null) {
+        const entry = outboxId ? getOutbox().find(item => item.id === outboxId) : null;
+        if (!entry) {
+            return queueOutboxEntry(cardData, error);
+        }
+
+        const attempts = (entry.attempts || 0) + 1;
+        return updateOutboxEntries({
+            [outboxId]: {
+                attempts: attempts,
+                lastError: error ? (error.message || String(error)) : null,
+                retryAt: error && error.fromAnki ? getOutboxRetryAt(attempts) : null
+            }
+        }).length;
+    }
+
+    // When a card Anki rejected may be replayed again: one ping interval after the first
+    // attempt, doubling with every further attempt
+    function getOutboxRetryAt(attempts) {
+        return Date.now() + OUTBOX_PING_INTERVAL * Math.pow(2, Math.max(0, attempts - 1));
+    }
+
+    // Cards whose location already has a note need the user's decision, so only the manual
+    // flush sends them. Rejected cards back off and stop after OUTBOX_MAX_AUTO_ATTEMPTS.
+    function isOutboxEntryDue(entry) {
+        return !entry.existingNote &&
+            (entry.attempts || 0) < OUTBOX_MAX_AUTO_ATTEMPTS &&
+            (!entry.retryAt || entry.retryAt <= Date.now());
+    }
+
+    function removeOutboxEntries(ids) {
+        const entries = getOutbox().filter(entry => !ids.includes(entry.id));
+        saveOutbox(entries);
+        return entries;
+    }
+
+    // Write back attempt counts and errors for entries that are still pending
+    function updateOutboxEntries(updates) {
+        const entries = getOutbox().map(entry => updates[entry.id] ? Object.assign(entry, updates[entry.id]) : entry);
+        saveOutbox(entries);
+        return entries;
+    }
+
+    // Deliver several cards with a single addNotes call. Cards whose location already has a
+    // note are left out so the user can decide what to do with them. Resolves to
+    // { added: [cardData], existing: [cardData], failed: [{ cardData, error }] }. When it
+    // rejects, error.added lists the cards Anki already has.
+    function addCardsInBatch(cardDataList) {
+        const outcome = { added: [], existing: [], failed: [] };
+
+        const recordResult = (cardData, noteId, error) => {
+            if (!noteId) {
+                outcome.failed.push({ cardData: cardData, error: error || 'Anki did not create the note' });
+                return;
+            }
+
+            outcome.added.push(cardData);
+            if (cardData.roundKey && gameState.roundLocations[cardData.roundKey]) {
+                gameState.roundLocations[cardData.roundKey].cardCreated = true;
+                gameState.roundLocations[cardData.roundKey].cardQueued = false;
+            }
+            updateHistoryRound(cardData.roundKey, { cardCreated: true, cardQueued: false });
+        };
+
+        return ensureNoteType()
+            .then(noteType => {
+                // Prepare media, decks and duplicate checks one card at a time
+                const ready = [];
+                let chain = Promise.resolve();
+
+                cardDataList.forEach(cardData => {
+                    chain = chain
+                        .then(() => storeCardMedia(cardData.media))
+                        .then(() => noteType.structured ? findExistingNotes(cardData, noteType) : [])
+                        .then(noteIds => {
+                            if (noteIds && noteIds.length > 0) {
+                                outcome.existing.push(cardData);
+                                return;
+                            }
+
+                            const note = buildAnkiNote(cardData, noteType);
+                            return ensureDeck(note.deckName).then(() => {
+                                ready.push({ cardData: cardData, note: note });
+                            });
+                        });
+                });
+
+                return chain.then(() => ready);
+            })
+            .then(ready => {
+                if (ready.length === 0) return;
+
+                return ankiRequest("addNotes", { notes: ready.map(item => item.note) }, 30000)
+                    .then(results => ready.forEach((item, index) => recordResult(item.cardData, results[index], null)))
+                    .catch(error => {
+                        if (!error.fromAnki || error.permission) throw error;
+
+                        // Some AnkiConnect versions reject the whole batch; retry notes one by one,
+                        // recording each as it lands in case the connection drops halfway
+                        DEBUG.warn("addNotes failed, retrying notes individually", error);
+                        let chain = Promise.resolve();
+                        ready.forEach(item => {
+                            chain = chain.then(() => ankiRequest("addNote", { note: item.note })
+                                .then(noteId => recordResult(item.cardData, noteId, null))
+                                .catch(noteError => {
+                                    if (!noteError.fromAnki || noteError.permission) throw noteError;
+                                    recordResult(item.cardData, null, noteError.message);
+                                }));
+                        });
+                        return chain;
+                    });
+            })
+            .then(() => outcome)
+            .catch(error => {
+                error.added = outcome.added;
+                throw error;
+            });
+    }
+
+    // Deliver pending outbox cards in one batch: all of them when the user asks, otherwise
+    // only those due for an automatic replay
+    function flushOutbox(manual = false) {
+        const entries = manual ? getOutbox() : getOutbox().filter(isOutboxEntryDue);
+        if (outboxFlushing || entries.length === 0) {
+            if (manual && entries.length === 0) showNotification("Outbox is empty.", "info");
+            return Promise.resolve();
+        }
+
+        outboxFlushing = true;
+        DEBUG.log(`Flushing ${entries.length} queued card(s)`);
+
+        return addCardsInBatch(entries.map(entry => entry.cardData))
+            .then(outcome => {
+                const entryFor = cardData => entries.find(entry => entry.cardData === cardData);
+                const updates = {};
+
+                outcome.existing.forEach(cardData => {
+                    updates[entryFor(cardData).id] = {
+                        existingNote: true,
+                        lastError: 'A note for this location already exists - send it manually to choose what to do'
+                    };
+                });
+
+                outcome.failed.forEach(failure => {
+                    const entry = entryFor(failure.cardData);
+                    const attempts = (entry.attempts || 0) + 1;
+                    updates[entry.id] = {
+                        attempts: attempts,
+                        lastError: failure.error,
+                        retryAt: getOutboxRetryAt(attempts)
+                    };
+                    if (attempts >= OUTBOX_MAX_AUTO_ATTEMPTS) {
+                        DEBUG.warn(`Queued card for ${failure.cardData.actualCountry} was rejected ${attempts} times, no more automatic retries`);
+                    }
+                });
+
+                updateOutboxEntries(updates);
+                const remaining = removeOutboxEntries(outcome.added.map(cardData => entryFor(cardData).id));
+
+                if (outcome.added.length > 0) {
+                    showNotification(`Sent ${outcome.added.length} queued card(s) to Anki.`, 'success');
+                }
+                if (remaining.length > 0 && (manual || outcome.added.length > 0)) {
+                    showNotification(`${remaining.length} card(s) still waiting in the outbox.`, 'info');
+                }
+            })
+            .catch(error => {
+                DEBUG.warn("Outbox flush failed", error);
+                // Cards delivered before the failure must not be replayed
+                const delivered = entries.filter(entry => (error.added || []).includes(entry.cardData));
+                removeOutboxEntries(delivered.map(entry => entry.id));
+
+                // Anki answered but refused, so replaying right away would fail the same way
+                if (error.fromAnki) {
+                    const updates = {};
+                    entries.filter(entry => !delivered.includes(entry)).forEach(entry => {
+                        const attempts = (entry.attempts || 0) + 1;
+                        updates[entry.id] = {
+                            attempts: attempts,
+                            lastError: error.message,
+                            retryAt: getOutboxRetryAt(attempts)
+                        };
+                    });
+                    updateOutboxEntries(updates);
+                }
+                if (manual && error.permission) {
+                    showAnkiPermissionError(error);
+                } else if (manual) {
+                    showNotification(error.fromAnki ? `Anki Error: ${error.message}` :
+                        'Failed to connect to AnkiConnect. Is Anki running?', 'error');
+                }
+            })
+            .then(() => {
+                outboxFlushing = false;
+                updateUIState({ pendingCount: getOutbox().length });
+            });
+    }
+
+    // Periodically ping AnkiConnect and replay the outbox once it answers
+    function setupOutboxReplay() {
+        // init() can run more than once
+        if (outboxReplayInterval) return;
+
+        outboxReplayInterval = setInterval(() => {
+            if (outboxFlushing || !getOutbox().some(isOutboxEntryDue)) return;
+
+            ankiRequest("version", {}, 3000)
+                .then(() => {
+                    DEBUG.log("AnkiConnect reachable again, replaying outbox");
+                    return flushOutbox();
+                })
+                .catch(() => {
+                    // Still offline, try again on the next tick
+                });
+        }, OUTBOX_PING_INTERVAL);
+    }
+
+    /* ========= ANKICONNECT CLIENT ========= */
+    // Highest AnkiConnect API version the script speaks
+    const ANKICONNECT_MAX_VERSION = 6;
+
+    // API version agreed with the running AnkiConnect (null until negotiated)
+    let ankiConnectVersion = null;
+    let ankiConnectNegotiation = null;
+
+    function getAnkiConnectUrl() {
+        const host = (settings.ankiConnectHost || 'localhost').trim().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+        return `http://${host}:${settings.ankiConnectPort}`;
+    }
+
+    // Forget the negotiated version, e.g. after the endpoint settings changed
+    function resetAnkiConnect() {
+        ankiConnectVersion = null;
+        ankiConnectNegotiation = null;
+    }
+
+    function createAnkiError(message) {
+        const error = new Error(message);
+        // Distinguishes Anki-side errors from connection failures
+        error.fromAnki = true;
+        // Wrong or missing API key / origin not allowed
+        error.permission = /api key|permission/i.test(message);
+        return error;
+    }
+
+    // Raw POST to AnkiConnect with the configured API key
+    function postAnkiConnect(action, params, version, timeout) {
+        const payload = {
+            action: action,
+            version: version,
+            params: params
+        };
+        if (settings.ankiConnectKey) {
+            payload.key = settings.ankiConnectKey;
+        }
+
+        return safeGmXhr({
+            method: "POST",
+            url: getAnkiConnectUrl(),
+            data: JSON.stringify(payload),
+            headers: { "Content-Type": "application/json" },
+            timeout: timeout
+        })
+        .then(response => {
+            // API versions 4 and below return the bare result without an error envelope
+            if (version <= 4) {
+                if (response && typeof response === 'object' && response.error) {
+                    throw createAnkiError(response.error);
+                }
+                return response;
+            }
+
+            // An old server answers without the envelope even when asked for a newer version,
+            // e.g. a bare number to the version probe in negotiateAnkiConnect()
+            if (response === null || typeof response !== 'object') {
+                return response;
+            }
+
+            if (response.error) {
+                throw createAnkiError(response.error);
+            }
+            return response.result;
+        });
+    }
+
+    // Explain a permission failure using AnkiConnect's requestPermission action
+    function diagnoseAnkiPermission(originalError) {
+        return postAnkiConnect("requestPermission", {}, ANKICONNECT_MAX_VERSION, 30000)
+            .catch(() => null)
+            .then(result => {
+                let message = originalError.message;
+
+                if (result && result.permission === 'denied') {
+                    message = "Anki denied GeoAnki's permission request. Allow this site in the AnkiConnect dialog or add it to webCorsOriginList.";
+                } else if (result && result.requireApikey) {
+                    message = settings.ankiConnectKey ?
+                        "AnkiConnect rejected the API key. Check the key in the GeoAnki settings matches AnkiConnect's apiKey." :
+                        "AnkiConnect requires an API key. Enter the apiKey from AnkiConnect's config in the GeoAnki settings.";
+                }
+
+                const error = createAnkiError(message);
+                error.permission = true;
+                throw error;
+            });
+    }
+
+    // Ask AnkiConnect for its version once and settle on the API level both sides support
+    function negotiateAnkiConnect() {
+        if (ankiConnectVersion) {
+            return Promise.resolve(ankiConnectVersion);
+        }
+
+        if (!ankiConnectNegotiation) {
+            ankiConnectNegotiation = postAnkiConnect("version", {}, ANKICONNECT_MAX_VERSION, 5000)
+                .then(serverVersion => {
+                    ankiConnectVersion = Math.min(parseInt(serverVersion, 10) || ANKICONNECT_MAX_VERSION, ANKICONNECT_MAX_VERSION);
+                    DEBUG.log(`AnkiConnect at ${getAnkiConnectUrl()} speaks API v${serverVersion}, using v${ankiConnectVersion}`);
+
+                    if (ankiConnectVersion < ANKICONNECT_MAX_VERSION) {
+                        showNotification(`AnkiConnect is outdated (API v${serverVersion}). Some features may not work - please update it.`, 'info');
+                    }
+                    return ankiConnectVersion;
+                })
+                .catch(error => {
+                    // Try again with the next request
+                    ankiConnectNegotiation = null;
+                    if (error.permission) {
+                        return diagnoseAnkiPermission(error);
+                    }
+                    throw error;
+                });
+        }
+
+        return ankiConnectNegotiation;
+    }
+
+    // Send a single action to AnkiConnect, rejecting with AnkiConnect's error message
+    function ankiRequest(action, params = {}, timeout = 10000) {
+        return negotiateAnkiConnect()
+            .then(version => postAnkiConnect(action, params, version, timeout))
+            .catch(error => {
+                // The key may have changed in AnkiConnect since we negotiated
+                if (error.permission && ankiConnectVersion) {
+                    resetAnkiConnect();
+                }
+                throw error;
+            });
+    }
+
+    // Tell the user how to fix permission problems instead of a bare error
+    function showAnkiPermissionError(error) {
+        showErrorDialog("AnkiConnect Permission Required",
+            `${escapeHtml(error.message)}<br><br>
+            <strong>Endpoint:</strong> ${escapeHtml(getAnkiConnectUrl())}<br><br>
+            You can set the host, port and API key in the GeoAnki settings.`);
+    }
+
+    /* ========= ANKI INTEGRATION ========= */
+    // Deck names known to exist in the collection (null until loaded from Anki)
+    let knownDecks = null;
+
+    // Make sure a deck (and its parents) exists; resolves to true if it had to be created
+    function ensureDeck(deckName) {
+        const decksPromise = knownDecks ?
+            Promise.resolve(knownDecks) :
+            ankiRequest("deckNames", {}, 5000).then(decks => {
+                knownDecks = new Set(decks);
+                return knownDecks;
+            });
+
+        return decksPromise.then(decks => {
+            if (decks.has(deckName)) {
+                return false;
+            }
+
+            DEBUG.log(`Deck "${deckName}" not found, creating...`);
+            return ankiRequest("createDeck", { deck: deckName }, 5000)
+                .then(() => {
+                    knownDecks.add(deckName);
+                    return true;
+                });
+        });
+    }
+
+    // Note type currently in use: { name, structured, fields }
+    let noteTypeState = null;
+
+    // Make sure the note type exists, creating or upgrading the GeoAnki note type as needed
+    function ensureNoteType(force = false) {
+        if (!force && noteTypeState && noteTypeState.name === MODEL_NAME) {
+            return Promise.resolve(noteTypeState);
+        }
+
+        return ankiRequest("modelNames", {}, 5000)
+            .then(models => {
+                if (!models.includes(MODEL_NAME)) {
+                    return createNoteType();
+                }
+
+                return ankiRequest("modelFieldNames", { modelName: MODEL_NAME }, 5000)
+                    .then(fieldNames => {
+                        // Note types without our fields are treated as plain Front/Back types
+                        if (!fieldNames.includes("ActualCountry")) {
+                            DEBUG.log(`Note type "${MODEL_NAME}" is not a GeoAnki note type, mapping to Front/Back`);
+                            return { name: MODEL_NAME, structured: false, fields: fieldNames };
+                        }
+                        return upgradeNoteType(fieldNames);
+                    });
+            })
+            .then(state => {
+                noteTypeState = state;
+                return state;
+            });
+    }
+
+    function createNoteType() {
+        DEBUG.log(`Note type "${MODEL_NAME}" not found, creating...`);
+
+        return ankiRequest("createModel", {
+            modelName: MODEL_NAME,
+            inOrderFields: NOTE_TYPE_FIELDS,
+            css: NOTE_TYPE_CSS,
+            isCloze: false,
+            cardTemplates: getNoteTypeTemplates()
+        })
+        .then(() => {
+            showNotification(`Created note type "${MODEL_NAME}"`, 'success');
+            return { name: MODEL_NAME, structured: true, fields: NOTE_TYPE_FIELDS.slice(), created: true };
+        });
+    }
+
+    // Add missing fields and refresh templates and styling installed by an older script version
+    function upgradeNoteType(fieldNames) {
+        const missingFields = NOTE_TYPE_FIELDS.filter(field => !fieldNames.includes(field));
+
+        // AnkiConnect adds one field per request
+        let chain = Promise.resolve();
+        missingFields.forEach(field => {
+            chain = chain.then(() => {
+                DEBUG.log(`Adding field "${field}" to note type "${MODEL_NAME}"`);
+                return ankiRequest("modelFieldAdd", { modelName: MODEL_NAME, fieldName: field });
+            });
+        });
+
+        return chain
+            .then(() => ankiRequest("modelStyling", { modelName: MODEL_NAME }))
+            .then(styling => {
+                const match = styling && styling.css ? styling.css.match(NOTE_TYPE_VERSION_MARKER) : null;
+                const installedVersion = match ? parseInt(match[1], 10) : 0;
+
+                if (installedVersion >= NOTE_TYPE_VERSION) {
+                    return false;
+                }
+
+                DEBUG.log(`Updating note type "${MODEL_NAME}" from v${installedVersion} to v${NOTE_TYPE_VERSION}`);
+
+                const templates = {};
+                getNoteTypeTemplates().forEach(template => {
+                    templates[template.Name] = { Front: template.Front, Back: template.Back };
+                });
+
+                return addMissingTemplates()
+                    .then(() => ankiRequest("updateModelTemplates", { model: { name: MODEL_NAME, templates: templates } }))
+                    .then(() => ankiRequest("updateModelStyling", { model: { name: MODEL_NAME, css: NOTE_TYPE_CSS } }))
+                    .then(() => installedVersion < 3 ? enableMistakeCards() : null)
+                    .then(() => true);
+            })
+            .then(updated => {
+                if (updated) {
+                    showNotification(`Updated note type "${MODEL_NAME}" to v${NOTE_TYPE_VERSION}`, 'success');
+                }
+                return { name: MODEL_NAME, structured: true, fields: fieldNames.concat(missingFields), updated: updated };
+            });
+    }
+
+    // Install card templates added after the note type was created
+    function addMissingTemplates() {
+        return ankiRequest("modelTemplateNames", { modelName: MODEL_NAME })
+            .then(templateNames => {
+                let chain = Promise.resolve();
+                getNoteTypeTemplates()
+                    .filter(template => !templateNames.includes(template.Name))
+                    .forEach(template => {
+                        chain = chain.then(() => {
+                            DEBUG.log(`Adding card template "${template.Name}" to note type "${MODEL_NAME}"`);
+                            return ankiRequest("modelTemplateAdd", { modelName: MODEL_NAME, template: template });
+                        });
+                    });
+                return chain;
+            });
+    }
+
+    // Notes created before card types existed have an empty CardMistake switch, which
+    // would leave their only card blank once the Mistake template checks it
+    function enableMistakeCards() {
+        const query = `"note:${escapeAnkiSearch(MODEL_NAME)}" CardMistake:`;
+
+        return ankiRequest("findNotes", { query: query })
+            .then(noteIds => {
+                DEBUG.log(`Switching on the Mistake card for ${noteIds.length} existing note(s)`);
+
+                let chain = Promise.resolve();
+                noteIds.forEach(noteId => {
+                    chain = chain.then(() => ankiRequest("updateNoteFields", {
+                        note: { id: noteId, fields: { CardMistake: "y" } }
+                    }));
+                });
+                return chain;
+            });
+    }
+
+    // Map card data onto the fields of the note type in use
+    function buildAnkiNote(cardData, noteType) {
+        const fields = {};
+
+        if (noteType.structured) {
+            noteType.fields.forEach(field => {
+                fields[field] = cardData.fields[field] !== undefined ? cardData.fields[field] : "";
+            });
+
+            // Card data queued before card types existed still needs its Mistake card
+            if (!CARD_TYPES.some(type => fields[type.field])) {
+                fields.CardMistake = "y";
+            }
+        } else if (noteType.fields.includes("Front") && noteType.fields.includes("Back")) {
+            fields.Front = cardData.frontField;
+            fields.Back = cardData.backField;
+        } else {
+            // For each available field, try to find a match
+            noteType.fields.forEach(field => {
+                // Convert to lowercase for case-insensitive matching
+                const fieldLower = field.toLowerCase();
+
+                if (fieldLower === "front" || fieldLower.includes("question")) {
+                    fields[field] = cardData.frontField;
+                }
+                else if (fieldLower === "back" || fieldLower.includes("answer")) {
+                    fields[field] = cardData.backField;
+                }
+                else {
+                    // For unknown fields, leave empty
+                    fields[field] = "";
+                }
+            });
+        }
+
+        return {
+            deckName: cardData.deckName || DECK_NAME,
+            modelName: noteType.name,
+            fields: fields,
+            tags: cardData.tags || [],
+            // GeoAnki notes are deduplicated by location key instead of by their first field
+            options: { allowDuplicate: noteType.structured }
+        };
+    }
+
+    // Quote a value for use inside an Anki search term
+    function escapeAnkiSearch(value) {
+        return String(value).replace(/([\\"*_])/g, '\\$1');
+    }
+
+    // Find notes created earlier for the same panorama or round
+    function findExistingNotes(cardData, noteType) {
+        const keyTerms = [];
+
+        if (cardData.fields.PanoId) {
+            keyTerms.push(`"PanoId:${escapeAnkiSearch(cardData.fields.PanoId)}"`);
+        }
+        if (cardData.fields.RoundKey && noteType.fields.includes("RoundKey")) {
+            keyTerms.push(`"RoundKey:${escapeAnkiSearch(cardData.fields.RoundKey)}"`);
+        }
+
+        if (keyTerms.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        const query = `"note:${escapeAnkiSearch(noteType.name)}" (${keyTerms.join(' OR ')})`;
+        DEBUG.log(`Looking up existing notes: ${query}`);
+
+        return ankiRequest("findNotes", { query: query });
+    }
+
+    // Format a repeated mistake for the MistakeLog field
+    function formatMistakeLogEntry(fields) {
+        const date = new Date().toLocaleDateString();
+        const score = fields.Score ? ` (score ${fields.Score})` : "";
+
+        return `<div class="geoanki-mistake"><strong>${date}:</strong> guessed ${fields.GuessCountry}${score}${fields.Clues || ""}</div>`;
+    }
+
+    // Update, append to or duplicate an existing note according to the user's choice
+    function applyExistingNoteChoice(choice, note, noteId) {
+        const addTags = () => {
+            if (!note.tags || note.tags.length === 0) return Promise.resolve();
+            return ankiRequest("addTags", { notes: [noteId], tags: note.tags.join(' ') });
+        };
+
+        switch (choice) {
+            case 'update': {
+                // Keep the history of repeated mistakes
+                const fields = Object.assign({}, note.fields);
+                delete fields.MistakeLog;
+
+                return ankiRequest("updateNoteFields", { note: { id: noteId, fields: fields } })
+                    .then(addTags)
+                    .then(() => 'updated');
+            }
+
+            case 'append':
+                return ankiRequest("notesInfo", { notes: [noteId] })
+                    .then(notes => {
+                        const existing = notes && notes[0] && notes[0].fields && notes[0].fields.MistakeLog ?
+                            notes[0].fields.MistakeLog.value : "";
+
+                        return ankiRequest("updateNoteFields", {
+                            note: {
+                                id: noteId,
+                                fields: { MistakeLog: existing + formatMistakeLogEntry(note.fields) }
+                            }
+                        });
+                    })
+                    .then(addTags)
+                    .then(() => 'appended');
+
+            case 'separate':
+                return ankiRequest("addNote", { note: note }).then(() => 'added');
+
+            default:
+                return Promise.resolve('cancelled');
+        }
+    }
+
+    // Create card directly without showing preview
+    function createAnkiCard(cardData, useDefaults = false) {
+        if (!cardData) {
+            cardData = buildAnkiCardData(useDefaults);
+        }
+
+        if (!cardData) {
+            showNotification("Couldn't prepare Anki card - missing data", "error");
+            return;
+        }
+
+        DEBUG.log("Creating Anki card with data:", cardData);
+
+        // Send to Anki
+        sendNoteToAnki(cardData);
+    }
+
+    // Send a note to Anki with robust error handling
+    // Resolves to 'added', 'updated', 'appended', 'cancelled' or 'queued'. outboxId is set when
+    // the card is sent from the outbox, so a failure updates that entry.
+    function sendNoteToAnki(cardData, outboxId = null) {
+        DEBUG.log("Sending note to Anki");
+
+        if (!cardData) {
+            showNotification("No note data to send", "error");
+            return Promise.resolve(null);
+        }
+
+        const roundKey = cardData.roundKey;
+        let deckName = DECK_NAME;
+
+        return ensureNoteType()
+        .then(noteType => storeCardMedia(cardData.media).then(() => noteType))
+        .then(noteType => {
+            const note = buildAnkiNote(cardData, noteType);
+            deckName = note.deckName;
+            DEBUG.log("Note ready to send", note);
+
+            // Plain Front/Back note types have no key fields to look up
+            if (!noteType.structured) {
+                return ensureDeck(note.deckName)
+                    .then(() => ankiRequest("addNote", { note: note }))
+                    .then(() => 'added');
+            }
+
+            return ensureDeck(note.deckName)
+                .then(() => findExistingNotes(cardData, noteType))
+                .then(noteIds => {
+                    if (!noteIds || noteIds.length === 0) {
+                        return ankiRequest("addNote", { note: note }).then(() => 'added');
+                    }
+
+                    DEBUG.log(`Found ${noteIds.length} existing note(s) for this location`, noteIds);
+                    return promptForExistingNote(cardData, noteIds.length)
+                        .then(choice => applyExistingNoteChoice(choice, note, noteIds[0]));
+                });
+        })
+        .then(outcome => {
+            if (outcome === 'cancelled') {
+                showNotification(outboxId ? "Card kept in the outbox." : "Card creation cancelled.", "info");
+                return outcome;
+            }
+
+            // Card created successfully, mark this round as processed
+            if (roundKey) {
+                gameState.cardCreatedForRound = true;
+                // Mark the round-specific flag too
+                if (gameState.roundLocations[roundKey]) {
+                    gameState.roundLocations[roundKey].cardCreated = true;
+                }
+                updateHistoryRound(roundKey, { cardCreated: true, cardQueued: false });
+            }
+
+            if (outcome === 'updated') {
+                showNotification("Existing Anki note updated.", 'success');
+            } else if (outcome === 'appended') {
+                showNotification("Mistake appended to existing Anki note.", 'success');
+            } else {
+                showNotification(`Card added to Anki deck "${deckName}".`, 'success');
+            }
+
+            // Reset user input fields after successful card creation
+            gameState.userMissedClues = "";
+            gameState.userReminder = "";
+            gameState.userCardTypes = null;
+            return outcome;
+        })
+        .catch(error => {
+            // Never lose the card: keep it until AnkiConnect is reachable again or the problem is fixed
+            const pending = keepInOutbox(cardData, error, outboxId);
+
+            if (!error.fromAnki || error.permission) {
+                DEBUG.error("Anki connection error", error);
+                if (error.permission) {
+                    showAnkiPermissionError(error);
+                } else {
+                    showNotification(`Anki isn't reachable - card saved to outbox (${pending} pending).`, 'info');
+                }
+                return 'queued';
+            }
+
+            // Basic note types still rely on Anki's first-field duplicate check
+            if (error.message.includes("duplicate")) {
+                showNotification("A card with the same front already exists in Anki - card kept in the outbox.", 'error');
+                return 'queued';
+            }
+
+            showNotification(`Anki Error: ${error.message} - card kept in the outbox.`, 'error');
+
+            // Show more detailed error dialog for model problems
+            if (error.message.includes("model")) {
+                showErrorDialog("Model Error",
+                    `The script couldn't create a note with the note type "${MODEL_NAME}".<br><br>
+                    <strong>Troubleshooting:</strong><br>
+                    • Set the note type in the script settings to a name that doesn't exist yet (e.g. "GeoAnki") and the script will create it<br>
+                    • Use "Test Anki Connection" to create or update the note type<br>
+                    • Basic note types with "Front" and "Back" fields are still supported`);
+            }
+            return 'queued';
+        });
+    }
+
+    // Create cards for several rounds at once. Rounds that already have a note go through
+    // the normal update/append prompt afterwards.
+    function sendBatchToAnki(cardDataList) {
+        DEBUG.log(`Sending ${cardDataList.length} card(s) to Anki in one batch`);
+
+        return addCardsInBatch(cardDataList)
+            .then(outcome => {
+                if (outcome.added.length > 0) {
+                    showNotification(`Added ${outcome.added.length} card(s) to Anki.`, 'success');
+                }
+
+                if (outcome.failed.length > 0) {
+                    DEBUG.warn("Some batch cards failed", outcome.failed);
+                    outcome.failed.forEach(failure => queueOutboxEntry(failure.cardData, failure.error));
+                    showNotification(`${outcome.failed.length} card(s) failed and were kept in the outbox: ${outcome.failed[0].error}`, 'error');
+                }
+
+                // Let the user decide for each location that is already in Anki
+                let chain = Promise.resolve();
+                outcome.existing.forEach(cardData => {
+                    chain = chain.then(() => sendNoteToAnki(cardData));
+                });
+                return chain.then(() => outcome);
+            })
+            .catch(error => {
+                // Never lose the cards: keep the ones Anki doesn't have until they can be delivered
+                DEBUG.error("Anki error during batch", error);
+                const added = error.added || [];
+                const pending = cardDataList.filter(cardData => !added.includes(cardData));
+                pending.forEach(cardData => queueOutboxEntry(cardData, error));
+
+                if (error.permission) {
+                    showAnkiPermissionError(error);
+                } else if (error.fromAnki) {
+                    showNotification(`Anki Error: ${error.message} - ${pending.length} card(s) kept in the outbox.`, 'error');
+                } else {
+                    showNotification(`Anki isn't reachable - ${pending.length} card(s) saved to outbox` +
+                        (added.length > 0 ? ` (${added.length} were already added).` : '.'), 'info');
+                }
+                return null;
+            });
+    }
+
+    // Check if the required deck and model exist in Anki
+    function checkDeckAndModel() {
+        DEBUG.log("Checking Anki deck and model");
+
+        // Default deck plus routing rule decks that don't depend on the round
+        const staticDecks = [DECK_NAME].concat(
+            (settings.deckRules || [])
+                .map(rule => rule && rule.deck ? rule.deck.trim() : '')
+                .filter(deck => deck && !/\{\w+\}/.test(deck))
+        );
+
+        // Reload the deck list so decks deleted in Anki are recreated
+        knownDecks = null;
+
+        let chain = Promise.resolve();
+        Array.from(new Set(staticDecks)).forEach(deck => {
+            chain = chain
+                .then(() => ensureDeck(deck))
+                .then(created => {
+                    if (created) {
+                        showNotification(`Created deck "${deck}"`, 'success');
+                    } else {
+                        DEBUG.log(`Deck "${deck}" exists`);
+                    }
+                });
+        });
+
+        chain
+        .then(() => ensureNoteType(true))
+        .then(noteType => {
+            if (noteType.structured) {
+                if (!noteType.created && !noteType.updated) {
+                    showNotification(`Note type "${MODEL_NAME}" is up to date. You're ready to go!`, 'success');
+                }
+            } else {
+                showErrorDialog("Basic Note Type In Use",
+                    `The note type "${MODEL_NAME}" exists but isn't a GeoAnki note type, so cards will be sent as plain Front/Back notes.<br><br>
+                    To get separate fields (ActualCountry, GuessCountry, Clues, ...) that you can sort, search and restyle in Anki,
+                    change the note type name in settings to one that doesn't exist yet (e.g. "GeoAnki") and test the connection again.`);
+            }
+        })
+        .catch(error => {
+            if (error.permission) {
+                showAnkiPermissionError(error);
+                return;
+            }
+            if (error.fromAnki) {
+                showNotification(`Anki Error: ${error.message}`, 'error');
+                return;
+            }
+            DEBUG.error("Error checking Anki configuration", error);
+            showNotification(`Failed to connect to Anki at ${getAnkiConnectUrl()}. Is it running with AnkiConnect?`, "error");
+        });
+    }
+
+    function showErrorDialog(title, message) {
+        showSettingsPanel(title, message);
+    }
+
+    // Improved card creation function with instant add option
+    function createCardWithOptions(useInstantAdd = false) {
+        if (!settings.enableAnkiIntegration) {
+            showNotification("Anki integration is disabled in settings.", "info");
+            return;
+        }
+
+        // Double-check we're not in an active round
+        if (isInActiveRound()) {
+            showNotification("Card creation is not allowed during active rounds.", "error");
+            return;
+        }
+
+        // Get the current round key
+        const roundKey = gameState.currentRoundKey;
+        if (!roundKey) {
+            showNotification("No active round data found.", "error");
+            return;
+        }
+
+        // If user cancelled card creation, respect that choice
+        if (gameState.cancelCardCreation) {
+            DEBUG.log("Card creation was previously cancelled by user");
+            return;
+        }
+
+        // For instant add, bypass the prompts and use available data
+        if (useInstantAdd || settings.instantAddEnabled) {
+            DEBUG.log("Using instant add without prompts");
+            createAnkiCard(null, true);
+            return;
+        }
+
+        // Get round-specific data
+        const roundData = gameState.roundLocations[roundKey];
+        if (!roundData) {
+            showNotification("No data found for current round.", "error");
+            return;
+        }
+
+        // Ensure we have the country data needed
+        if (!roundData.country) {
+            // Try DOM extraction if API data is missing
+            const extractedCountry = extractCountryFromDOM();
+            if (extractedCountry) {
+                roundData.country = extractedCountry;
+                gameState.actualCountry = extractedCountry;
+                DEBUG.log(`Using DOM-extracted country: ${extractedCountry}`);
+
+                if (!roundData.countryData) {
+                    const extractedCode = findCountryCode(extractedCountry);
+                    roundData.countryData = {
+                        country: extractedCountry,
+                        countryCode: extractedCode,
+                        additionalInfo: getCountryAdditionalInfo(extractedCode)
+                    };
+                    gameState.countryData = roundData.countryData;
+                }
+            } else {
+                showNotification("Couldn't determine the correct country. Try again.", "error");
+                return;
+            }
+        }
+
+        DEBUG.log("Starting card creation workflow with round data:", roundData);
+
+        // Launch the prompting workflow
+        promptForCardCreation();
+    }
+
+    function getReminderQuestion(country) {
+        return `What will you remember next time to identify ${country}? (Leave blank for auto-generated)`;
+    }
+
+    // Bring an open card prompt up to date after the current round's country changed
+    function refreshCardPrompt(isGuess, previousCountry) {
+        const roundData = gameState.roundLocations[gameState.currentRoundKey];
+        if (!roundData || !document.getElementById('geo-anki-prompt-container')) return;
+
+        if (isGuess) {
+            // Leave a guess the user already typed alone
+            const guessInput = document.getElementById('geo-anki-guess');
+            if (guessInput && (guessInput.value === previousCountry || guessInput.value === '')) {
+                guessInput.value = roundData.guessCountry;
+            }
+        } else {
+            const reminderLabel = document.getElementById('geo-anki-reminder-label');
+            if (reminderLabel) {
+                reminderLabel.textContent = getReminderQuestion(roundData.country);
+            }
+        }
+    }
+
+    // New function to handle the card creation prompt workflow
+    function promptForCardCreation() {
+        try {
+            // If user cancelled card creation, respect that choice
+            if (gameState.cancelCardCreation) {
+                DEBUG.log("Card creation was cancelled by user, skipping prompts");
+                return;
+            }
+
+            // Get round-specific data
+            const roundKey = gameState.currentRoundKey;
+            if (!roundKey) {
+                DEBUG.warn("No round key for promptForCardCreation");
+                return;
+            }
+
+            const roundData = gameState.roundLocations[roundKey];
+            if (!roundData || !roundData.country) {
+                DEBUG.warn("Missing data for promptForCardCreation");
+                return;
+            }
+
+            // Create overlay to prevent interaction with the page below
+            const overlay = document.createElement('div');
+            overlay.className = 'geo-anki-overlay';
+            overlay.style.position = 'fixed';
+            overlay.style.top = '0';
+            overlay.style.left = '0';
+            overlay.style.width = '100%';
+            overlay.style.height = '100%';
+            overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+            overlay.style.zIndex = '9998';
+            document.body.appendChild(overlay);
+
+            // Create HTML prompt container
+            const promptContainer = document.createElement('div');
+            promptContainer.className = 'geo-anki-prompt';
+            promptContainer.id = 'geo-anki-prompt-container';
+            promptContainer.style.position = 'fixed';
+            promptContainer.style.top = '50%';
+            promptContainer.style.left = '50%';
+            promptContainer.style.transform = 'translate(-50%, -50%)';
+            promptContainer.style.backgroundColor = 'rgba(30, 30, 30, 0.95)';
+            promptContainer.style.color = 'white';
+            promptContainer.style.padding = '20px';
+            promptContainer.style.borderRadius = '8px';
+            promptContainer.style.zIndex = '9999';
+            promptContainer.style.width = '400px';
+            promptContainer.style.maxWidth = '90%';
+            promptContainer.style.boxShadow = '0 4px 20px rgba(0,0,0,0.4)';
+            promptContainer.style.fontFamily = 'Arial, sans-serif';
+
+            // Create the content programmatically rather than using innerHTML
+            const title = document.createElement('h2');
+            title.style.textAlign = 'center';
+            title.style.marginTop = '0';
+            title.textContent = 'Create Anki Card';
+            promptContainer.appendChild(title);
+
+            // Create guess country section
+            const guessLabel = document.createElement('p');
+            guessLabel.textContent = 'What country did you guess?';
+            promptContainer.appendChild(guessLabel);
+
+            const guessInput = document.createElement('input');
+            guessInput.type = 'text';
+            guessInput.id = 'geo-anki-guess';
+            guessInput.value = roundData.guessCountry || '';
+            guessInput.style.width = '100%';
+            guessInput.style.padding = '8px';
+            guessInput.style.boxSizing = 'border-box';
+            guessInput.style.marginBottom = '15px';
+            guessInput.style.backgroundColor = 'rgba(60,60,60,0.8)';
+            guessInput.style.color = 'white';
+            guessInput.style.border = '1px solid #555';
+            promptContainer.appendChild(guessInput);
+
+            // Create missed clues section
+            const cluesLabel = document.createElement('p');
+            cluesLabel.textContent = 'What clues did you miss? (Leave blank for auto-generated)';
+            promptContainer.appendChild(cluesLabel);
+
+            const cluesTextarea = document.createElement('textarea');
+            cluesTextarea.id = 'geo-anki-clues';
+            cluesTextarea.style.width = '100%';
+            cluesTextarea.style.padding = '8px';
+            cluesTextarea.style.boxSizing = 'border-box';
+            cluesTextarea.style.height = '80px';
+            cluesTextarea.style.marginBottom = '15px';
+            cluesTextarea.style.backgroundColor = 'rgba(60,60,60,0.8)';
+            cluesTextarea.style.color = 'white';
+            cluesTextarea.style.border = '1px solid #555';
+            promptContainer.appendChild(cluesTextarea);
+
+            // Create reminder section
+            const reminderLabel = document.createElement('p');
+            reminderLabel.id = 'geo-anki-reminder-label';
+            reminderLabel.textContent = getReminderQuestion(roundData.country);
+            promptContainer.appendChild(reminderLabel);
+
+            const reminderTextarea = document.createElement('textarea');
+            reminderTextarea.id = 'geo-anki-reminder';
+            reminderTextarea.style.width = '100%';
+            reminderTextarea.style.padding = '8px';
+            reminderTextarea.style.boxSizing = 'border-box';
+            reminderTextarea.style.height = '60px';
+            reminderTextarea.style.marginBottom = '20px';
+            reminderTextarea.style.backgroundColor = 'rgba(60,60,60,0.8)';
+            reminderTextarea.style.color = 'white';
+            reminderTextarea.style.border = '1px solid #555';
+            promptContainer.appendChild(reminderTextarea);
+
+            // Create card type section, preselected from the settings
+            const cardTypesLabel = document.createElement('p');
+            cardTypesLabel.textContent = 'Which cards should be created?';
+            promptContainer.appendChild(cardTypesLabel);
+
+            const cardTypesContainer = document.createElement('div');
+            cardTypesContainer.style.marginBottom = '20px';
+            const defaultCardTypes = getDefaultCardTypes();
+            CARD_TYPES.forEach(type => {
+                const typeLabel = document.createElement('label');
+                typeLabel.style.display = 'block';
+                typeLabel.style.marginBottom = '4px';
+                typeLabel.style.cursor = 'pointer';
+
+                const typeCheckbox = document.createElement('input');
+                typeCheckbox.type = 'checkbox';
+                typeCheckbox.value = type.key;
+                typeCheckbox.style.marginRight = '8px';
+                typeCheckbox.checked = defaultCardTypes.includes(type.key);
+
+                typeLabel.appendChild(typeCheckbox);
+                typeLabel.appendChild(document.createTextNode(type.label));
+                cardTypesContainer.appendChild(typeLabel);
+            });
+            promptContainer.appendChild(cardTypesContainer);
+
+            // Create buttons container
+            const buttonContainer = document.createElement('div');
+            buttonContainer.style.display = 'flex';
+            buttonContainer.style.justifyContent = 'space-between';
+            
+            // Create cancel button
+            const cancelButton = document.createElement('button');
+            cancelButton.id = 'geo-anki-cancel';
+            cancelButton.textContent = 'Cancel';
+            cancelButton.style.padding = '8px 16px';
+            cancelButton.style.backgroundColor = '#e74c3c';
+            cancelButton.style.color = 'white';
+            cancelButton.style.border = 'none';
+            cancelButton.style.borderRadius = '4px';
+            cancelButton.style.cursor = 'pointer';
+            buttonContainer.appendChild(cancelButton);
+
+            // Create right side buttons container
+            const rightButtonContainer = document.createElement('div');
+            
+            // Create instant add button
+            const instantButton = document.createElement('button');
+            instantButton.id = 'geo-anki-instant';
+            instantButton.textContent = 'Instant Add';
+            instantButton.style.padding = '8px 16px';
+            instantButton.style.backgroundColor = '#3498db';
+            instantButton.style.color = 'white';
+            instantButton.style.border = 'none';
+            instantButton.style.borderRadius = '4px';
+            instantButton.style.cursor = 'pointer';
+            instantButton.style.marginRight = '10px';
+            rightButtonContainer.appendChild(instantButton);
+
+            // Create create button
+            const createButton = document.createElement('button');
+            createButton.id = 'geo-anki-create';
+            createButton.textContent = 'Create Card';
+            createButton.style.padding = '8px 16px';
+            createButton.style.backgroundColor = '#2ecc71';
+            createButton.style.color = 'white';
+            createButton.style.border = 'none';
+            createButton.style.borderRadius = '4px';
+            createButton.style.cursor = 'pointer';
+            rightButtonContainer.appendChild(createButton);
+            
+            buttonContainer.appendChild(rightButtonContainer);
+            promptContainer.appendChild(buttonContainer);
+
+            // Create checkbox section
+            const checkboxContainer = document.createElement('div');
+            checkboxContainer.style.marginTop = '15px';
+            
+            const checkboxLabel = document.createElement('label');
+            checkboxLabel.style.display = 'flex';
+            checkboxLabel.style.alignItems = 'center';
+            checkboxLabel.style.cursor = 'pointer';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = 'geo-anki-instant-toggle';
+            checkbox.style.marginRight = '8px';
+            checkbox.checked = settings.instantAddEnabled;
+            
+            checkboxLabel.appendChild(checkbox);
+            checkboxLabel.appendChild(document.createTextNode('Always use instant add in the future'));
+            
+            checkboxContainer.appendChild(checkboxLabel);
+            promptContainer.appendChild(checkboxContainer);
+
+            // Add to document
+            document.body.appendChild(promptContainer);
+
+            // Set focus to the guess field after a small delay to ensure the element is ready
+            setTimeout(() => {
+                if (guessInput) guessInput.focus();
+            }, 100);
+
+            // Event handlers using direct DOM references rather than getElementById
+            const handleCancel = function() {
+                DEBUG.log("Cancel button clicked");
+                // Mark that user cancelled card creation for this round
+                gameState.cancelCardCreation = true;
+                // Remove the elements from DOM
+                if (overlay && overlay.parentNode) {
+                    overlay.parentNode.removeChild(overlay);
+                }
+                if (promptContainer && promptContainer.parentNode) {
+                    promptContainer.parentNode.removeChild(promptContainer);
+                }
+                showNotification("Card creation cancelled", "info");
+            };
+
+            const handleInstantAdd = function() {
+                DEBUG.log("Instant Add button clicked");
+                // Save the "Always use instant add" setting
+                const instantToggle = document.getElementById('geo-anki-instant-toggle');
+                if (instantToggle) {
+                    settings.instantAddEnabled = instantToggle.checked;
+                    GM_setValue('instantAddEnabled', settings.instantAddEnabled);
+                }
+                
+                // Remove prompt and create card immediately
+                if (overlay && overlay.parentNode) {
+                    overlay.parentNode.removeChild(overlay);
+                }
+                if (promptContainer && promptContainer.parentNode) {
+                    promptContainer.parentNode.removeChild(promptContainer);
+                }
+                createAnkiCard(null, true);
+            };
+
+            const handleCreateCard = function() {
+                DEBUG.log("Create Card button clicked");
+                // Get entered values
+                const guessValue = guessInput ? guessInput.value.trim() : '';
+                const cluesValue = cluesTextarea ? cluesTextarea.value.trim() : '';
+                const reminderValue = reminderTextarea ? reminderTextarea.value.trim() : '';
+                const cardTypesValue = Array.from(cardTypesContainer.querySelectorAll('input:checked'))
+                    .map(input => input.value);
+                
+                // Save the "Always use instant add" setting
+                const instantToggle = document.getElementById('geo-anki-instant-toggle');
+                if (instantToggle) {
+                    settings.instantAddEnabled = instantToggle.checked;
+                    GM_setValue('instantAddEnabled', settings.instantAddEnabled);
+                }
+                
+                // Remove prompt
+                if (overlay && overlay.parentNode) {
+                    overlay.parentNode.removeChild(overlay);
+                }
+                if (promptContainer && promptContainer.parentNode) {
+                    promptContainer.parentNode.removeChild(promptContainer);
+                }
+
+                // Update state with entered values
+                if (guessValue) {
+                    // Update guess country
+                    gameState.guessCountry = guessValue;
+                    if (roundData) {
+                        roundData.guessCountry = guessValue;
+                        const guessCode = findCountryCode(guessValue);
+                        roundData.guessCountryData = roundData.guessCountryData || {
+                            country: guessValue,
+                            city: "Unknown location",
+                            countryCode: guessCode,
+                            additionalInfo: getCountryAdditionalInfo(guessCode)
+                        };
+                    }
+                }
+
+                if (cluesValue) {
+                    gameState.userMissedClues = cluesValue;
+                }
+
+                if (reminderValue) {
+                    gameState.userReminder = reminderValue;
+                }
+
+                gameState.userCardTypes = cardTypesValue;
+
+                // Create the card
+                createAnkiCard();
+            };
+
+            // Attach event listeners directly to the button references
+            if (cancelButton) cancelButton.addEventListener('click', handleCancel);
+            if (instantButton) instantButton.addEventListener('click', handleInstantAdd);
+            if (createButton) createButton.addEventListener('click', handleCreateCard);
+            
+            // Also allow clicking outside the prompt to cancel
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    handleCancel();
+                }
+            });
+            
+            // Add Escape key handler
+            const escHandler = (e) => {
+                if (e.key === 'Escape') {
+                    handleCancel();
+                    document.removeEventListener('keydown', escHandler);
+                }
+            };
+            document.addEventListener('keydown', escHandler);
+            
+            DEBUG.log("Prompt created and event handlers attached");
+        } catch (e) {
+            DEBUG.error("Error in card creation prompt", e);
+            showNotification("Error creating card prompt", "error");
+        }
+    }
+
+    // End-of-game panel listing every stored round of a game for batch card creation
+    function showBatchReviewPanel(gameId) {
+        if (!settings.enableAnkiIntegration) {
+            showNotification("Anki integration is disabled in settings.", "info");
+            return;
+        }
+
+        // Only one review panel at a time
+        if (document.getElementById('geo-anki-review-panel')) return;
+
+        // Rounds played before a reload only exist in the round history
+        loadGameFromHistory(gameId).then(() => renderBatchReviewPanel(gameId));
+    }
+
+    function renderBatchReviewPanel(gameId) {
+        // Correct streak rounds are only listed when they were close calls and those may be carded
+        const roundKeys = getRoundKeysForGame(gameId).filter(roundKey => {
+            const roundData = gameState.roundLocations[roundKey];
+            return !roundData.streak || roundData.streak.ended ||
+                (settings.streakCloseCalls && isStreakCloseCall(roundData));
+        });
+        if (roundKeys.length === 0) {
+            showNotification("No rounds recorded for this game yet.", "info");
+            return;
+        }
+
+        if (document.getElementById('geo-anki-review-panel')) return;
+
+        const { overlay, panel } = createPanelOverlay({ maxWidth: '650px' });
+        overlay.id = 'geo-anki-review-panel';
+        panel.style.fontFamily = 'Arial, sans-serif';
+
+        const rows = roundKeys.map((roundKey, index) => {
+            const roundData = gameState.roundLocations[roundKey];
+            const hasCountries = roundData.country && roundData.guessCountry;
+            const isMistake = isRoundMistake(roundData);
+            const regionMistake = roundData.regionMistake;
+            const countryCode = roundData.countryData && roundData.countryData.countryCode;
+            const score = formatRoundScore(roundData.score);
+            const distance = describeGuessOffset(roundData);
+            const health = describeHealthChange(roundData.health);
+            const streak = describeStreak(roundData.streak);
+            const timing = roundData.timing && typeof roundData.timing.guessSeconds === 'number' ?
+                `guessed in ${formatDuration(roundData.timing.guessSeconds)}` : '';
+
+            return `
+                <div class="review-row" data-round-key="${escapeHtml(roundKey)}" style="border-bottom: 1px solid #555; padding: 10px 0;">
+                    <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                        <input type="checkbox" class="review-select" ${hasCountries ? '' : 'disabled'}
+                            ${isMistake && !roundData.cardCreated ? 'checked' : ''}>
+                        ${countryCode ? `<img src="${getFlagUrl(countryCode)}" style="width: 24px; border: 1px solid #666;" alt="">` : ''}
+                        <span>
+                            <strong>Round ${parseRoundNumber(roundKey) || index + 1}: ${escapeHtml(roundData.country || 'Unknown')}${regionMistake ? ` · ${escapeHtml(regionMistake.actual)}` : ''}</strong>
+                            (guessed ${escapeHtml(regionMistake ? regionMistake.guess : roundData.guessCountry || 'Unknown')})
+                            <span style="font-size: 12px; color: #aaa;">
+                                ${score ? ` · ${escapeHtml(score)} pts` : ''}${distance ? ` · ${distance}` : ''}${health ? ` · ${health}` : ''}${streak ? ` · ${streak}` : ''}${timing ? ` · ${timing}` : ''}
+                                ${roundData.cardCreated ? ' · ✓ already in Anki' : ''}
+                                ${hasCountries ? '' : ' · missing country data'}
+                            </span>
+                        </span>
+                    </label>
+                    <textarea class="review-clues" placeholder="Missed clues (leave blank for auto-generated)" style="
+                        width: 100%;
+                        box-sizing: border-box;
+                        height: 50px;
+                        margin-top: 6px;
+                        padding: 6px;
+                        background-color: rgba(30,30,30,0.8);
+                        color: #E0E0E0;
+                        border: 1px solid #555;
+                        border-radius: 4px;
+                    " ${hasCountries ? '' : 'disabled'}></textarea>
+                </div>`;
+        }).join('');
+
+        panel.innerHTML = `
+            <h2 style="color:#ffcc00; margin-top: 0;">Review Game</h2>
+            <p>Tick the rounds that deserve a card. All selected cards are sent to Anki in one go.</p>
+            ${rows}
+            <div style="margin-top: 15px;">
+                <button id="review-create" style="
+                    background-color: #4CAF50;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                ">Create Selected Cards</button>
+                <button id="review-close" style="
+                    background-color: #666;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-left: 10px;
+                ">Close</button>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+
+        const close = () => {
+            if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+        };
+
+        const createButton = panel.querySelector('#review-create');
+        const updateCreateButton = () => {
+            const count = panel.querySelectorAll('.review-select:checked').length;
+            createButton.textContent = count === 1 ? 'Create 1 Card' : `Create ${count} Cards`;
+            createButton.disabled = count === 0;
+        };
+        panel.addEventListener('change', updateCreateButton);
+        updateCreateButton();
+
+        panel.querySelector('#review-close').addEventListener('click', close);
+
+        createButton.addEventListener('click', () => {
+            const cardDataList = [];
+
+            panel.querySelectorAll('.review-row').forEach(row => {
+                if (!row.querySelector('.review-select').checked) return;
+
+                const roundKey = row.getAttribute('data-round-key');
+                const cardData = buildAnkiCardData(false, roundKey, {
+                    missedClues: row.querySelector('.review-clues').value.trim(),
+                    reminder: ''
+                });
+
+                if (cardData) {
+                    cardDataList.push(cardData);
+                } else {
+                    DEBUG.warn(`Skipping round ${roundKey}, card data incomplete`);
+                }
+            });
+
+            if (cardDataList.length === 0) {
+                showNotification("No cards to create.", "info");
+                return;
+            }
+
+            close();
+            sendBatchToAnki(cardDataList);
+        });
+    }
+
+    // Ask what to do when the collection already has a note for this location.
+    // Resolves to 'update', 'append', 'separate' or 'cancel'.
+    function promptForExistingNote(cardData, existingCount) {
+        return new Promise(resolve => {
+            const overlay = document.createElement('div');
+            overlay.className = 'geo-anki-overlay';
+            overlay.style.position = 'fixed';
+            overlay.style.top = '0';
+            overlay.style.left = '0';
+            overlay.style.width = '100%';
+            overlay.style.height = '100%';
+            overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+            overlay.style.zIndex = '9998';
+            document.body.appendChild(overlay);
+
+            const promptContainer = document.createElement('div');
+            promptContainer.className = 'geo-anki-prompt';
+            promptContainer.id = 'geo-anki-existing-note';
+            promptContainer.style.position = 'fixed';
+            promptContainer.style.top = '50%';
+            promptContainer.style.left = '50%';
+            promptContainer.style.transform = 'translate(-50%, -50%)';
+            promptContainer.style.backgroundColor = 'rgba(30, 30, 30, 0.95)';
+            promptContainer.style.color = 'white';
+            promptContainer.style.padding = '20px';
+            promptContainer.style.borderRadius = '8px';
+            promptContainer.style.zIndex = '9999';
+            promptContainer.style.width = '400px';
+            promptContainer.style.maxWidth = '90%';
+            promptContainer.style.boxShadow = '0 4px 20px rgba(0,0,0,0.4)';
+            promptContainer.style.fontFamily = 'Arial, sans-serif';
+
+            const title = document.createElement('h2');
+            title.style.textAlign = 'center';
+            title.style.marginTop = '0';
+            title.textContent = 'Location Already In Anki';
+            promptContainer.appendChild(title);
+
+            const message = document.createElement('p');
+            message.textContent = existingCount > 1 ?
+                `You already have ${existingCount} notes for this location (${cardData.actualCountry}). What do you want to do?` :
+                `You already have a note for this location (${cardData.actualCountry}). What do you want to do?`;
+            promptContainer.appendChild(message);
+
+            let escHandler = null;
+
+            const close = (choice) => {
+                if (overlay.parentNode) overlay.parentNode.removeChild(overlay);
+                if (promptContainer.parentNode) promptContainer.parentNode.removeChild(promptContainer);
+                document.removeEventListener('keydown', escHandler);
+                DEBUG.log(`Existing note choice: ${choice}`);
+                resolve(choice);
+            };
+
+            const choices = [
+                { choice: 'update', label: 'Update Existing Note', color: '#2ecc71' },
+                { choice: 'append', label: 'Append This Mistake', color: '#3498db' },
+                { choice: 'separate', label: 'Create Separate Card', color: '#f39c12' },
+                { choice: 'cancel', label: 'Cancel', color: '#e74c3c' }
+            ];
+
+            choices.forEach(option => {
+                const button = document.createElement('button');
+                button.textContent = option.label;
+                button.style.display = 'block';
+                button.style.width = '100%';
+                button.style.padding = '8px 16px';
+                button.style.marginBottom = '10px';
+                button.style.backgroundColor = option.color;
+                button.style.color = 'white';
+                button.style.border = 'none';
+                button.style.borderRadius = '4px';
+                button.style.cursor = 'pointer';
+                button.addEventListener('click', () => close(option.choice));
+                promptContainer.appendChild(button);
+            });
+
+            document.body.appendChild(promptContainer);
+
+            // Clicking outside or pressing Escape cancels
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    close('cancel');
+                }
+            });
+
+            escHandler = (e) => {
+                if (e.key === 'Escape') {
+                    close('cancel');
+                }
+            };
+            document.addEventListener('keydown', escHandler);
+        });
+    }
+
+    /* ========= ANKI REVIEW STATS ========= */
+    // Cards with an interval of at least this many days count as mature, like in Anki's own stats
+    const MATURE_INTERVAL_DAYS = 21;
+
+    // Lapses within this window count as "still lapsing"
+    const RECENT_LAPSE_DAYS = 30;
+
+    // Keep cardsInfo/getReviewsOfCards responses at a manageable size
+    const REVIEW_STATS_CHUNK_SIZE = 500;
+
+    // Run a request per chunk of card ids, one after the other
+    function requestInChunks(action, cardIds, buildParams) {
+        const results = [];
+        let chain = Promise.resolve();
+
+        for (let i = 0; i < cardIds.length; i += REVIEW_STATS_CHUNK_SIZE) {
+            const chunk = cardIds.slice(i, i + REVIEW_STATS_CHUNK_SIZE);
+            chain = chain
+                .then(() => ankiRequest(action, buildParams(chunk), 30000))
+                .then(result => results.push(result));
+        }
+
+        return chain.then(() => results);
+    }
+
+    // Collect review performance of GeoAnki cards: due count, lapsing country pairs and
+    // maturity per continent. Resolves to null when the note type has no GeoAnki fields.
+    function fetchReviewStats() {
+        let query;
+
+        return ensureNoteType()
+            .then(noteType => {
+                if (!noteType.structured) return null;
+
+                query = `"note:${escapeAnkiSearch(noteType.name)}"`;
+                return Promise.all([
+                    ankiRequest("findCards", { query: query }),
+                    ankiRequest("findCards", { query: `${query} is:due` })
+                ]);
+            })
+            .then(found => {
+                if (!found) return null;
+
+                const [cardIds, dueIds] = found;
+                DEBUG.log(`Collecting review stats for ${cardIds.length} GeoAnki card(s)`);
+
+                return requestInChunks("cardsInfo", cardIds, chunk => ({ cards: chunk }))
+                    .then(infoChunks => {
+                        const cards = [].concat(...infoChunks);
+                        return requestInChunks("getReviewsOfCards", cardIds, chunk => ({ cards: chunk.map(String) }))
+                            .then(reviewChunks => summarizeReviewStats(cards, Object.assign({}, ...reviewChunks), dueIds.length));
+                    });
+            });
+    }
+
+    function summarizeReviewStats(cards, reviewsByCard, dueCount) {
+        const fieldValue = (card, name) => card.fields && card.fields[name] ? card.fields[name].value.trim() : "";
+        const lapseCutoff = Date.now() - RECENT_LAPSE_DAYS * 24 * 60 * 60 * 1000;
+        const pairs = {};
+        const continents = {};
+        const generations = {};
+
+        const countMaturity = (bucket, card) => {
+            if (card.type === 0) {
+                bucket.new++;
+            } else if (card.type === 2 && card.interval >= MATURE_INTERVAL_DAYS) {
+                bucket.mature++;
+            } else {
+                bucket.young++;
+            }
+        };
+
+        cards.forEach(card => {
+            const actual = fieldValue(card, "ActualCountry") || "Unknown";
+            const guess = fieldValue(card, "GuessCountry") || "Unknown";
+            const continent = fieldValue(card, "Continent") || "Unknown";
+
+            // Failed reviews (revlog type 1) of this card inside the window
+            const reviews = reviewsByCard[String(card.cardId)] || [];
+            const recentLapses = reviews.filter(review => review.type === 1 && review.ease === 1 && review.id >= lapseCutoff).length;
+
+            const pairKey = `${actual}\u0000${guess}`;
+            const pair = pairs[pairKey] || (pairs[pairKey] = { actual: actual, guess: guess, cards: 0, lapses: 0, recentLapses: 0 });
+            pair.cards++;
+            pair.lapses += card.lapses || 0;
+            pair.recentLapses += recentLapses;
+
+            countMaturity(continents[continent] || (continents[continent] = { continent: continent, new: 0, young: 0, mature: 0 }), card);
+
+            // Only cards made since camera generations are recorded have one
+            const generation = fieldValue(card, "CameraGeneration");
+            if (generation) {
+                countMaturity(generations[generation] || (generations[generation] = { generation: generation, new: 0, young: 0, mature: 0 }), card);
+            }
+        });
+
+        return {
+            totalCards: cards.length,
+            dueCount: dueCount,
+            lapsingPairs: Object.values(pairs)
+                .filter(pair => pair.lapses > 0)
+                .sort((a, b) => b.recentLapses - a.recentLapses || b.lapses - a.lapses),
+            continents: Object.values(continents).sort((a, b) => a.continent.localeCompare(b.continent)),
+            generations: Object.values(generations).sort((a, b) => a.generation.localeCompare(b.generation))
+        };
+    }
+
+    /* ========= UI & NAVIGATION ========= */
+    
+    // Create UI with iframe for protection from CSS/JS interference
+    function createUIContainer() {
+        // Check if container already exists
+        if (document.getElementById('geoguessr-anki-container')) {
+            return;
+        }
+        
         // Create our container iframe
         const iframe = document.createElement('iframe');
         iframe.id = 'geoguessr-anki-container';
         
-        // Set styles to position it at the bottom-right
-        iframe.style.position = 'fixed';
-        iframe.style.bottom = '20px';
-        iframe.style.right = '20px';
-        iframe.style.width = '150px';
-        iframe.style.height = '300px';
-        iframe.style.border = 'none';
-        iframe.style.background = 'transparent';
-        iframe.style.zIndex = '2147483647'; // Maximum z-index
+        // Set styles to position it at the bottom-right
+        iframe.style.position = 'fixed';
+        iframe.style.bottom = '20px';
+        iframe.style.right = '20px';
+        iframe.style.width = '150px';
+        iframe.style.height = '460px';
+        iframe.style.border = 'none';
+        iframe.style.background = 'transparent';
+        iframe.style.zIndex = '2147483647'; // Maximum z-index
+        
+        // Add it to the page
+        document.body.appendChild(iframe);
+        
+        // Get the iframe's document
+        const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+        
+        // Write the HTML for our UI
+        iframeDoc.open();
+        iframeDoc.write(`
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <style>
+                    body, html {
+                        margin: 0;
+                        padding: 0;
+                        overflow: hidden;
+                        font-family: Arial, sans-serif;
+                    }
+                    
+                    /* Main button styles */
+                    #toggle-button {
+                        position: absolute;
+                        bottom: 0;
+                        right: 0;
+                        width: 48px;
+                        height: 48px;
+                        background-color: #4CAF50;
+                        border-radius: 50%;
+                        color: white;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        cursor: pointer;
+                        box-shadow: 0 2px 5px rgba(0,0,0,0.3);
+                        transition: all 0.3s ease;
+                        z-index: 10;
+                    }
+                    
+                    #toggle-button:hover {
+                        transform: scale(1.1);
+                    }
+                    
+                    /* Action buttons container */
+                    #action-buttons {
+                        position: absolute;
+                        bottom: 58px;
+                        right: 0;
+                        display: flex;
+                        flex-direction: column;
+                        align-items: flex-end;
+                        gap: 10px;
+                        opacity: 0;
+                        transform: translateY(20px);
+                        transition: all 0.3s ease;
+                        pointer-events: none;
+                    }
+                    
+                    #action-buttons.expanded {
+                        opacity: 1;
+                        transform: translateY(0);
+                        pointer-events: auto;
+                    }
+                    
+                    /* Action button style */
+                    .action-button {
+                        width: 40px;
+                        height: 40px;
+                        background-color: #4CAF50;
+                        border-radius: 50%;
+                        color: white;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        cursor: pointer;
+                        box-shadow: 0 2px 5px rgba(0,0,0,0.3);
+                        transition: all 0.2s ease;
+                        position: relative;
+                    }
+                    
+                    .action-button:hover {
+                        transform: scale(1.1);
+                    }
+                    
+                    .action-button:active {
+                        transform: scale(0.95);
+                    }
+                    
+                    /* Button label/tooltip */
+                    .button-label {
+                        position: absolute;
+                        right: 50px;
+                        background-color: rgba(0,0,0,0.7);
+                        color: white;
+                        padding: 4px 8px;
+                        border-radius: 4px;
+                        font-size: 12px;
+                        white-space: nowrap;
+                        opacity: 0;
+                        transition: opacity 0.2s;
+                        pointer-events: none;
+                    }
+                    
+                    .action-button:hover .button-label {
+                        opacity: 1;
+                    }
+                    
+                    /* Disabled button state */
+                    .action-button.disabled {
+                        background-color: #888888;
+                        cursor: not-allowed;
+                    }
+
+                    /* Instant add button */
+                    #instant-add-button {
+                        background-color: #2196F3;
+                    }
+
+                    /* Outbox button */
+                    #outbox-button {
+                        background-color: #FF9800;
+                    }
+
+                    /* Pending outbox count */
+                    .pending-badge {
+                        position: absolute;
+                        top: -4px;
+                        right: -4px;
+                        min-width: 18px;
+                        height: 18px;
+                        padding: 0 4px;
+                        box-sizing: border-box;
+                        border-radius: 9px;
+                        background-color: #e74c3c;
+                        color: white;
+                        font-size: 11px;
+                        line-height: 18px;
+                        text-align: center;
+                        display: none;
+                    }
+
+                    .pending-badge.visible {
+                        display: block;
+                    }
+                </style>
+            </head>
+            <body>
+                <!-- Main toggle button -->
+                <div id="toggle-button">▶◀</div>
+                <div class="pending-badge" id="toggle-badge" title="Cards waiting for Anki"></div>
+                
+                <!-- Container for action buttons -->
+                <div id="action-buttons">
+                    <!-- Create Card Button -->
+                    <div class="action-button" id="create-card-button">
+                        🃏
+                        <div class="button-label">Create Anki Card</div>
+                    </div>
+                    
+                    <!-- Instant Add Button -->
+                    <div class="action-button" id="instant-add-button">
+                        ⚡
+                        <div class="button-label">Instant Add Card</div>
+                    </div>
+                    
+                    <!-- Capture Snapshot Button -->
+                    <div class="action-button disabled" id="snapshot-button">
+                        📸
+                        <div class="button-label">Capture View</div>
+                    </div>
+                    
+                    <!-- Review Game Button -->
+                    <div class="action-button" id="review-game-button">
+                        📋
+                        <div class="button-label">Review Game</div>
+                    </div>
+                    
+                    <!-- Outbox Button -->
+                    <div class="action-button" id="outbox-button">
+                        📮
+                        <div class="pending-badge" id="outbox-badge"></div>
+                        <div class="button-label">Outbox</div>
+                    </div>
+                    
+                    <!-- Review Stats Button -->
+                    <div class="action-button" id="stats-button">
+                        📊
+                        <div class="button-label">Review Stats</div>
+                    </div>
+                    
+                    <!-- Settings Button -->
+                    <div class="action-button" id="settings-button">
+                        ⚙️
+                        <div class="button-label">Settings</div>
+                    </div>
+                    
+                    <!-- Debug Button -->
+                    <div class="action-button" id="debug-button">
+                        🐞
+                        <div class="button-label">Debug</div>
+                    </div>
+                </div>
+                
+                <script>
+                    // Toggle button functionality
+                    const toggleButton = document.getElementById('toggle-button');
+                    const actionButtons = document.getElementById('action-buttons');
+                    let isExpanded = false;
+                    
+                    // Check localStorage for previous state
+                    try {
+                        isExpanded = localStorage.getItem('geoAnkiUIExpanded') === 'true';
+                        if (isExpanded) {
+                            actionButtons.classList.add('expanded');
+                            toggleButton.textContent = '◀▶';
+                        }
+                    } catch (e) {
+                        console.error('Error reading from localStorage:', e);
+                    }
+                    
+                    // Toggle button click handler
+                    toggleButton.addEventListener('click', function() {
+                        isExpanded = !isExpanded;
+                        
+                        if (isExpanded) {
+                            actionButtons.classList.add('expanded');
+                            toggleButton.textContent = '◀▶';
+                        } else {
+                            actionButtons.classList.remove('expanded');
+                            toggleButton.textContent = '▶◀';
+                        }
+                        
+                        // Save state to localStorage
+                        try {
+                            localStorage.setItem('geoAnkiUIExpanded', isExpanded);
+                        } catch (e) {
+                            console.error('Error writing to localStorage:', e);
+                        }
+                    });
+                    
+                    // Create card button
+                    document.getElementById('create-card-button').addEventListener('click', function() {
+                        parent.postMessage({ action: 'createCard' }, '*');
+                    });
+
+                    // Instant Add button
+                    document.getElementById('instant-add-button').addEventListener('click', function() {
+                        parent.postMessage({ action: 'instantAdd' }, '*');
+                    });
+                    
+                    // Capture snapshot button
+                    document.getElementById('snapshot-button').addEventListener('click', function() {
+                        parent.postMessage({ action: 'captureSnapshot' }, '*');
+                    });
+                    
+                    // Review game button
+                    document.getElementById('review-game-button').addEventListener('click', function() {
+                        parent.postMessage({ action: 'reviewGame' }, '*');
+                    });
+                    
+                    // Outbox button
+                    document.getElementById('outbox-button').addEventListener('click', function() {
+                        parent.postMessage({ action: 'openOutbox' }, '*');
+                    });
+                    
+                    // Review stats button
+                    document.getElementById('stats-button').addEventListener('click', function() {
+                        parent.postMessage({ action: 'openStats' }, '*');
+                    });
+                    
+                    // Settings button
+                    document.getElementById('settings-button').addEventListener('click', function() {
+                        parent.postMessage({ action: 'openSettings' }, '*');
+                    });
+                    
+                    // Debug button
+                    document.getElementById('debug-button').addEventListener('click', function() {
+                        parent.postMessage({ action: 'debug' }, '*');
+                    });
+                    
+                    // Handle incoming messages from parent window
+                    window.addEventListener('message', function(event) {
+                        console.log('Message received:', event.data);
+                        
+                        // Handle state updates
+                        if (event.data.type === 'updateState') {
+                            const createCardButton = document.getElementById('create-card-button');
+                            const instantAddButton = document.getElementById('instant-add-button');
+                            const snapshotButton = document.getElementById('snapshot-button');
+                            
+                            if (typeof event.data.inActiveRound !== 'boolean') {
+                                // Partial update that doesn't concern the round state
+                            } else if (event.data.inActiveRound) {
+                                // Disable create card button during active rounds
+                                createCardButton.classList.add('disabled');
+                                createCardButton.querySelector('.button-label').textContent = 'Finish round first';
+                                instantAddButton.classList.add('disabled');
+                                instantAddButton.querySelector('.button-label').textContent = 'Finish round first';
+                                // Snapshots are only possible while the panorama is shown
+                                snapshotButton.classList.remove('disabled');
+                            } else {
+                                // Enable create card button between rounds
+                                createCardButton.classList.remove('disabled');
+                                createCardButton.querySelector('.button-label').textContent = 'Create Anki Card';
+                                instantAddButton.classList.remove('disabled');
+                                instantAddButton.querySelector('.button-label').textContent = 'Instant Add Card';
+                                snapshotButton.classList.add('disabled');
+                            }
+
+                            // Show how many cards are waiting in the outbox
+                            if (typeof event.data.pendingCount === 'number') {
+                                ['toggle-badge', 'outbox-badge'].forEach(function(id) {
+                                    const badge = document.getElementById(id);
+                                    badge.textContent = event.data.pendingCount;
+                                    badge.classList.toggle('visible', event.data.pendingCount > 0);
+                                });
+                            }
+                        }
+                    });
+                    
+                    // Notify parent that UI is ready
+                    parent.postMessage({ action: 'uiReady' }, '*');
+                </script>
+            </body>
+            </html>
+        `);
+        iframeDoc.close();
+        
+        DEBUG.log('GeoGuessr Anki UI created successfully');
+    }
+    
+    // Handle messages from the iframe
+    function setupMessageHandlers() {
+        window.addEventListener('message', function(event) {
+            DEBUG.log('Received message from UI:', event.data);
+            
+            // Handle different actions
+            switch(event.data.action) {
+                case 'uiReady':
+                    DEBUG.log('UI is ready');
+                    // Update UI state based on current game state
+                    updateUIState({
+                        inActiveRound: isInActiveRound(),
+                        pendingCount: getOutbox().length
+                    });
+                    break;
+
+                case 'captureSnapshot':
+                    DEBUG.log('Capture snapshot button clicked');
+                    captureSnapshotManually();
+                    break;
+
+                case 'reviewGame':
+                    DEBUG.log('Review game button clicked');
+                    showBatchReviewPanel(getCurrentGameId());
+                    break;
+
+                case 'openOutbox':
+                    DEBUG.log('Outbox button clicked');
+                    showOutboxPanel();
+                    break;
+                    
+                case 'openStats':
+                    DEBUG.log('Review stats button clicked');
+                    showReviewStatsPanel();
+                    break;
+                    
+                case 'createCard':
+                    DEBUG.log('Create card button clicked');
+                    createCardWithOptions(false);
+                    break;
+                    
+                case 'instantAdd':
+                    DEBUG.log('Instant add button clicked');
+                    createCardWithOptions(true);
+                    break;
+                    
+                case 'openSettings':
+                    DEBUG.log('Settings button clicked');
+                    showSettingsPanel();
+                    break;
+                    
+                case 'debug':
+                    DEBUG.log('Debug button clicked');
+                    DEBUG.copyLogsToClipboard();
+                    showNotification("Debug logs copied to clipboard", "success");
+                    break;
+            }
+        });
+    }
+    
+    // Update the UI state
+    function updateUIState(state) {
+        const iframe = document.getElementById('geoguessr-anki-container');
+        if (!iframe) return;
+        
+        // Send state updates to the iframe
+        iframe.contentWindow.postMessage({
+            type: 'updateState',
+            ...state
+        }, '*');
+    }
+
+    // Shows a settings/modal panel
+    function showSettingsPanel(title = "GeoGuessr Anki Settings", content = null) {
+        // Create the overlay
+        const overlay = document.createElement('div');
+        overlay.style.position = 'fixed';
+        overlay.style.top = '0';
+        overlay.style.left = '0';
+        overlay.style.width = '100%';
+        overlay.style.height = '100%';
+        overlay.style.backgroundColor = 'rgba(0,0,0,0.7)';
+        overlay.style.zIndex = '2147483646';
+        overlay.style.display = 'flex';
+        overlay.style.alignItems = 'center';
+        overlay.style.justifyContent = 'center';
+        
+        // Create the panel
+        const panel = document.createElement('div');
+        panel.style.backgroundColor = 'rgba(40,40,40,0.95)';
+        panel.style.color = '#E0E0E0';
+        panel.style.padding = '20px';
+        panel.style.borderRadius = '8px';
+        panel.style.width = '80%';
+        panel.style.maxWidth = '500px';
+        panel.style.maxHeight = '80vh';
+        panel.style.overflowY = 'auto';
+        panel.style.boxShadow = '0 3px 20px rgba(0,0,0,0.5)';
+        
+        // If content is provided, use that instead of settings form
+        if (content) {
+            panel.innerHTML = `
+                <h2 style="color:#ffcc00;">${title}</h2>
+                <div>${content}</div>
+                <button id="close-panel" style="
+                    background-color: #4CAF50;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-top: 15px;
+                ">Close</button>
+            `;
+            
+            overlay.appendChild(panel);
+            document.body.appendChild(overlay);
+            
+            document.getElementById('close-panel').addEventListener('click', function() {
+                document.body.removeChild(overlay);
+            });
+            
+            return;
+        }
+        
+        // Otherwise show settings
+        panel.innerHTML = `
+            <h2>${title}</h2>
+            <div style="margin-bottom: 15px;">
+                <label for="anki-deck">Anki Deck Name:</label>
+                <input type="text" id="anki-deck" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${settings.ankiDefaultDeck}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>Deck Routing Rules (first match wins, otherwise the deck above):</label>
+                <div style="font-size: 12px; color: #999; margin-top: 5px;">
+                    Values are comma separated. Deck names can use {deck}, {continent}, {country}, {countryCode},
+                    {guessCountry}, {guessCountryCode}, {gameType}, {map} and {movement}.
+                </div>
+                <div id="deck-rules" style="margin-top: 5px;">
+                    ${(settings.deckRules || []).map(renderDeckRuleRow).join('')}
+                </div>
+                <button id="add-deck-rule" style="
+                    background-color: #666;
+                    color: white;
+                    border: none;
+                    padding: 6px 12px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-top: 5px;
+                    margin-right: 10px;
+                ">Add Rule</button>
+                <button id="preview-deck-rules" style="
+                    background-color: #666;
+                    color: white;
+                    border: none;
+                    padding: 6px 12px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-top: 5px;
+                ">Preview With Last Round</button>
+                <div id="deck-rule-preview" style="font-size: 12px; margin-top: 5px;"></div>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="model-name">Anki Note Type:</label>
+                <input type="text" id="model-name" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${settings.modelName}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="anki-host">Anki Connect Host:</label>
+                <input type="text" id="anki-host" placeholder="localhost" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${escapeHtml(settings.ankiConnectHost)}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="anki-port">Anki Connect Port:</label>
+                <input type="number" id="anki-port" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${settings.ankiConnectPort}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="anki-key">Anki Connect API Key (if enabled in AnkiConnect):</label>
+                <input type="password" id="anki-key" autocomplete="off" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${escapeHtml(settings.ankiConnectKey)}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="anki-enabled" ${settings.enableAnkiIntegration ? 'checked' : ''}>
+                    Enable Anki Integration
+                </label>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="auto-cards" ${settings.automaticCards ? 'checked' : ''}>
+                    Auto Prompt After Rounds
+                </label>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="defer-prompts" ${settings.deferPromptsToSummary ? 'checked' : ''}>
+                    Defer Prompts to End-of-Game Review
+                </label>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="streak-close-calls" ${settings.streakCloseCalls ? 'checked' : ''}>
+                    Offer Close Calls from Streaks (correct rounds near a border) in the Review
+                </label>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="streak-close-call-distance">Close Calls Are Within This Distance of Another Country:</label>
+                <input type="number" id="streak-close-call-distance" min="0" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${settings.streakCloseCallDistance}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="show-opponent" ${settings.showOpponentGuess ? 'checked' : ''}>
+                    Show Opponent Guess on Duels and Battle Royale Cards
+                </label>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="city-geocoding" ${settings.cityLevelGeocoding ? 'checked' : ''}>
+                    Look Up City Names with Nominatim (countries near a border are always checked with it)
+                </label>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="distance-units">Distance Units:</label>
+                <select id="distance-units" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                ">
+                    <option value="km" ${settings.distanceUnits !== 'mi' ? 'selected' : ''}>Kilometers</option>
+                    <option value="mi" ${settings.distanceUnits === 'mi' ? 'selected' : ''}>Miles</option>
+                </select>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="auto-prompt-distance">Only Auto Prompt When the Guess Was at Least This Far Off (0 = always):</label>
+                <input type="number" id="auto-prompt-distance" min="0" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${settings.autoPromptMinDistance}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="region-mistakes" ${settings.regionMistakes ? 'checked' : ''}>
+                    Card Wrong States and Provinces Inside the Right Country (needs city lookups)
+                </label>
+                <label for="region-countries" style="display: block; margin-top: 8px;">Countries with Region Cards (ISO codes, comma separated):</label>
+                <input type="text" id="region-countries" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${escapeHtml((settings.regionCountries || []).join(', '))}">
+                <label for="region-min-distance" style="display: block; margin-top: 8px;">Only When the Guess Was at Least This Far Off:</label>
+                <input type="number" id="region-min-distance" min="0" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${settings.regionMinDistance}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="snapshot-mode">Panorama Snapshots:</label>
+                <select id="snapshot-mode" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                ">
+                    <option value="auto" ${settings.snapshotMode === 'auto' ? 'selected' : ''}>Capture the starting view automatically</option>
+                    <option value="manual" ${settings.snapshotMode === 'manual' ? 'selected' : ''}>Only when I press 📸</option>
+                    <option value="off" ${settings.snapshotMode === 'off' ? 'selected' : ''}>Off</option>
+                </select>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="snapshot-width">Snapshot Width (px):</label>
+                <input type="number" id="snapshot-width" min="160" step="40" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${settings.snapshotMaxWidth}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="snapshot-quality">Snapshot JPEG Quality (0.1 - 1):</label>
+                <input type="number" id="snapshot-quality" min="0.1" max="1" step="0.05" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${settings.snapshotQuality}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label for="history-retention">Keep Round History For (days, 0 = forever):</label>
+                <input type="number" id="history-retention" min="0" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${settings.historyRetentionDays}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="instant-add" ${settings.instantAddEnabled ? 'checked' : ''}>
+                    Enable Instant Add (Skip prompts)
+                </label>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="hide-location" ${settings.hideLocationInFrontCard ? 'checked' : ''}>
+                    Hide Location in Front Card (Recommended)
+                </label>
+            </div>
+            <h3 style="margin: 20px 0 10px;">Card Types</h3>
+            <div style="margin-bottom: 15px;">
+                ${CARD_TYPES.map(type => `
+                <label style="display: block; margin-bottom: 5px;">
+                    <input type="checkbox" id="card-type-${type.key}" ${settings.cardTypes[type.key] ? 'checked' : ''}>
+                    ${type.label}
+                </label>`).join('')}
+                <div style="font-size: 12px; color: #aaa;">Default selection in the card prompt. Basic note types only get the first selected type.</div>
+            </div>
+            <h3 style="margin: 20px 0 10px;">Automatic Tags</h3>
+            <div style="margin-bottom: 15px;">
+                <label for="static-tags">Static Tags (space separated):</label>
+                <input type="text" id="static-tags" style="
+                    background-color: rgba(30,30,30,0.8);
+                    border: 1px solid #555;
+                    color: #E0E0E0;
+                    padding: 8px;
+                    border-radius: 4px;
+                    width: 100%;
+                    margin-top: 5px;
+                " value="${(settings.tags.staticTags || []).join(' ')}">
+            </div>
+            <div style="margin-bottom: 15px;">
+                ${TAG_FAMILIES.map(family => `
+                <label style="display: block; margin-bottom: 5px;">
+                    <input type="checkbox" id="tag-family-${family.key}" ${settings.tags[family.key] ? 'checked' : ''}>
+                    ${family.label} <code style="color: #999;">${family.example}</code>
+                </label>`).join('')}
+            </div>
+            <div style="margin-bottom: 15px;">
+                <label>
+                    <input type="checkbox" id="debug-mode" ${DEBUG.enabled ? 'checked' : ''}>
+                    Enable Debug Mode
+                </label>
+            </div>
+            <div style="margin-bottom: 15px;">
+                <button id="test-anki-btn" style="
+                    background-color: #666;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-right: 10px;
+                ">Test Anki Connection</button>
+                <button id="lookup-cache-btn" style="
+                    background-color: #666;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-right: 10px;
+                ">Lookup Cache</button>
+                <button id="country-data-btn" style="
+                    background-color: #666;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-right: 10px;
+                ">Country Data</button>
+                <button id="country-overrides-btn" style="
+                    background-color: #666;
+                    color: white;
+                    border: none;
+                    padding: 8px 16px;
+                    border-radius: 4px;
+                    cursor: pointer;
+                    margin-top: 10px;
+                ">Country Overrides</button>
+            </div>
+            <button id="save-settings" style="
+                background-color: #4CAF50;
+                color: white;
+                border: none;
+                padding: 8px 16px;
+                border-radius: 4px;
+                cursor: pointer;
+                margin-top: 10px;
+            ">Save Settings</button>
+            <button id="close-panel" style="
+                background-color: #666;
+                color: white;
+                border: none;
+                padding: 8px 16px;
+                border-radius: 4px;
+                cursor: pointer;
+                margin-top: 10px;
+                margin-left: 10px;
+            ">Cancel</button>
+        `;
         
-        // Add it to the page
-        document.body.appendChild(iframe);
+        overlay.appendChild(panel);
+        document.body.appendChild(overlay);
         
-        // Get the iframe's document
-        const iframeDoc = iframe.contentDocument || iframe.contentWindow.document;
+        // Add event listeners
+        document.getElementById('close-panel').addEventListener('click', function() {
+            document.body.removeChild(overlay);
+        });
         
-        // Write the HTML for our UI
-        iframeDoc.open();
-        iframeDoc.write(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <style>
-                    body, html {
-                        margin: 0;
-                        padding: 0;
-                        overflow: hidden;
-                        font-family: Arial, sans-serif;
-                    }
-                    
-                    /* Main button styles */
-                    #toggle-button {
-                        position: absolute;
-                        bottom: 0;
-                        right: 0;
-                        width: 48px;
-                        height: 48px;
-                        background-color: #4CAF50;
-                        border-radius: 50%;
-                        color: white;
-                        display: flex;
-                        align-items: center;
-                        justify-content: center;
-                        cursor: pointer;
-                        box-shadow: 0 2px 5px rgba(0,0,0,0.3);
-                        transition: all 0.3s ease;
-                        z-index: 10;
-                    }
-                    
-                    #toggle-button:hover {
-                        transform: scale(1.1);
-                    }
-                    
-                    /* Action buttons container */
-                    #action-buttons {
-                        position: absolute;
-                        bottom: 58px;
-                        right: 0;
-                        display: flex;
-                        flex-direction: column;
-                        align-items: flex-end;
-                        gap: 10px;
-                        opacity: 0;
-                        transform: translateY(20px);
-                        transition: all 0.3s ease;
-                        pointer-events: none;
-                    }
-                    
-                    #action-buttons.expanded {
-                        opacity: 1;
-                        transform: translateY(0);
-                        pointer-events: auto;
-                    }
-                    
-                    /* Action button style */
-                    .action-button {
-                        width: 40px;
-                        height: 40px;
-                        background-color: #4CAF50;
-                        border-radius: 50%;
-                        color: white;
-                        display: flex;
-                        align-items: center;
-                        justify-content: center;
-                        cursor: pointer;
-                        box-shadow: 0 2px 5px rgba(0,0,0,0.3);
-                        transition: all 0.2s ease;
-                        position: relative;
-                    }
-                    
-                    .action-button:hover {
-                        transform: scale(1.1);
-                    }
-                    
-                    .action-button:active {
-                        transform: scale(0.95);
-                    }
-                    
-                    /* Button label/tooltip */
-                    .button-label {
-                        position: absolute;
-                        right: 50px;
-                        background-color: rgba(0,0,0,0.7);
-                        color: white;
-                        padding: 4px 8px;
-                        border-radius: 4px;
-                        font-size: 12px;
-                        white-space: nowrap;
-                        opacity: 0;
-                        transition: opacity 0.2s;
-                        pointer-events: none;
-                    }
-                    
-                    .action-button:hover .button-label {
-                        opacity: 1;
-                    }
-                    
-                    /* Disabled button state */
-                    .action-button.disabled {
-                        background-color: #888888;
-                        cursor: not-allowed;
-                    }
+        document.getElementById('test-anki-btn').addEventListener('click', function() {
+            checkDeckAndModel();
+        });
 
-                    /* Instant add button */
-                    #instant-add-button {
-                        background-color: #2196F3;
-                    }
-                </style>
-            </head>
-            <body>
-                <!-- Main toggle button -->
-                <div id="toggle-button">▶◀</div>
-                
-                <!-- Container for action buttons -->
-                <div id="action-buttons">
-                    <!-- Create Card Button -->
-                    <div class="action-button" id="create-card-button">
-                        🃏
-                        <div class="button-label">Create Anki Card</div>
-                    </div>
-                    
-                    <!-- Instant Add Button -->
-                    <div class="action-button" id="instant-add-button">
-                        ⚡
-                        <div class="button-label">Instant Add Card</div>
-                    </div>
-                    
-                    <!-- Settings Button -->
-                    <div class="action-button" id="settings-button">
-                        ⚙️
-                        <div class="button-label">Settings</div>
-                    </div>
-                    
-                    <!-- Debug Button -->
-                    <div class="action-button" id="debug-button">
-                        🐞
-                        <div class="button-label">Debug</div>
-                    </div>
-                </div>
-                
-                <script>
-                    // Toggle button functionality
-                    const toggleButton = document.getElementById('toggle-button');
-                    const actionButtons = document.getElementById('action-buttons');
-                    let isExpanded = false;
-                    
-                    // Check localStorage for previous state
-                    try {
-                        isExpanded = localStorage.getItem('geoAnkiUIExpanded') === 'true';
-                        if (isExpanded) {
-                            actionButtons.classList.add('expanded');
-                            toggleButton.textContent = '◀▶';
-                        }
-                    } catch (e) {
-                        console.error('Error reading from localStorage:', e);
-                    }
-                    
-                    // Toggle button click handler
-                    toggleButton.addEventListener('click', function() {
-                        isExpanded = !isExpanded;
-                        
-                        if (isExpanded) {
-                            actionButtons.classList.add('expanded');
-                            toggleButton.textContent = '◀▶';
-                        } else {
-                            actionButtons.classList.remove('expanded');
-                            toggleButton.textContent = '▶◀';
-                        }
-                        
-                        // Save state to localStorage
-                        try {
-                            localStorage.setItem('geoAnkiUIExpanded', isExpanded);
-                        } catch (e) {
-                            console.error('Error writing to localStorage:', e);
-                        }
-                    });
-                    
-                    // Create card button
-                    document.getElementById('create-card-button').addEventListener('click', function() {
-                        parent.postMessage({ action: 'createCard' }, '*');
-                    });
+        document.getElementById('lookup-cache-btn').addEventListener('click', function() {
+            showLookupCachePanel();
+        });
+
+        document.getElementById('country-data-btn').addEventListener('click', function() {
+            showCountryMetadataPanel();
+        });
+
+        document.getElementById('country-overrides-btn').addEventListener('click', function() {
+            showCountryOverridePanel();
+        });
+
+        const rulesContainer = document.getElementById('deck-rules');
+
+        document.getElementById('add-deck-rule').addEventListener('click', function() {
+            rulesContainer.insertAdjacentHTML('beforeend',
+                renderDeckRuleRow({ condition: 'continent', value: '', deck: `${settings.ankiDefaultDeck}::{continent}::{country}` }));
+        });
+
+        rulesContainer.addEventListener('click', function(e) {
+            if (e.target.classList.contains('remove-deck-rule')) {
+                e.target.closest('.deck-rule').remove();
+            }
+        });
+
+        document.getElementById('preview-deck-rules').addEventListener('click', function() {
+            const preview = document.getElementById('deck-rule-preview');
+            const roundData = getLastRoundData();
+
+            if (!roundData) {
+                preview.textContent = 'No round played yet in this session.';
+                return;
+            }
 
-                    // Instant Add button
-                    document.getElementById('instant-add-button').addEventListener('click', function() {
-                        parent.postMessage({ action: 'instantAdd' }, '*');
-                    });
-                    
-                    // Settings button
-                    document.getElementById('settings-button').addEventListener('click', function() {
-                        parent.postMessage({ action: 'openSettings' }, '*');
-                    });
-                    
-                    // Debug button
-                    document.getElementById('debug-button').addEventListener('click', function() {
-                        parent.postMessage({ action: 'debug' }, '*');
-                    });
-                    
-                    // Handle incoming messages from parent window
-                    window.addEventListener('message', function(event) {
-                        console.log('Message received:', event.data);
-                        
-                        // Handle state updates
-                        if (event.data.type === 'updateState') {
-                            const createCardButton = document.getElementById('create-card-button');
-                            const instantAddButton = document.getElementById('instant-add-button');
-                            
-                            if (event.data.inActiveRound) {
-                                // Disable create card button during active rounds
-                                createCardButton.classList.add('disabled');
-                                createCardButton.querySelector('.button-label').textContent = 'Finish round first';
-                                instantAddButton.classList.add('disabled');
-                                instantAddButton.querySelector('.button-label').textContent = 'Finish round first';
-                            } else {
-                                // Enable create card button between rounds
-                                createCardButton.classList.remove('disabled');
-                                createCardButton.querySelector('.button-label').textContent = 'Create Anki Card';
-                                instantAddButton.classList.remove('disabled');
-                                instantAddButton.querySelector('.button-label').textContent = 'Instant Add Card';
-                            }
-                        }
-                    });
-                    
-                    // Notify parent that UI is ready
-                    parent.postMessage({ action: 'uiReady' }, '*');
-                </script>
-            </body>
-            </html>
-        `);
-        iframeDoc.close();
+            const route = resolveDeckRoute(roundData, readDeckRuleRows(rulesContainer));
+            preview.textContent = `${roundData.country || 'Unknown'} (guessed ${roundData.guessCountry || 'Unknown'}) → ` +
+                `"${route.deckName}" ` + (route.ruleIndex >= 0 ? `via rule ${route.ruleIndex + 1}` : '(no rule matched)');
+        });
         
-        DEBUG.log('GeoGuessr Anki UI created successfully');
-    }
-    
-    // Handle messages from the iframe
-    function setupMessageHandlers() {
-        window.addEventListener('message', function(event) {
-            DEBUG.log('Received message from UI:', event.data);
+        document.getElementById('save-settings').addEventListener('click', function() {
+            // Save all settings
+            settings.ankiDefaultDeck = document.getElementById('anki-deck').value;
+            settings.modelName = document.getElementById('model-name').value;
+            settings.deckRules = readDeckRuleRows(rulesContainer).filter(rule => rule.deck);
+            settings.ankiConnectHost = document.getElementById('anki-host').value.trim() || 'localhost';
+            settings.ankiConnectPort = parseInt(document.getElementById('anki-port').value) || 8765;
+            settings.ankiConnectKey = document.getElementById('anki-key').value.trim();
+            settings.enableAnkiIntegration = document.getElementById('anki-enabled').checked;
+            settings.automaticCards = document.getElementById('auto-cards').checked;
+            settings.deferPromptsToSummary = document.getElementById('defer-prompts').checked;
+            settings.showOpponentGuess = document.getElementById('show-opponent').checked;
+            settings.streakCloseCalls = document.getElementById('streak-close-calls').checked;
+            settings.streakCloseCallDistance = Math.max(0, parseFloat(document.getElementById('streak-close-call-distance').value) || 0);
+            settings.distanceUnits = document.getElementById('distance-units').value;
+            settings.cityLevelGeocoding = document.getElementById('city-geocoding').checked;
+            settings.snapshotMode = document.getElementById('snapshot-mode').value;
+            settings.snapshotMaxWidth = Math.max(160, parseInt(document.getElementById('snapshot-width').value) || 800);
+            settings.snapshotQuality = Math.min(1, Math.max(0.1, parseFloat(document.getElementById('snapshot-quality').value) || 0.7));
+            settings.autoPromptMinDistance = Math.max(0, parseFloat(document.getElementById('auto-prompt-distance').value) || 0);
+            settings.regionMistakes = document.getElementById('region-mistakes').checked;
+            settings.regionCountries = document.getElementById('region-countries').value
+                .split(/[\s,]+/).map(code => code.trim().toUpperCase()).filter(code => code);
+            settings.regionMinDistance = Math.max(0, parseFloat(document.getElementById('region-min-distance').value) || 0);
+            settings.historyRetentionDays = Math.max(0, parseInt(document.getElementById('history-retention').value) || 0);
+            settings.hideLocationInFrontCard = document.getElementById('hide-location').checked;
+            settings.instantAddEnabled = document.getElementById('instant-add').checked;
+            settings.tags.staticTags = document.getElementById('static-tags').value.split(/\s+/).filter(tag => tag);
+            TAG_FAMILIES.forEach(family => {
+                settings.tags[family.key] = document.getElementById(`tag-family-${family.key}`).checked;
+            });
+            CARD_TYPES.forEach(type => {
+                settings.cardTypes[type.key] = document.getElementById(`card-type-${type.key}`).checked;
+            });
+            DEBUG.enabled = document.getElementById('debug-mode').checked;
             
-            // Handle different actions
-            switch(event.data.action) {
-                case 'uiReady':
-                    DEBUG.log('UI is ready');
-                    // Update UI state based on current game state
-                    updateUIState({
-                        inActiveRound: isInActiveRound()
-                    });
-                    break;
-                    
-                case 'createCard':
-                    DEBUG.log('Create card button clicked');
-                    createCardWithOptions(false);
-                    break;
-                    
-                case 'instantAdd':
-                    DEBUG.log('Instant add button clicked');
-                    createCardWithOptions(true);
-                    break;
-                    
-                case 'openSettings':
-                    DEBUG.log('Settings button clicked');
-                    showSettingsPanel();
-                    break;
-                    
-                case 'debug':
-                    DEBUG.log('Debug button clicked');
-                    DEBUG.copyLogsToClipboard();
-                    showNotification("Debug logs copied to clipboard", "success");
-                    break;
-            }
+            // Update global variables
+            DECK_NAME = settings.ankiDefaultDeck;
+            MODEL_NAME = settings.modelName;
+
+            // Re-check the note type and media against the (possibly different) collection
+            resetAnkiConnect();
+            noteTypeState = null;
+            storedMediaFiles = null;
+            knownDecks = null;
+            
+            // Save to GM storage
+            GM_setValue('geoguessr_anki_settings', settings);
+            GM_setValue('instantAddEnabled', settings.instantAddEnabled);
+            pruneRoundHistory();
+            // Only affects panoramas created from now on
+            setupCanvasCapture();
+            
+            showNotification('Settings saved!', 'success');
+            document.body.removeChild(overlay);
         });
     }
-    
-    // Update the UI state
-    function updateUIState(state) {
-        const iframe = document.getElementById('geoguessr-anki-container');
-        if (!iframe) return;
-        
-        // Send state updates to the iframe
-        iframe.contentWindow.postMessage({
-            type: 'updateState',
-            ...state
-        }, '*');
+
+    // One editable row of the deck routing rules editor
+    function renderDeckRuleRow(rule) {
+        const inputStyle = `
+                        background-color: rgba(30,30,30,0.8);
+                        border: 1px solid #555;
+                        color: #E0E0E0;
+                        padding: 6px;
+                        border-radius: 4px;
+                        box-sizing: border-box;`;
+
+        return `
+                <div class="deck-rule" style="display: flex; gap: 5px; margin-bottom: 5px;">
+                    <select class="deck-rule-condition" style="${inputStyle} width: 30%;">
+                        ${DECK_RULE_CONDITIONS.map(condition => `
+                        <option value="${condition.key}" ${condition.key === rule.condition ? 'selected' : ''}>${condition.label}</option>`).join('')}
+                    </select>
+                    <input type="text" class="deck-rule-value" placeholder="BG, RS, MK" style="${inputStyle} width: 25%;" value="${escapeHtml(rule.value || '')}">
+                    <input type="text" class="deck-rule-deck" placeholder="Deck" style="${inputStyle} width: 40%;" value="${escapeHtml(rule.deck || '')}">
+                    <button class="remove-deck-rule" title="Remove rule" style="
+                        background-color: #e74c3c;
+                        color: white;
+                        border: none;
+                        border-radius: 4px;
+                        cursor: pointer;
+                    ">✕</button>
+                </div>`;
     }
 
-    // Shows a settings/modal panel
-    function showSettingsPanel(title = "GeoGuessr Anki Settings", content = null) {
-        // Create the overlay
+    function readDeckRuleRows(container) {
+        return Array.from(container.querySelectorAll('.deck-rule')).map(row => ({
+            condition: row.querySelector('.deck-rule-condition').value,
+            value: row.querySelector('.deck-rule-value').value.trim(),
+            deck: row.querySelector('.deck-rule-deck').value.trim()
+        }));
+    }
+
+    // Data of the round the user most recently played
+    function getLastRoundData() {
+        if (gameState.currentRoundKey && gameState.roundLocations[gameState.currentRoundKey]) {
+            return gameState.roundLocations[gameState.currentRoundKey];
+        }
+
+        const keys = Object.keys(gameState.roundLocations);
+        return keys.length > 0 ? gameState.roundLocations[keys[keys.length - 1]] : null;
+    }
+
+    // Dimmed full-screen overlay holding the scrollable panel of a tool window, and the style of
+    // its buttons. Panels opened from the settings panel go on top of it. Callers fill the panel
+    // and attach the overlay to the page.
+    function createPanelOverlay({ maxWidth = '600px', onTop = false } = {}) {
         const overlay = document.createElement('div');
         overlay.style.position = 'fixed';
         overlay.style.top = '0';
@@ -3193,185 +8044,709 @@
         overlay.style.width = '100%';
         overlay.style.height = '100%';
         overlay.style.backgroundColor = 'rgba(0,0,0,0.7)';
-        overlay.style.zIndex = '2147483646';
+        overlay.style.zIndex = onTop ? '2147483647' : '2147483646';
         overlay.style.display = 'flex';
         overlay.style.alignItems = 'center';
         overlay.style.justifyContent = 'center';
-        
-        // Create the panel
+
         const panel = document.createElement('div');
         panel.style.backgroundColor = 'rgba(40,40,40,0.95)';
         panel.style.color = '#E0E0E0';
         panel.style.padding = '20px';
         panel.style.borderRadius = '8px';
         panel.style.width = '80%';
-        panel.style.maxWidth = '500px';
+        panel.style.maxWidth = maxWidth;
         panel.style.maxHeight = '80vh';
         panel.style.overflowY = 'auto';
         panel.style.boxShadow = '0 3px 20px rgba(0,0,0,0.5)';
-        
-        // If content is provided, use that instead of settings form
-        if (content) {
-            panel.innerHTML = `
-                <h2 style="color:#ffcc00;">${title}</h2>
-                <div>${content}</div>
-                <button id="close-panel" style="
-                    background-color: #4CAF50;
+        overlay.appendChild(panel);
+
+        const buttonStyle = (color) => `
+                    background-color: ${color};
                     color: white;
                     border: none;
-                    padding: 8px 16px;
+                    padding: 6px 12px;
                     border-radius: 4px;
                     cursor: pointer;
-                    margin-top: 15px;
-                ">Close</button>
+                    margin: 4px 6px 0 0;`;
+
+        return { overlay: overlay, panel: panel, buttonStyle: buttonStyle };
+    }
+
+    // Shows queued cards with options to flush, inspect or discard them
+    function showOutboxPanel() {
+        const { overlay, panel, buttonStyle } = createPanelOverlay();
+
+        const render = () => {
+            const entries = getOutbox();
+
+            const rows = entries.map(entry => {
+                const card = entry.cardData || {};
+                return `
+                <div style="border-bottom: 1px solid #555; padding: 10px 0;">
+                    <div><strong>${escapeHtml(card.actualCountry || 'Unknown')}</strong> (guessed ${escapeHtml(card.guessCountry || 'Unknown')})</div>
+                    <div style="font-size: 12px; color: #aaa;">
+                        Queued ${escapeHtml(new Date(entry.queuedAt).toLocaleString())} · ${entry.attempts || 0} attempt(s)
+                        ${entry.lastError ? `<br>Last error: ${escapeHtml(entry.lastError)}` : ''}
+                        ${entry.existingNote || (entry.attempts || 0) >= OUTBOX_MAX_AUTO_ATTEMPTS ? '<br>Not retried automatically, send it manually' : ''}
+                    </div>
+                    <button data-action="send" data-id="${entry.id}" style="${buttonStyle('#4CAF50')}">Send</button>
+                    <button data-action="inspect" data-id="${entry.id}" style="${buttonStyle('#666')}">Inspect</button>
+                    <button data-action="discard" data-id="${entry.id}" style="${buttonStyle('#e74c3c')}">Discard</button>
+                    <pre id="outbox-inspect-${entry.id}" style="
+                        display: none;
+                        white-space: pre-wrap;
+                        word-break: break-all;
+                        font-size: 11px;
+                        background-color: rgba(30,30,30,0.8);
+                        padding: 8px;
+                        border-radius: 4px;
+                        max-height: 200px;
+                        overflow-y: auto;
+                    ">${escapeHtml(JSON.stringify(card.fields || card, null, 2))}</pre>
+                </div>`;
+            }).join('');
+
+            panel.innerHTML = `
+                <h2 style="color:#ffcc00;">Anki Outbox</h2>
+                <p>${entries.length === 0 ? 'No cards are waiting for Anki.' :
+                    `${entries.length} card(s) couldn't be sent and will be delivered automatically once AnkiConnect is reachable.`}</p>
+                ${rows}
+                <div style="margin-top: 15px;">
+                    <button data-action="flush" style="${buttonStyle('#4CAF50')}" ${entries.length === 0 ? 'disabled' : ''}>Flush Now</button>
+                    <button data-action="discard-all" style="${buttonStyle('#e74c3c')}" ${entries.length === 0 ? 'disabled' : ''}>Discard All</button>
+                    <button data-action="close" style="${buttonStyle('#666')}">Close</button>
+                </div>
             `;
-            
-            overlay.appendChild(panel);
-            document.body.appendChild(overlay);
-            
-            document.getElementById('close-panel').addEventListener('click', function() {
-                document.body.removeChild(overlay);
-            });
-            
-            return;
-        }
-        
-        // Otherwise show settings
-        panel.innerHTML = `
-            <h2>${title}</h2>
-            <div style="margin-bottom: 15px;">
-                <label for="anki-deck">Anki Deck Name:</label>
-                <input type="text" id="anki-deck" style="
-                    background-color: rgba(30,30,30,0.8);
-                    border: 1px solid #555;
-                    color: #E0E0E0;
-                    padding: 8px;
-                    border-radius: 4px;
-                    width: 100%;
-                    margin-top: 5px;
-                " value="${settings.ankiDefaultDeck}">
-            </div>
-            <div style="margin-bottom: 15px;">
-                <label for="model-name">Anki Note Type:</label>
-                <input type="text" id="model-name" style="
-                    background-color: rgba(30,30,30,0.8);
-                    border: 1px solid #555;
-                    color: #E0E0E0;
-                    padding: 8px;
-                    border-radius: 4px;
-                    width: 100%;
-                    margin-top: 5px;
-                " value="${settings.modelName}">
-            </div>
-            <div style="margin-bottom: 15px;">
-                <label for="anki-port">Anki Connect Port:</label>
-                <input type="number" id="anki-port" style="
+        };
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const id = button.getAttribute('data-id');
+            const entry = id ? getOutbox().find(item => item.id === id) : null;
+
+            switch (button.getAttribute('data-action')) {
+                case 'send':
+                    if (!entry) return;
+                    // The entry stays until Anki has the note; failures are recorded on it
+                    sendNoteToAnki(entry.cardData, id)
+                        .then(outcome => {
+                            if (['added', 'updated', 'appended'].includes(outcome)) {
+                                removeOutboxEntries([id]);
+                            }
+                        })
+                        .then(render);
+                    break;
+
+                case 'inspect': {
+                    const details = document.getElementById(`outbox-inspect-${id}`);
+                    if (details) details.style.display = details.style.display === 'none' ? 'block' : 'none';
+                    break;
+                }
+
+                case 'discard':
+                    if (entry && confirm(`Discard the queued card for ${entry.cardData.actualCountry}? It will not be sent to Anki.`)) {
+                        removeOutboxEntries([id]);
+                        render();
+                    }
+                    break;
+
+                case 'flush':
+                    flushOutbox(true).then(render);
+                    break;
+
+                case 'discard-all':
+                    if (confirm(`Discard all ${getOutbox().length} queued cards? They will not be sent to Anki.`)) {
+                        saveOutbox([]);
+                        render();
+                    }
+                    break;
+
+                case 'close':
+                    document.body.removeChild(overlay);
+                    break;
+            }
+        });
+
+        render();
+        document.body.appendChild(overlay);
+    }
+
+    // Shows what the lookup cache holds, with options to clear it
+    function showLookupCachePanel() {
+        const { overlay, panel, buttonStyle } = createPanelOverlay({ onTop: true });
+
+        const render = () => {
+            const cache = getLookupCache();
+            const kinds = summarizeLookupCache();
+            const total = Object.keys(cache).length;
+
+            const summaryRows = Object.keys(kinds).map(kind => {
+                const summary = kinds[kind];
+                const ageDays = Math.floor((Date.now() - summary.oldest) / DAY_MS);
+                return `<tr>
+                    <td>${escapeHtml(kind)}</td>
+                    <td>${summary.entries}</td>
+                    <td>${summary.expired}</td>
+                    <td>${summary.hits}</td>
+                    <td>${ageDays} day(s)</td>
+                </tr>`;
+            }).join('');
+
+            const recent = Object.keys(cache)
+                .sort((a, b) => cache[b].storedAt - cache[a].storedAt)
+                .slice(0, 50)
+                .map(key => {
+                    const entry = cache[key];
+                    const value = entry.value;
+                    const label = !value ? 'no result'
+                        : [value.city || value.town || value.village, value.country].filter(part => part).join(', ');
+                    return `<div style="border-bottom: 1px solid #555; padding: 6px 0; font-size: 12px;">
+                        <div><code>${escapeHtml(key)}</code> → ${escapeHtml(label || 'Unknown')}</div>
+                        <div style="color: #aaa;">
+                            Stored ${escapeHtml(new Date(entry.storedAt).toLocaleString())} ·
+                            expires ${escapeHtml(new Date(entry.expiresAt).toLocaleDateString())} · ${entry.hits || 0} hit(s)
+                        </div>
+                    </div>`;
+                }).join('');
+
+            panel.innerHTML = `
+                <h2 style="color:#ffcc00;">Lookup Cache</h2>
+                <p>${total === 0 ? 'No Nominatim responses are cached.' :
+                    `${total} cached response(s). This session: ${lookupCacheStats.hits} hit(s), ${lookupCacheStats.misses} network lookup(s).`}</p>
+                ${total > 0 ? `
+                <table style="width: 100%; border-collapse: collapse; margin-bottom: 15px;">
+                    <tr style="text-align: left; color: #ffcc00;">
+                        <th>Source</th><th>Entries</th><th>Expired</th><th>Hits</th><th>Oldest</th>
+                    </tr>
+                    ${summaryRows}
+                </table>
+                <h3 style="color:#ffcc00;">Most Recent</h3>
+                ${recent}` : ''}
+                <div style="margin-top: 15px;">
+                    <button data-action="clear-expired" style="${buttonStyle('#666')}" ${total === 0 ? 'disabled' : ''}>Clear Expired</button>
+                    <button data-action="clear-all" style="${buttonStyle('#e74c3c')}" ${total === 0 ? 'disabled' : ''}>Clear All</button>
+                    <button data-action="close" style="${buttonStyle('#666')}">Close</button>
+                </div>
+            `;
+        };
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            switch (button.getAttribute('data-action')) {
+                case 'clear-expired':
+                    clearLookupCache(true);
+                    render();
+                    break;
+
+                case 'clear-all':
+                    if (confirm(`Clear all ${Object.keys(getLookupCache()).length} cached lookups? They will be fetched again when needed.`)) {
+                        clearLookupCache();
+                        render();
+                    }
+                    break;
+
+                case 'close':
+                    document.body.removeChild(overlay);
+                    break;
+            }
+        });
+
+        render();
+        document.body.appendChild(overlay);
+    }
+
+    // Shows the country metadata table's state and reviews a refresh from REST Countries
+    function showCountryMetadataPanel() {
+        const { overlay, panel, buttonStyle } = createPanelOverlay({ onTop: true });
+
+        const formatValue = (value) => escapeHtml(Array.isArray(value) ? value.join(', ') : String(value));
+
+        // Changes from the last check, shown until applied or discarded
+        let pendingChanges = null;
+        let status = '';
+
+        const render = () => {
+            const updates = getCountryMetadataUpdates();
+            const bundled = getBundledCountryMetadata();
+            const codes = Object.keys(bundled);
+            const covered = codes.filter(code => bundled[code].officialCoverage).length;
+            const updatedCountries = Object.keys(updates.countries).length;
+
+            const changeRows = (pendingChanges || []).map(change => `
+                <tr style="border-bottom: 1px solid #555;">
+                    <td>${escapeHtml(change.country)}</td>
+                    <td>${escapeHtml(change.field)}</td>
+                    <td style="color: #e74c3c;">${formatValue(change.current)}</td>
+                    <td style="color: #4CAF50;">${formatValue(change.updated)}</td>
+                </tr>`).join('');
+
+            panel.innerHTML = `
+                <h2 style="color:#ffcc00;">Country Data</h2>
+                <p>Bundled table version ${COUNTRY_METADATA_VERSION}: ${codes.length} countries and territories, ${covered} with official coverage.</p>
+                <p>${updatedCountries === 0 ? 'No refreshed values are stored.' :
+                    `Refreshed values for ${updatedCountries} countries, last applied ${escapeHtml(new Date(updates.refreshedAt).toLocaleString())}.`}</p>
+                ${status ? `<p style="color: #aaa;">${escapeHtml(status)}</p>` : ''}
+                ${pendingChanges && pendingChanges.length > 0 ? `
+                <table style="width: 100%; border-collapse: collapse; font-size: 12px; margin-bottom: 10px;">
+                    <tr style="text-align: left; color: #ffcc00;">
+                        <th>Country</th><th>Field</th><th>Current</th><th>REST Countries</th>
+                    </tr>
+                    ${changeRows}
+                </table>
+                <button data-action="apply" style="${buttonStyle('#4CAF50')}">Apply ${pendingChanges.length} Change(s)</button>
+                <button data-action="discard" style="${buttonStyle('#666')}">Discard</button>` : ''}
+                <div style="margin-top: 15px;">
+                    <button data-action="check" style="${buttonStyle('#2196F3')}">Check REST Countries</button>
+                    <button data-action="reset" style="${buttonStyle('#e74c3c')}" ${updatedCountries === 0 ? 'disabled' : ''}>Reset to Bundled</button>
+                    <button data-action="close" style="${buttonStyle('#666')}">Close</button>
+                </div>
+            `;
+        };
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            switch (button.getAttribute('data-action')) {
+                case 'check':
+                    status = 'Checking REST Countries...';
+                    pendingChanges = null;
+                    render();
+                    checkCountryMetadataUpdates()
+                        .then(changes => {
+                            pendingChanges = changes;
+                            status = changes.length === 0 ? 'REST Countries agrees with the current data.' :
+                                `REST Countries differs in ${changes.length} value(s). Review them before applying.`;
+                        })
+                        .catch(error => {
+                            DEBUG.error("Country metadata check failed", error);
+                            status = `Couldn't check REST Countries: ${error.message || error}`;
+                        })
+                        .then(render);
+                    break;
+
+                case 'apply':
+                    applyCountryMetadataUpdates(pendingChanges);
+                    status = `Applied ${pendingChanges.length} change(s). New rounds use them; existing cards are unchanged.`;
+                    pendingChanges = null;
+                    render();
+                    break;
+
+                case 'discard':
+                    pendingChanges = null;
+                    status = '';
+                    render();
+                    break;
+
+                case 'reset':
+                    if (confirm('Drop all refreshed values and go back to the bundled country data?')) {
+                        resetCountryMetadata();
+                        status = 'Using the bundled country data.';
+                        render();
+                    }
+                    break;
+
+                case 'close':
+                    document.body.removeChild(overlay);
+                    break;
+            }
+        });
+
+        render();
+        document.body.appendChild(overlay);
+    }
+
+    // Lists the country override rules with options to add, edit, delete, audit, import and export them
+    function showCountryOverridePanel() {
+        const { overlay, panel, buttonStyle } = createPanelOverlay({ maxWidth: '650px', onTop: true });
+
+        const inputStyle = `
                     background-color: rgba(30,30,30,0.8);
                     border: 1px solid #555;
                     color: #E0E0E0;
-                    padding: 8px;
+                    padding: 6px;
                     border-radius: 4px;
                     width: 100%;
-                    margin-top: 5px;
-                " value="${settings.ankiConnectPort}">
-            </div>
-            <div style="margin-bottom: 15px;">
-                <label>
-                    <input type="checkbox" id="anki-enabled" ${settings.enableAnkiIntegration ? 'checked' : ''}>
-                    Enable Anki Integration
-                </label>
-            </div>
-            <div style="margin-bottom: 15px;">
-                <label>
-                    <input type="checkbox" id="auto-cards" ${settings.automaticCards ? 'checked' : ''}>
-                    Auto Prompt After Rounds
-                </label>
-            </div>
-            <div style="margin-bottom: 15px;">
-                <label>
-                    <input type="checkbox" id="instant-add" ${settings.instantAddEnabled ? 'checked' : ''}>
-                    Enable Instant Add (Skip prompts)
-                </label>
-            </div>
-            <div style="margin-bottom: 15px;">
-                <label>
-                    <input type="checkbox" id="hide-location" ${settings.hideLocationInFrontCard ? 'checked' : ''}>
-                    Hide Location in Front Card (Recommended)
-                </label>
-            </div>
-            <div style="margin-bottom: 15px;">
-                <label>
-                    <input type="checkbox" id="debug-mode" ${DEBUG.enabled ? 'checked' : ''}>
-                    Enable Debug Mode
-                </label>
-            </div>
-            <div style="margin-bottom: 15px;">
-                <button id="test-anki-btn" style="
-                    background-color: #666;
-                    color: white;
-                    border: none;
-                    padding: 8px 16px;
-                    border-radius: 4px;
-                    cursor: pointer;
-                    margin-right: 10px;
-                ">Test Anki Connection</button>
-            </div>
-            <button id="save-settings" style="
-                background-color: #4CAF50;
-                color: white;
-                border: none;
-                padding: 8px 16px;
-                border-radius: 4px;
-                cursor: pointer;
-                margin-top: 10px;
-            ">Save Settings</button>
-            <button id="close-panel" style="
-                background-color: #666;
-                color: white;
-                border: none;
-                padding: 8px 16px;
-                border-radius: 4px;
-                cursor: pointer;
-                margin-top: 10px;
-                margin-left: 10px;
-            ">Cancel</button>
-        `;
-        
-        overlay.appendChild(panel);
-        document.body.appendChild(overlay);
-        
-        // Add event listeners
-        document.getElementById('close-panel').addEventListener('click', function() {
-            document.body.removeChild(overlay);
+                    box-sizing: border-box;
+                    margin: 4px 0 8px;`;
+
+        const describeShape = (rule) => {
+            if (rule.shape === 'polygon') return `polygon with ${rule.polygon.length} points`;
+            const center = `${rule.lat.toFixed(4)}, ${rule.lng.toFixed(4)}`;
+            return rule.shape === 'radius' ? `within ${formatDistance(rule.radiusMeters)} of ${center}` :
+                `within ±${rule.tolerance}° of ${center}`;
+        };
+
+        // Rule being edited (null when the list is shown), plus the message and audit shown below the list
+        let editing = null;
+        let status = '';
+        let audit = null;
+
+        const renderEditor = () => {
+            const rule = editing;
+            const polygonText = (rule.polygon || []).map(point => point.join(', ')).join('\n');
+            return `
+                <h3 style="color:#ffcc00;">${rule.id ? 'Edit' : 'New'} Override</h3>
+                <label>Label</label>
+                <input type="text" id="override-label" style="${inputStyle}" value="${escapeHtml(rule.label || '')}">
+                <label>Country Code (ISO, e.g. GT)</label>
+                <input type="text" id="override-country" style="${inputStyle}" value="${escapeHtml(rule.countryCode || '')}">
+                <label>Match By</label>
+                <select id="override-shape" style="${inputStyle}">
+                    <option value="box" ${rule.shape === 'box' ? 'selected' : ''}>Box (degrees around a point)</option>
+                    <option value="radius" ${rule.shape === 'radius' ? 'selected' : ''}>Radius (meters around a point)</option>
+                    <option value="polygon" ${rule.shape === 'polygon' ? 'selected' : ''}>Polygon</option>
+                </select>
+                <div id="override-center" style="display: ${rule.shape === 'polygon' ? 'none' : 'block'};">
+                    <label>Latitude</label>
+                    <input type="number" step="any" id="override-lat" style="${inputStyle}" value="${rule.lat !== undefined ? rule.lat : ''}">
+                    <label>Longitude</label>
+                    <input type="number" step="any" id="override-lng" style="${inputStyle}" value="${rule.lng !== undefined ? rule.lng : ''}">
+                </div>
+                <div id="override-box" style="display: ${rule.shape === 'box' ? 'block' : 'none'};">
+                    <label>Tolerance (degrees)</label>
+                    <input type="number" step="any" min="0" id="override-tolerance" style="${inputStyle}" value="${rule.tolerance !== undefined ? rule.tolerance : 0.1}">
+                </div>
+                <div id="override-radius" style="display: ${rule.shape === 'radius' ? 'block' : 'none'};">
+                    <label>Radius (meters)</label>
+                    <input type="number" min="0" id="override-radius-meters" style="${inputStyle}" value="${rule.radiusMeters !== undefined ? rule.radiusMeters : 1000}">
+                </div>
+                <div id="override-polygon" style="display: ${rule.shape === 'polygon' ? 'block' : 'none'};">
+                    <label>Polygon Points (one "lat, lng" per line)</label>
+                    <textarea id="override-polygon-points" style="${inputStyle} height: 100px;">${escapeHtml(polygonText)}</textarea>
+                </div>
+                <button data-action="save-rule" style="${buttonStyle('#4CAF50')}">Save Override</button>
+                <button data-action="cancel-edit" style="${buttonStyle('#666')}">Cancel</button>`;
+        };
+
+        const renderList = () => {
+            const rules = getCountryOverrides();
+            const rows = rules.map(rule => {
+                const metadata = getCountryMetadata(rule.countryCode);
+                const error = validateCountryOverride(rule);
+                return `
+                <div style="border-bottom: 1px solid #555; padding: 8px 0;">
+                    <div><strong>${escapeHtml(metadata ? metadata.name : rule.countryCode || 'Unknown')}</strong>
+                        ${rule.label ? ` · ${escapeHtml(rule.label)}` : ''}</div>
+                    <div style="font-size: 12px; color: #aaa;">
+                        ${error ? `<span style="color: #e74c3c;">Ignored: ${escapeHtml(error)}</span>` : escapeHtml(describeShape(rule))}
+                    </div>
+                    <button data-action="edit" data-id="${escapeHtml(rule.id)}" style="${buttonStyle('#666')}">Edit</button>
+                    <button data-action="audit" data-id="${escapeHtml(rule.id)}" style="${buttonStyle('#2196F3')}">Rounds</button>
+                    <button data-action="delete" data-id="${escapeHtml(rule.id)}" style="${buttonStyle('#e74c3c')}">Delete</button>
+                </div>`;
+            }).join('');
+
+            return `
+                <p>Overrides force the country of matching locations, ahead of the offline geocoder and Nominatim. The first matching rule wins.</p>
+                ${rows || '<p>No overrides yet.</p>'}
+                ${audit ? `
+                <h3 style="color:#ffcc00;">Rounds Matched by "${escapeHtml(audit.label)}"</h3>
+                ${audit.records.length === 0 ? '<p>No rounds in the history matched this rule.</p>' :
+                    audit.records.map(record => `<div style="font-size: 12px; padding: 2px 0;">
+                        ${escapeHtml(new Date(record.overrideMatch.matchedAt).toLocaleString())} ·
+                        ${escapeHtml(record.roundKey)} ·
+                        ${isValidCoordinate(record.location) ? `${record.location.lat.toFixed(4)}, ${record.location.lng.toFixed(4)}` : 'no location'}
+                    </div>`).join('')}` : ''}
+                <div style="margin-top: 15px;">
+                    <button data-action="add-current" style="${buttonStyle('#4CAF50')}">Add from Current Round</button>
+                    <button data-action="add" style="${buttonStyle('#666')}">Add Override</button>
+                </div>
+                <h3 style="color:#ffcc00;">Import / Export</h3>
+                <textarea id="override-json" placeholder='Paste exported overrides here, e.g. {"overrides": [...]}' style="${inputStyle} height: 80px; font-family: monospace; font-size: 11px;"></textarea>
+                <button data-action="import" style="${buttonStyle('#666')}">Import</button>
+                <button data-action="export" style="${buttonStyle('#666')}">Export</button>`;
+        };
+
+        const render = () => {
+            panel.innerHTML = `
+                <h2 style="color:#ffcc00;">Country Overrides</h2>
+                ${status ? `<p style="color: #aaa;">${escapeHtml(status)}</p>` : ''}
+                ${editing ? renderEditor() : renderList()}
+                <div style="margin-top: 15px;">
+                    <button data-action="close" style="${buttonStyle('#666')}">Close</button>
+                </div>
+            `;
+        };
+
+        // Rule from the editor inputs
+        const readEditor = () => {
+            const shape = document.getElementById('override-shape').value;
+            const rule = {
+                id: editing.id,
+                label: document.getElementById('override-label').value.trim(),
+                countryCode: document.getElementById('override-country').value.trim().toUpperCase(),
+                shape: shape
+            };
+
+            if (shape === 'polygon') {
+                rule.polygon = document.getElementById('override-polygon-points').value
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(line => line)
+                    .map(line => line.split(/[\s,]+/).map(Number));
+            } else {
+                rule.lat = parseFloat(document.getElementById('override-lat').value);
+                rule.lng = parseFloat(document.getElementById('override-lng').value);
+                rule.tolerance = parseFloat(document.getElementById('override-tolerance').value);
+                rule.radiusMeters = parseFloat(document.getElementById('override-radius-meters').value);
+            }
+
+            return rule;
+        };
+
+        panel.addEventListener('change', (e) => {
+            if (e.target.id !== 'override-shape') return;
+
+            const shape = e.target.value;
+            document.getElementById('override-center').style.display = shape === 'polygon' ? 'none' : 'block';
+            document.getElementById('override-box').style.display = shape === 'box' ? 'block' : 'none';
+            document.getElementById('override-radius').style.display = shape === 'radius' ? 'block' : 'none';
+            document.getElementById('override-polygon').style.display = shape === 'polygon' ? 'block' : 'none';
         });
-        
-        document.getElementById('test-anki-btn').addEventListener('click', function() {
-            checkDeckAndModel();
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const id = button.getAttribute('data-id');
+            const rule = id ? getCountryOverrides().find(item => item.id === id) : null;
+
+            switch (button.getAttribute('data-action')) {
+                case 'add-current': {
+                    const roundData = getLastRoundData();
+                    if (!roundData || !isValidCoordinate(roundData.location)) {
+                        status = 'No round with a location played yet in this session.';
+                        render();
+                        break;
+                    }
+                    editing = {
+                        label: `${roundData.country || 'Round'} location`,
+                        countryCode: roundData.countryData && roundData.countryData.countryCode || '',
+                        shape: 'radius',
+                        lat: roundData.location.lat,
+                        lng: roundData.location.lng,
+                        radiusMeters: 1000
+                    };
+                    status = '';
+                    render();
+                    break;
+                }
+
+                case 'add':
+                    editing = { shape: 'box', tolerance: 0.1 };
+                    status = '';
+                    render();
+                    break;
+
+                case 'edit':
+                    if (!rule) return;
+                    editing = Object.assign({}, rule);
+                    status = '';
+                    render();
+                    break;
+
+                case 'save-rule': {
+                    const updated = readEditor();
+                    const error = validateCountryOverride(updated);
+                    if (error) {
+                        // Keep what was typed
+                        editing = updated;
+                        status = error;
+                        render();
+                        break;
+                    }
+
+                    const normalized = normalizeCountryOverride(updated);
+                    const rules = getCountryOverrides();
+                    const index = rules.findIndex(item => item.id === normalized.id);
+                    if (index >= 0) {
+                        rules[index] = normalized;
+                    } else {
+                        rules.push(normalized);
+                    }
+                    saveCountryOverrides(rules);
+
+                    editing = null;
+                    status = `Saved the override for ${getCountryMetadata(normalized.countryCode).name}.`;
+                    render();
+                    break;
+                }
+
+                case 'cancel-edit':
+                    editing = null;
+                    status = '';
+                    render();
+                    break;
+
+                case 'delete':
+                    if (rule && confirm(`Delete the override "${rule.label || rule.countryCode}"? Matching locations will be geocoded normally.`)) {
+                        saveCountryOverrides(getCountryOverrides().filter(item => item.id !== id));
+                        if (audit && audit.id === id) audit = null;
+                        status = 'Override deleted.';
+                        render();
+                    }
+                    break;
+
+                case 'audit':
+                    if (!rule) return;
+                    queryRoundHistory({ overrideRuleId: id })
+                        .then(records => {
+                            audit = { id: id, label: rule.label || rule.countryCode, records: records };
+                        })
+                        .catch(error => {
+                            DEBUG.error("Couldn't load override audit", error);
+                            status = "Couldn't read the round history.";
+                        })
+                        .then(render);
+                    break;
+
+                case 'import':
+                    try {
+                        const count = importCountryOverrides(document.getElementById('override-json').value);
+                        status = `Imported ${count} override(s).`;
+                    } catch (error) {
+                        status = `Import failed: ${error.message}`;
+                    }
+                    render();
+                    break;
+
+                case 'export': {
+                    const json = exportCountryOverrides();
+                    document.getElementById('override-json').value = json;
+                    navigator.clipboard.writeText(json)
+                        .then(() => showNotification('Country overrides copied to clipboard', 'success'))
+                        .catch(error => DEBUG.warn('Failed to copy overrides', error));
+                    break;
+                }
+
+                case 'close':
+                    document.body.removeChild(overlay);
+                    break;
+            }
         });
-        
-        document.getElementById('save-settings').addEventListener('click', function() {
-            // Save all settings
-            settings.ankiDefaultDeck = document.getElementById('anki-deck').value;
-            settings.modelName = document.getElementById('model-name').value;
-            settings.ankiConnectPort = parseInt(document.getElementById('anki-port').value) || 8765;
-            settings.enableAnkiIntegration = document.getElementById('anki-enabled').checked;
-            settings.automaticCards = document.getElementById('auto-cards').checked;
-            settings.hideLocationInFrontCard = document.getElementById('hide-location').checked;
-            settings.instantAddEnabled = document.getElementById('instant-add').checked;
-            DEBUG.enabled = document.getElementById('debug-mode').checked;
-            
-            // Update global variables
-            DECK_NAME = settings.ankiDefaultDeck;
-            MODEL_NAME = settings.modelName;
-            ANKI_CONNECT_URL = "http://localhost:" + settings.ankiConnectPort;
-            
-            // Save to GM storage
-            GM_setValue('geoguessr_anki_settings', settings);
-            GM_setValue('instantAddEnabled', settings.instantAddEnabled);
-            
-            showNotification('Settings saved!', 'success');
-            document.body.removeChild(overlay);
+
+        render();
+        document.body.appendChild(overlay);
+    }
+
+    // Review performance pulled back from Anki
+    function showReviewStatsPanel() {
+        if (!settings.enableAnkiIntegration) {
+            showNotification("Anki integration is disabled in settings.", "info");
+            return;
+        }
+
+        const { overlay, panel } = createPanelOverlay();
+
+        const closeButton = `
+                <div style="margin-top: 15px;">
+                    <button data-action="close" style="
+                        background-color: #666;
+                        color: white;
+                        border: none;
+                        padding: 8px 16px;
+                        border-radius: 4px;
+                        cursor: pointer;
+                    ">Close</button>
+                </div>`;
+
+        const cellStyle = 'padding: 4px 8px; border-bottom: 1px solid #555; text-align: left;';
+
+        const render = (body) => {
+            panel.innerHTML = `<h2 style="color:#ffcc00;">Anki Review Stats</h2>${body}${closeButton}`;
+        };
+
+        const renderStats = (stats) => {
+            if (!stats) {
+                render(`<p>The note type "${escapeHtml(MODEL_NAME)}" has no GeoAnki fields, so review stats aren't available for it.</p>`);
+                return;
+            }
+
+            const pairRows = stats.lapsingPairs.slice(0, 10).map(pair => `
+                <tr>
+                    <td style="${cellStyle}">${escapeHtml(pair.actual)} vs ${escapeHtml(pair.guess)}</td>
+                    <td style="${cellStyle}">${pair.recentLapses}</td>
+                    <td style="${cellStyle}">${pair.lapses}</td>
+                    <td style="${cellStyle}">${pair.cards}</td>
+                </tr>`).join('');
+
+            const continentRows = stats.continents.map(bucket => `
+                <tr>
+                    <td style="${cellStyle}">${escapeHtml(bucket.continent)}</td>
+                    <td style="${cellStyle}">${bucket.new}</td>
+                    <td style="${cellStyle}">${bucket.young}</td>
+                    <td style="${cellStyle}">${bucket.mature}</td>
+                </tr>`).join('');
+
+            const generationRows = stats.generations.map(bucket => `
+                <tr>
+                    <td style="${cellStyle}">${escapeHtml(bucket.generation)}</td>
+                    <td style="${cellStyle}">${bucket.new}</td>
+                    <td style="${cellStyle}">${bucket.young}</td>
+                    <td style="${cellStyle}">${bucket.mature}</td>
+                </tr>`).join('');
+
+            render(`
+                <p><strong>${stats.dueCount}</strong> of ${stats.totalCards} GeoAnki card(s) due today.</p>
+                <h3 style="margin: 20px 0 10px;">Still Lapsing</h3>
+                ${pairRows ? `
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr>
+                        <th style="${cellStyle}">Country pair</th>
+                        <th style="${cellStyle}">Lapses (${RECENT_LAPSE_DAYS}d)</th>
+                        <th style="${cellStyle}">Lapses (all)</th>
+                        <th style="${cellStyle}">Cards</th>
+                    </tr>
+                    ${pairRows}
+                </table>` : '<p>No lapses yet.</p>'}
+                <h3 style="margin: 20px 0 10px;">Maturity by Continent</h3>
+                ${continentRows ? `
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr>
+                        <th style="${cellStyle}">Continent</th>
+                        <th style="${cellStyle}">New</th>
+                        <th style="${cellStyle}">Young</th>
+                        <th style="${cellStyle}">Mature</th>
+                    </tr>
+                    ${continentRows}
+                </table>` : '<p>No GeoAnki cards yet.</p>'}
+                ${generationRows ? `
+                <h3 style="margin: 20px 0 10px;">Maturity by Camera Generation</h3>
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr>
+                        <th style="${cellStyle}">Camera</th>
+                        <th style="${cellStyle}">New</th>
+                        <th style="${cellStyle}">Young</th>
+                        <th style="${cellStyle}">Mature</th>
+                    </tr>
+                    ${generationRows}
+                </table>` : ''}
+            `);
+        };
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="close"]');
+            if (button) document.body.removeChild(overlay);
         });
+
+        render('<p>Loading review stats from Anki...</p>');
+        document.body.appendChild(overlay);
+
+        fetchReviewStats()
+            .then(renderStats)
+            .catch(error => {
+                DEBUG.error("Couldn't load review stats", error);
+                if (error.permission) {
+                    showAnkiPermissionError(error);
+                }
+                render(`<p>Couldn't load review stats: ${escapeHtml(error.message)}</p>`);
+            });
     }
 
     // Show a notification popup
@@ -3418,68 +8793,6 @@
         }
     }
 
-    // Game state tracking
-    function gameLoop(forceCheck = false) {
-        try {
-            // Ensure UI is always present
-            ensureUIVisibility();
-            
-            // Get current state
-            const nowInGame = isInGame();
-            const nowInRound = isInActiveRound();
-            const currentRound = getCurrentRoundNumber();
-            
-            // Update button states based on active round
-            updateUIState({ inActiveRound: nowInRound });
-
-            // Handle game state changes
-            if (nowInGame !== gameState.inGame || forceCheck) {
-                gameState.inGame = nowInGame;
-                DEBUG.log('Game state change -', nowInGame ? 'Entered game' : 'Left game');
-    
-                if (!nowInGame) {
-                    // Reset state when leaving a game
-                    resetRoundData();
-                }
-            }
-
-            // Handle round state changes
-            if (nowInRound !== gameState.inRound || (nowInRound && currentRound !== gameState.roundNumber) || forceCheck) {
-                gameState.inRound = nowInRound;
-                gameState.roundNumber = currentRound;
-
-                DEBUG.log('Round state change -',
-                    nowInRound ? `Started round ${currentRound}` : 'Ended round',
-                    'Current location:', gameState.actualLocation);
-
-                if (nowInRound) {
-                    // New round started, try to get location data again
-                    gameState.currentRoundKey = generateRoundKey();
-                    interceptLocationData();
-                } else if (!nowInRound && gameState.inRound) {
-                    // Round just ended
-                    if (!gameState.isProcessingRound) {
-                        gameState.isProcessingRound = true;
-                        handleRoundEnd();
-                        setTimeout(() => {
-                            gameState.isProcessingRound = false;
-                        }, 1000);
-                    }
-                }
-            }
-
-            // If we're in a round but don't have location data, keep trying
-            if (nowInRound && !gameState.actualLocation) {
-                // Periodically try to get location data
-                if (Math.random() < 0.2) { // 20% chance each second to avoid excessive calls
-                    interceptLocationData();
-                }
-            }
-        } catch (e) {
-            DEBUG.error("Error in game loop", e);
-        }
-    }
-
     /* ========= INITIALIZATION & CLEANUP ========= */
     // Create a persistent interval to ensure the UI exists
     function setupPersistence() {
@@ -3492,7 +8805,7 @@
         }, 5000);
     }
     
-    // Cleanup function to clear all timeouts and intervals
+    // Clear all timeouts and intervals when the page unloads
     function cleanup() {
         // Clear any timeouts
         window.geoAnkiTimeouts.forEach(clearTimeout);
@@ -3506,27 +8819,50 @@
         DEBUG.trimLogs();
     }
 
-    // Initialize everything
-    function init() {
-        DEBUG.log('GeoGuessr Anki Integration initializing...');
+    let interceptionReady = false;
+    let initialized = false;
 
-        // Only run on GeoGuessr
-        if (!isGeoGuessr()) {
-            DEBUG.log('Not on GeoGuessr; stopping initialization.');
-            return;
-        }
+    // Hooks that have to be in place before GeoGuessr's first requests
+    function setupInterception() {
+        if (interceptionReady) return;
+        interceptionReady = true;
 
         // Setup XHR interception for game data
         setupXHRInterception();
         
         // Setup fetch interception
         interceptFetch();
+
+        // Keep WebGL frames readable for panorama snapshots
+        setupCanvasCapture();
+
+        // Card pipeline and widget follow the round lifecycle
+        setupRoundLifecycle();
         
         // Setup URL change detection
         setupUrlChangeDetection();
+    }
+
+    // Initialize everything. Safe to call repeatedly, later calls only restore the UI.
+    function init() {
+        if (initialized) {
+            ensureUIVisibility();
+            return;
+        }
+
+        DEBUG.log('GeoGuessr Anki Integration initializing...');
+
+        // Only run on GeoGuessr
+        if (!isGeoGuessr()) {
+            DEBUG.log('Not on GeoGuessr; stopping initialization.');
+            return;
+        }
+
+        setupInterception();
         
         // Initialize UI
         if (document.body) {
+            initialized = true;
             createUIContainer();
             setupMessageHandlers();
         } else {
@@ -3535,17 +8871,24 @@
             window.geoAnkiTimeouts.push(initTimeout);
             return;
         }
-        
+
+        // Catch round screens the API responses didn't announce
+        observeRoundScreens();
+
+        // First movement timestamps for round timing
+        setupMovementTracking();
+
         // Setup persistence checking
         setupPersistence();
-        
-        // Setup game state tracking
-        const gameStateInterval = setInterval(() => gameLoop(), 1000);
-        window.geoAnkiIntervals.push(gameStateInterval);
-        
-        // Setup cleanup interval
-        const cleanupInterval = setInterval(cleanup, 60000); // every minute
-        window.geoAnkiIntervals.push(cleanupInterval);
+
+        // Replay cards queued while Anki was unreachable
+        setupOutboxReplay();
+
+        // Apply the round history retention setting
+        pruneRoundHistory();
+
+        // Pick up a game that was already in progress when the script loaded
+        syncLifecycleFromPage();
 
         // Register Tampermonkey menu command
         GM_registerMenuCommand('GeoGuessr Anki Settings', showSettingsPanel);
@@ -3554,7 +8897,9 @@
         document.addEventListener('visibilitychange', () => {
             if (!document.hidden) {
                 ensureUIVisibility();
-                gameLoop(true);
+                if (roundLifecycle.state === LIFECYCLE_STATES.IDLE) {
+                    syncLifecycleFromPage();
+                }
             }
         });
         
@@ -3578,6 +8923,11 @@
         DEBUG.log('GeoGuessr Anki Integration initialized!');
     }
 
+    // Intercept from document-start so the first game payload isn't missed
+    if (isGeoGuessr()) {
+        setupInterception();
+    }
+
     // Initialize when the DOM is ready or after a delay if already loaded
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadSection } = require('./load-userscript');
+
+const { lookupCountryOffline, distanceToOtherCountry } = loadSection('OFFLINE GEOCODER', ['lookupCountryOffline', 'distanceToOtherCountry'], {
+    DEBUG: { log: () => {} },
+    EARTH_RADIUS_METERS: 6371008.8,
+    toRadians: degrees => degrees * Math.PI / 180,
+    GM_getResourceText: name => {
+        assert.strictEqual(name, 'countryBoundaries');
+        return fs.readFileSync(path.join(__dirname, '..', 'data', 'country-boundaries.json'), 'utf8');
+    }
+});
+
+// Known points and the country they're in, mostly border towns, enclaves and microstates
+const FIXTURES = [
+    { name: 'Paris', lat: 48.8566, lng: 2.3522, expected: 'FR' },
+    { name: 'Tokyo', lat: 35.6762, lng: 139.6503, expected: 'JP' },
+    { name: 'Suva', lat: -18.1416, lng: 178.4419, expected: 'FJ' },
+    { name: 'Maseru', lat: -29.3151, lng: 27.4869, expected: 'LS' },
+    { name: 'El Paso', lat: 31.7619, lng: -106.4850, expected: 'US' },
+    { name: 'Ciudad Juárez', lat: 31.7202, lng: -106.4608, expected: 'MX' },
+    { name: 'Brownsville', lat: 25.9017, lng: -97.4975, expected: 'US' },
+    { name: 'Blaine, WA', lat: 48.9937, lng: -122.7471, expected: 'US' },
+    { name: 'Kehl', lat: 48.5728, lng: 7.8156, expected: 'DE' },
+    { name: 'Strasbourg', lat: 48.5734, lng: 7.7521, expected: 'FR' },
+    { name: 'Konstanz', lat: 47.6603, lng: 9.1758, expected: 'DE' },
+    { name: 'Görlitz', lat: 51.1528, lng: 14.9872, expected: 'DE' },
+    { name: 'Gorizia', lat: 45.9409, lng: 13.6217, expected: 'IT' },
+    { name: 'Narva', lat: 59.3772, lng: 28.1903, expected: 'EE' },
+    { name: 'Valga', lat: 57.7769, lng: 26.0473, expected: 'EE' },
+    { name: 'Vaals', lat: 50.7704, lng: 6.0186, expected: 'NL' },
+    { name: 'Lifford', lat: 54.8336, lng: -7.4797, expected: 'IE' },
+    { name: 'Ciudad del Este', lat: -25.5097, lng: -54.6111, expected: 'PY' },
+    { name: 'Ceuta', lat: 35.8894, lng: -5.3213, expected: 'ES' },
+    { name: 'West Jerusalem', lat: 31.7767, lng: 35.2053, expected: 'IL' },
+    { name: 'Vatican City', lat: 41.9029, lng: 12.4534, expected: 'VA' },
+    { name: 'Gibraltar', lat: 36.1408, lng: -5.3536, expected: 'GI' },
+    { name: 'Baarle-Hertog', lat: 51.4400, lng: 4.9300, expected: 'BE' }
+];
+
+FIXTURES.forEach(fixture => {
+    test(`${fixture.name} is in ${fixture.expected}`, () => {
+        const result = lookupCountryOffline(fixture.lat, fixture.lng);
+        assert.strictEqual(result && result.countryCode, fixture.expected);
+    });
+});
+
+test('points beyond territorial waters have no country', () => {
+    assert.strictEqual(lookupCountryOffline(30, -40), null);
+});
+
+test('distance to another country is only measured up to the limit', () => {
+    assert.ok(distanceToOtherCountry('DE', 48.5728, 7.8156, 50000) < 2000);
+    assert.strictEqual(distanceToOtherCountry('FR', 48.8566, 2.3522, 50000), Infinity);
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSection } = require('./load-userscript');
+
+const { replayLifecycle } = loadSection('ROUND LIFECYCLE', ['replayLifecycle']);
+
+function trace(events) {
+    return replayLifecycle(events).map(transition => `${transition.event}: ${transition.from} -> ${transition.to}`);
+}
+
+// Recorded event sequences and the transitions they must cause, written as "event: from -> to".
+// Events that don't apply cause no transition, so duplicates are absent from the traces.
+test('classic game', () => {
+    const events = [
+        { type: 'roundLoaded', gameId: 'classic', roundNumber: 1, source: 'api' },
+        { type: 'panoramaReady', source: 'maps' },
+        { type: 'panoramaReady', source: 'dom' },
+        { type: 'guessSent', source: 'fetch' },
+        { type: 'resultReceived', gameId: 'classic', roundNumber: 1, source: 'api' },
+        { type: 'roundLoaded', gameId: 'classic', roundNumber: 2, source: 'api' },
+        { type: 'panoramaReady', source: 'maps' },
+        { type: 'guessSent', source: 'fetch' },
+        { type: 'resultReceived', gameId: 'classic', roundNumber: 2, source: 'api' },
+        { type: 'gameFinished', gameId: 'classic', source: 'api' },
+        { type: 'leftGame', source: 'url' }
+    ];
+
+    assert.deepStrictEqual(trace(events), [
+        'roundLoaded: idle -> roundLoading',
+        'panoramaReady: roundLoading -> roundActive',
+        'guessSent: roundActive -> guessSubmitted',
+        'resultReceived: guessSubmitted -> roundResult',
+        'roundLoaded: roundResult -> roundLoading',
+        'panoramaReady: roundLoading -> roundActive',
+        'guessSent: roundActive -> guessSubmitted',
+        'resultReceived: guessSubmitted -> roundResult',
+        'gameFinished: roundResult -> gameSummary',
+        'leftGame: gameSummary -> idle'
+    ]);
+});
+
+// The page reloads in round 3: the lifecycle starts over from the synced game payload
+test('reload mid-round', () => {
+    const events = [
+        { type: 'roundLoaded', gameId: 'reload', roundNumber: 3, source: 'api' },
+        { type: 'panoramaReady', source: 'dom' },
+        { type: 'roundLoaded', gameId: 'reload', roundNumber: 3, source: 'api' },
+        { type: 'guessSent', source: 'xhr' },
+        { type: 'resultReceived', gameId: 'reload', roundNumber: 3, source: 'api' },
+        { type: 'roundLoaded', gameId: 'reload', roundNumber: 2, source: 'api' },
+        { type: 'resultReceived', gameId: 'reload', roundNumber: 2, source: 'dom' }
+    ];
+
+    assert.deepStrictEqual(trace(events), [
+        'roundLoaded: idle -> roundLoading',
+        'panoramaReady: roundLoading -> roundActive',
+        'guessSent: roundActive -> guessSubmitted',
+        'resultReceived: guessSubmitted -> roundResult'
+    ]);
+});
+
+test('duplicate guess response', () => {
+    const events = [
+        { type: 'roundLoaded', gameId: 'duplicate', roundNumber: 1, source: 'api' },
+        { type: 'panoramaReady', source: 'maps' },
+        { type: 'guessSent', source: 'xhr' },
+        { type: 'guessSent', source: 'fetch' },
+        { type: 'resultReceived', gameId: 'duplicate', roundNumber: 1, source: 'api' },
+        { type: 'resultReceived', gameId: 'duplicate', roundNumber: 1, source: 'api' },
+        { type: 'resultReceived', gameId: 'duplicate', roundNumber: 1, source: 'dom' },
+        { type: 'gameFinished', gameId: 'duplicate', source: 'api' },
+        { type: 'gameFinished', gameId: 'duplicate', source: 'api' }
+    ];
+
+    assert.deepStrictEqual(trace(events), [
+        'roundLoaded: idle -> roundLoading',
+        'panoramaReady: roundLoading -> roundActive',
+        'guessSent: roundActive -> guessSubmitted',
+        'resultReceived: guessSubmitted -> roundResult',
+        'gameFinished: roundResult -> gameSummary'
+    ]);
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPT_PATH = path.join(__dirname, '..', 'GeoAnki-1.0.0.user.js');
+
+// The userscript is a single IIFE without exports, so tests evaluate the sections they cover on
+// their own. A section runs from its "/* ========= NAME ========= */" header to the next header.
+function loadSection(name, exportNames, globals = {}) {
+    const source = fs.readFileSync(SCRIPT_PATH, 'utf8');
+    const header = `/* ========= ${name} ========= */`;
+    const start = source.indexOf(header);
+    if (start === -1) {
+        throw new Error(`Section "${name}" not found in ${SCRIPT_PATH}`);
+    }
+
+    const end = source.indexOf('/* ========= ', start + header.length);
+    const body = source.slice(start, end === -1 ? undefined : end);
+    const globalNames = Object.keys(globals);
+    const factory = new Function(...globalNames, `${body}\nreturn { ${exportNames.join(', ')} };`);
+    return factory(...globalNames.map(globalName => globals[globalName]));
+}
+
+module.exports = { loadSection };